@@ -1,11 +1,243 @@
+// ビルドのたびに vite.config.js が書き換える。値が変わると新しい Service Worker として入れ直され、
+// 古いビルドのキャッシュは activate で消える
+const BUILD_ID = 'dev';
+const OCR_VERSION = 'dev';
+const CACHE_NAME = `kakeibo-shell-${BUILD_ID}`;
+const APP_SHELL = ['/', '/index.html', '/manifest.webmanifest', '/icon.svg'];
+const ASSET_MANIFEST = '/asset-manifest.json';
+// レシート読み取り（OCR）の worker・wasm・言語データ。オフラインでも読み取れるよう別のキャッシュに置く
+const OCR_CACHE_NAME = `kakeibo-ocr-${OCR_VERSION}`;
+const OCR_ASSETS = ['/ocr/worker.min.js', '/ocr/jpn.traineddata.gz', '/ocr/eng.traineddata.gz'];
+
+// wasm は3種類あるので、tesseract.js が選ぶのと同じもの（wasm-feature-detect と同じ判定）だけを取っておく
+const supportsWasm = (bytes) => {
+  try {
+    return WebAssembly.validate(new Uint8Array(bytes));
+  } catch (error) {
+    return false;
+  }
+};
+
+const ocrCoreAsset = () => {
+  const header = [0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0, 10];
+  if (supportsWasm([...header, 15, 1, 13, 0, 65, 1, 253, 15, 65, 2, 253, 15, 253, 128, 2, 11])) {
+    return '/ocr/tesseract-core-relaxedsimd-lstm.wasm.js';
+  }
+  if (supportsWasm([...header, 10, 1, 8, 0, 65, 0, 253, 15, 253, 98, 11])) {
+    return '/ocr/tesseract-core-simd-lstm.wasm.js';
+  }
+  return '/ocr/tesseract-core-lstm.wasm.js';
+};
+
+// 遅延読み込みのチャンク（PDF 出力や OCR）もオフラインで使えるよう、ビルドのマニフェストにあるファイルをすべて取っておく
+const assetsOfManifest = (manifest) => {
+  const files = new Set();
+  Object.values(manifest).forEach((entry) => {
+    [entry.file, ...(entry.css || []), ...(entry.assets || [])].forEach((file) => {
+      files.add(`/${file}`);
+    });
+  });
+  return [...files];
+};
+
+const precacheShell = async () => {
+  const cache = await caches.open(CACHE_NAME);
+  await cache.addAll(APP_SHELL);
+  const manifest = await fetch(ASSET_MANIFEST, { cache: 'no-store' }).catch(() => null);
+  if (manifest?.ok) {
+    await cache.addAll(assetsOfManifest(await manifest.json()));
+    return;
+  }
+  // マニフェストのない開発サーバーでは、index.html から直接読み込むファイルだけにする
+  const response = await cache.match('/index.html');
+  if (!response) return;
+  const html = await response.text();
+  const assets = Array.from(html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g), (match) => match[1]);
+  await cache.addAll(assets);
+};
+
+// OCR のファイルは大きいので、取得に失敗してもインストールは止めない（初回の読み取り時にキャッシュする）
+const precacheOcr = async () => {
+  const cache = await caches.open(OCR_CACHE_NAME);
+  const missing = [];
+  for (const path of [...OCR_ASSETS, ocrCoreAsset()]) {
+    if (!(await cache.match(path))) missing.push(path);
+  }
+  await cache.addAll(missing).catch(() => {});
+};
+
+const networkFirst = async (request, fallbackKey) => {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(fallbackKey, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(fallbackKey);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+const cacheFirst = async (request, cacheName = CACHE_NAME) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) await cache.put(request, response.clone());
+  return response;
+};
+
 self.addEventListener('install', (event) => {
-  self.skipWaiting();
+  event.waitUntil(
+    Promise.all([precacheShell(), precacheOcr()]).then(() => self.skipWaiting())
+  );
 });
 
 self.addEventListener('activate', (event) => {
-  event.waitUntil(self.clients.claim());
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key !== CACHE_NAME && key !== OCR_CACHE_NAME)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, '/index.html'));
+    return;
+  }
+  if (url.pathname.startsWith('/assets/')) {
+    event.respondWith(cacheFirst(request));
+    return;
+  }
+  if (url.pathname.startsWith('/ocr/')) {
+    event.respondWith(cacheFirst(request, OCR_CACHE_NAME));
+    return;
+  }
+  if (APP_SHELL.includes(url.pathname)) {
+    event.respondWith(networkFirst(request, url.pathname));
+  }
+});
+
+// 予算アラートなどのプッシュ通知。tag が同じ通知はアプリ内の通知と重ならず置き換わる
+self.addEventListener('push', (event) => {
+  const data = event.data ? event.data.json() : {};
+  event.waitUntil(
+    self.registration.showNotification(data.title || '家計簿', {
+      body: data.body || '',
+      tag: data.tag,
+      icon: '/icon.svg',
+      data: { url: data.url || '/' }
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url || '/';
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      const client = clients.find((item) => new URL(item.url).origin === self.location.origin);
+      if (client) return client.focus();
+      return self.clients.openWindow(url);
+    })
+  );
+});
+
+// 記録リマインダーと週間サマリー。判定に使う内容はアプリが src/lib/reminders.js で IndexedDB に書いておく
+const REMINDER_DB = 'kakeibo-reminders';
+const REMINDER_STORE = 'state';
+
+const withReminderStore = (mode, run) =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(REMINDER_DB, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(REMINDER_STORE);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const db = request.result;
+      const tx = db.transaction(REMINDER_STORE, mode);
+      const result = run(tx.objectStore(REMINDER_STORE));
+      tx.oncomplete = () => {
+        db.close();
+        resolve(result?.result);
+      };
+      tx.onerror = () => reject(tx.error);
+    };
+  });
+
+const pad2 = (value) => String(value).padStart(2, '0');
+
+const checkReminders = async () => {
+  const state = await withReminderStore('readonly', (store) => store.get('current'));
+  if (!state) return;
+  const shown = (await withReminderStore('readonly', (store) => store.get('shown'))) || {};
+  const now = new Date();
+  const today = `${now.getFullYear()}-${pad2(now.getMonth() + 1)}-${pad2(now.getDate())}`;
+  const time = `${pad2(now.getHours())}:${pad2(now.getMinutes())}`;
+  const notifications = [];
+
+  if (
+    state.daily?.enabled &&
+    time >= state.daily.time &&
+    shown.daily !== today &&
+    state.lastEntryDate !== today
+  ) {
+    notifications.push({
+      title: '今日の支出を記録しましたか？',
+      body: '今日はまだ明細が登録されていません。',
+      tag: 'daily-reminder'
+    });
+    shown.daily = today;
+  }
+
+  if (
+    state.weekly?.enabled &&
+    state.summary &&
+    now.getDay() === state.weekly.day &&
+    time >= state.weekly.time &&
+    shown.weekly !== today
+  ) {
+    const { summary } = state;
+    const asOf = summary.updatedOn === today ? '' : `（${summary.updatedOn} 時点）`;
+    notifications.push({
+      title: '今週の家計簿',
+      body: `${summary.body}${asOf}`,
+      tag: 'weekly-summary'
+    });
+    shown.weekly = today;
+  }
+
+  if (notifications.length === 0) return;
+  await withReminderStore('readwrite', (store) => store.put(shown, 'shown'));
+  await Promise.all(
+    notifications.map((item) =>
+      self.registration.showNotification(item.title, {
+        body: item.body,
+        tag: item.tag,
+        icon: '/icon.svg',
+        data: { url: '/' }
+      })
+    )
+  );
+};
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === 'kakeibo-reminders') event.waitUntil(checkReminders());
 });
 
-self.addEventListener('fetch', () => {
-  return;
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'check-reminders') event.waitUntil(checkReminders());
 });
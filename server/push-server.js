@@ -0,0 +1,270 @@
+// 予算アラートのプッシュ通知を送る、ローカル確認用の通知サーバー。
+// 一定間隔で全ユーザーの予算を判定し、まだ送っていないアラートを Web Push で送る。
+//   npm run push-server            … 常駐して定期的に判定（127.0.0.1 で POST /check, POST /test も受け付ける）
+//   npm run push-server -- --once  … 1回だけ判定して終了（cron などから呼ぶ場合）
+import http from 'node:http';
+import { createClient } from '@supabase/supabase-js';
+import webpush from 'web-push';
+import { evaluateBudgetAlerts, spendByCategory } from '../src/lib/budgetAlerts.js';
+import { computeCarryOvers } from '../src/lib/budgets.js';
+
+const env = process.env;
+const supabaseUrl = env.SUPABASE_URL || env.VITE_SUPABASE_URL;
+const serviceRoleKey = env.SUPABASE_SERVICE_ROLE_KEY;
+const vapidPublicKey = env.VAPID_PUBLIC_KEY || env.VITE_VAPID_PUBLIC_KEY;
+const vapidPrivateKey = env.VAPID_PRIVATE_KEY;
+const port = Number(env.PUSH_SERVER_PORT || 8787);
+const host = env.PUSH_SERVER_HOST || '127.0.0.1';
+const secret = env.PUSH_SERVER_SECRET || '';
+const intervalMinutes = Number(env.PUSH_CHECK_INTERVAL_MINUTES || 5);
+const PAGE_SIZE = 1000;
+
+if (!supabaseUrl || !serviceRoleKey || !vapidPublicKey || !vapidPrivateKey) {
+  console.error(
+    'SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY を設定してください'
+  );
+  process.exit(1);
+}
+
+webpush.setVapidDetails(
+  env.VAPID_SUBJECT || 'mailto:admin@example.com',
+  vapidPublicKey,
+  vapidPrivateKey
+);
+
+// service role のキーは RLS を通らないので、家計簿の絞り込みは必ず inLedger で付ける
+const supabase = createClient(supabaseUrl, serviceRoleKey, { auth: { persistSession: false } });
+
+const pad2 = (value) => String(value).padStart(2, '0');
+
+const getToday = () => {
+  const date = new Date();
+  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+};
+
+const nextMonthOf = (monthValue) => {
+  const [year, monthIndex] = monthValue.split('-').map(Number);
+  const date = new Date(year, monthIndex, 1);
+  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}`;
+};
+
+const inLedger = (query, { user_id: userId, household_id: householdId }) =>
+  householdId
+    ? query.eq('household_id', householdId)
+    : query.is('household_id', null).eq('user_id', userId);
+
+const fetchAll = async (buildQuery) => {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+};
+
+const fetchExpenses = (owner, from, to) =>
+  fetchAll(() =>
+    inLedger(supabase.from('transactions').select('date, type, category, amount, splits'), owner)
+      .eq('type', 'expense')
+      .gte('date', `${from}-01`)
+      .lt('date', `${to}-01`)
+      .order('id', { ascending: true })
+  );
+
+// アプリの「使える予算」と同じく、その月の予算に繰越を足した額で判定する
+const loadEffectiveBudgets = async (owner, month) => {
+  const { data: rows, error } = await inLedger(
+    supabase.from('budgets').select('category, amount, rollover'),
+    owner
+  ).eq('month', month);
+  if (error) throw error;
+  const budgets = Object.fromEntries(rows.map((row) => [row.category, row.amount]));
+  const rolling = Object.fromEntries(
+    rows.filter((row) => row.rollover !== 'none').map((row) => [row.category, row.rollover])
+  );
+  const categories = Object.keys(rolling);
+  if (categories.length === 0) return budgets;
+  const { data: history, error: historyError } = await inLedger(
+    supabase.from('budgets').select('month, category, amount, rollover'),
+    owner
+  )
+    .lt('month', month)
+    .in('category', categories);
+  if (historyError) throw historyError;
+  if (history.length === 0) return budgets;
+  const from = history.reduce((min, row) => (row.month < min ? row.month : min), month);
+  const items = await fetchExpenses(owner, from, month);
+  const byMonth = new Map();
+  items.forEach((item) => {
+    const key = item.date.slice(0, 7);
+    byMonth.set(key, [...(byMonth.get(key) || []), item]);
+  });
+  const spend = [...byMonth.entries()].flatMap(([key, monthItems]) =>
+    Object.entries(spendByCategory(monthItems)).map(([category, spent]) => ({
+      month: key,
+      category,
+      spent
+    }))
+  );
+  const carry = computeCarryOvers(month, rolling, history, spend);
+  Object.entries(carry).forEach(([category, value]) => {
+    budgets[category] = (budgets[category] || 0) + value;
+  });
+  return budgets;
+};
+
+const sendToUser = async (userId, payload) => {
+  const { data: subscriptions, error } = await supabase
+    .from('push_subscriptions')
+    .select('id, endpoint, keys')
+    .eq('user_id', userId);
+  if (error) throw error;
+  let delivered = 0;
+  for (const subscription of subscriptions) {
+    try {
+      await webpush.sendNotification(
+        { endpoint: subscription.endpoint, keys: subscription.keys },
+        JSON.stringify(payload)
+      );
+      delivered += 1;
+    } catch (sendError) {
+      // 購読が切れた端末（404 / 410）は次回から送らない
+      if (sendError.statusCode === 404 || sendError.statusCode === 410) {
+        await supabase.from('push_subscriptions').delete().eq('id', subscription.id);
+      } else {
+        console.warn(`送信エラー (${subscription.endpoint}): ${sendError.message}`);
+      }
+    }
+  }
+  return delivered;
+};
+
+const checkBudgetAlerts = async () => {
+  const today = getToday();
+  const month = today.slice(0, 7);
+  const { data: settings, error } = await supabase
+    .from('budget_alert_settings')
+    .select('*')
+    .eq('enabled', true);
+  if (error) throw error;
+  const groups = new Map();
+  settings.forEach((setting) => {
+    const key = `${setting.user_id}|${setting.household_id || ''}`;
+    groups.set(key, [...(groups.get(key) || []), setting]);
+  });
+
+  // service role では RLS が効かないので、世帯から外れたメンバーに世帯の支出を送らないよう自分で確かめる
+  const householdIds = [...new Set(settings.map((setting) => setting.household_id).filter(Boolean))];
+  const memberships = new Set();
+  if (householdIds.length > 0) {
+    const { data: members, error: memberError } = await supabase
+      .from('household_members')
+      .select('household_id, user_id')
+      .in('household_id', householdIds);
+    if (memberError) throw memberError;
+    members.forEach((member) => memberships.add(`${member.user_id}|${member.household_id}`));
+  }
+
+  let sent = 0;
+  for (const ledgerSettings of groups.values()) {
+    const owner = ledgerSettings[0];
+    if (owner.household_id && !memberships.has(`${owner.user_id}|${owner.household_id}`)) continue;
+    const budgets = await loadEffectiveBudgets(owner, month);
+    const items = await fetchExpenses(owner, month, nextMonthOf(month));
+    const alerts = evaluateBudgetAlerts({
+      ledger: owner.household_id || 'personal',
+      settings: ledgerSettings,
+      budgets,
+      spent: spendByCategory(items),
+      month,
+      today
+    });
+    if (alerts.length === 0) continue;
+    const { data: already, error: sentError } = await supabase
+      .from('sent_budget_alerts')
+      .select('alert_key')
+      .eq('user_id', owner.user_id)
+      .in('alert_key', alerts.map((alert) => alert.key));
+    if (sentError) throw sentError;
+    const sentKeys = new Set(already.map((row) => row.alert_key));
+    for (const alert of alerts.filter((item) => !sentKeys.has(item.key))) {
+      const delivered = await sendToUser(owner.user_id, {
+        title: alert.title,
+        body: alert.body,
+        tag: alert.key
+      });
+      // 1台にも届かなかったときは送信済みにせず、アプリを開いたときの通知に任せる
+      if (delivered === 0) continue;
+      // 一意制約に当たったときは、アプリがすでに記録している
+      await supabase
+        .from('sent_budget_alerts')
+        .insert({ user_id: owner.user_id, alert_key: alert.key });
+      sent += 1;
+    }
+  }
+  return sent;
+};
+
+// テスト通知は、ログイン中のアクセストークンで確かめた本人の端末にだけ送る
+const sendTestNotification = async (accessToken) => {
+  const { data, error } = await supabase.auth.getUser(accessToken);
+  if (error || !data.user) return null;
+  return sendToUser(data.user.id, {
+    title: '家計簿のテスト通知',
+    body: 'プッシュ通知を受け取れています。',
+    tag: 'test'
+  });
+};
+
+const runCheck = async () => {
+  try {
+    const sent = await checkBudgetAlerts();
+    if (sent > 0) console.log(`${new Date().toISOString()} 予算アラートを${sent}件送りました`);
+    return sent;
+  } catch (error) {
+    console.error(`予算アラートの判定エラー: ${error.message}`);
+    throw error;
+  }
+};
+
+if (process.argv.includes('--once')) {
+  runCheck().then(
+    () => process.exit(0),
+    () => process.exit(1)
+  );
+} else {
+  const respond = (response, status, body) => {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    response.end(JSON.stringify(body));
+  };
+  http
+    .createServer(async (request, response) => {
+      try {
+        if (request.method === 'POST' && secret && request.headers['x-push-secret'] !== secret) {
+          respond(response, 401, { error: 'unauthorized' });
+        } else if (request.method === 'POST' && request.url === '/check') {
+          respond(response, 200, { sent: await runCheck() });
+        } else if (request.method === 'POST' && request.url === '/test') {
+          const token = (request.headers.authorization || '').replace(/^Bearer\s+/i, '');
+          const delivered = token ? await sendTestNotification(token) : null;
+          if (delivered === null) {
+            respond(response, 401, { error: 'unauthorized' });
+          } else {
+            respond(response, 200, { delivered });
+          }
+        } else if (request.method === 'GET' && request.url === '/') {
+          respond(response, 200, { ok: true, intervalMinutes });
+        } else {
+          respond(response, 404, { error: 'not found' });
+        }
+      } catch (error) {
+        respond(response, 500, { error: error.message });
+      }
+    })
+    .listen(port, host, () => {
+      console.log(`通知サーバーを http://${host}:${port} で起動しました（${intervalMinutes}分ごとに判定）`);
+    });
+  setInterval(() => runCheck().catch(() => {}), intervalMinutes * 60 * 1000);
+  runCheck().catch(() => {});
+}
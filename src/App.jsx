@@ -1,4 +1,4 @@
-import React, { useEffect, useMemo, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import {
   Bar,
   BarChart,
@@ -12,6 +12,91 @@ import {
   YAxis
 } from 'recharts';
 import { supabase } from './lib/supabase.js';
+import {
+  applyPendingOps,
+  clearOfflineData,
+  createId,
+  discardFailedOp,
+  enqueueOp,
+  getFailedOps,
+  getPendingOps,
+  isNetworkError,
+  isOffline,
+  loadCachedTransactions,
+  pickTransactionFields,
+  requeueFailedOp,
+  runOp,
+  saveCachedTransactions,
+  sortTransactions,
+  syncOutbox
+} from './lib/outbox.js';
+import {
+  addToDuplicateIndex,
+  decodeCsvFile,
+  defaultStatementMapping,
+  getStatementColumns,
+  mapStatementRows,
+  findDuplicate,
+  findDuplicateRow,
+  indexTransactionsForDuplicates,
+  isValidDateValue,
+  parseCsv
+} from './lib/csvImport.js';
+import { applyRule, findMatchingRule, matchesRule } from './lib/rules.js';
+import { createBackup, restoreBackup, validateBackup } from './lib/backup.js';
+import { ledgerConflictKey } from './lib/ledger.js';
+import { removeRow, subscribeToLedger, upsertRow } from './lib/realtime.js';
+import {
+  deleteReceipt,
+  downloadReceiptFiles,
+  isImageReceipt,
+  receiptAccept,
+  removeReceiptFiles,
+  restoreReceiptFiles,
+  uploadReceipts,
+  withSignedUrls
+} from './lib/receipts.js';
+import { parseReceiptText, recognizeReceipt } from './lib/receiptOcr.js';
+import {
+  defaultAlertThresholds,
+  evaluateBudgetAlerts,
+  parseThresholds,
+  spendByCategory
+} from './lib/budgetAlerts.js';
+import { forecastMonth } from './lib/forecast.js';
+import { buildAnnualReport } from './lib/annualReport.js';
+import { exportElementToPdf } from './lib/pdf.js';
+import {
+  defaultReminderSettings,
+  registerReminderSync,
+  requestReminderCheck,
+  saveReminderState,
+  unregisterReminderSync,
+  weekdays
+} from './lib/reminders.js';
+import {
+  getPushSubscription,
+  isPushSupported,
+  subscribeToPush,
+  unsubscribeFromPush
+} from './lib/push.js';
+import {
+  budgetPeriodLabelOf,
+  budgetPeriods,
+  computeCarryOvers,
+  elapsedRatioOf,
+  overlapsMonth,
+  rolloverModes,
+  toPeriodRange
+} from './lib/budgets.js';
+import { createZip, readZip } from './lib/zip.js';
+import {
+  computeBalances,
+  getShareError,
+  isSettlement,
+  shareModes,
+  suggestTransfers
+} from './lib/settlement.js';
 
 const defaultCategories = [
   '食費',
@@ -28,7 +113,8 @@ const defaultCategories = [
 
 const types = [
   { value: 'expense', label: '支出' },
-  { value: 'income', label: '収入' }
+  { value: 'income', label: '収入' },
+  { value: 'transfer', label: '振替' }
 ];
 
 const purposes = [
@@ -39,6 +125,172 @@ const purposes = [
 
 const incomeCategories = ['労働', '投資益', 'その他'];
 
+const transferCategory = '振替';
+const settlementCategory = '精算';
+
+const accountKinds = [
+  { value: 'cash', label: '現金' },
+  { value: 'bank', label: '銀行' },
+  { value: 'card', label: 'カード' },
+  { value: 'emoney', label: '電子マネー' }
+];
+
+const emptyAccountDraft = {
+  name: '',
+  kind: 'cash',
+  opening_balance: '',
+  closing_day: '',
+  payment_day: '',
+  payment_month_offset: '1'
+};
+
+const paymentMonthOffsets = [
+  { value: '1', label: '翌月' },
+  { value: '2', label: '翌々月' }
+];
+
+const importChunkSize = 100;
+const transactionPageSize = 1000;
+const listPageSize = 50;
+const searchPageSize = 50;
+
+const searchSorts = [
+  { value: 'date_desc', label: '日付が新しい順', column: 'date', ascending: false },
+  { value: 'date_asc', label: '日付が古い順', column: 'date', ascending: true },
+  { value: 'amount_desc', label: '金額が大きい順', column: 'amount', ascending: false },
+  { value: 'amount_asc', label: '金額が小さい順', column: 'amount', ascending: true }
+];
+
+const emptySearch = {
+  query: '',
+  minAmount: '',
+  maxAmount: '',
+  categories: [],
+  purposes: [],
+  dateFrom: '',
+  dateTo: '',
+  sort: 'date_desc'
+};
+
+// レシートのお店の名前で過去の明細のメモを探す ilike 用。LIKE のワイルドカードやフィルタの値で
+// 特別な意味を持つ文字は、任意の1文字（_）として扱う（全期間検索は search_transactions で行う）
+const toSearchPattern = (keyword) => `%${keyword.replace(/[%_,()"\\*]/g, '_')}%`;
+
+const importActionOptions = [
+  { value: 'insert', label: '追加' },
+  { value: 'skip', label: 'スキップ' },
+  { value: 'overwrite', label: '上書き' }
+];
+
+const ruleMatchTypes = [
+  { value: 'contains', label: '含む' },
+  { value: 'regex', label: '正規表現' }
+];
+
+const emptyRuleDraft = {
+  pattern: '',
+  match_type: 'contains',
+  min_amount: '',
+  max_amount: '',
+  account_id: '',
+  set_type: '',
+  set_purpose: '',
+  set_category: ''
+};
+
+const typeLabelOf = (type) => types.find((item) => item.value === type)?.label || '支出';
+
+const opKindLabels = { insert: '追加', update: '変更', delete: '削除' };
+
+const failedReasonOf = (op) => {
+  if (op.reason === 'modified') return '他の端末で先に変更されていました';
+  if (op.reason === 'deleted') return '他の端末で削除されていました';
+  return `同期エラー: ${op.message || '不明なエラー'}`;
+};
+
+const purposeLabelOf = (item) => {
+  if (item.type !== 'expense') return typeLabelOf(item.type);
+  return purposes.find((purpose) => purpose.value === item.purpose)?.label || '消費';
+};
+
+const emptyTransactionDraft = {
+  date: '',
+  amount: '',
+  type: 'expense',
+  purpose: 'consumption',
+  category: '',
+  note: '',
+  account_id: '',
+  to_account_id: '',
+  paid_by: '',
+  shares: null,
+  tags: [],
+  splits: []
+};
+
+const normalizeTags = (tags) =>
+  Array.from(new Set((tags || []).map((tag) => String(tag).trim()).filter(Boolean)));
+
+const ledgerTables = [
+  'accounts',
+  'recurring_transactions',
+  'transactions',
+  'categories',
+  'budgets',
+  'savings_goals',
+  'period_budgets',
+  'tags',
+  'receipts'
+];
+
+const hasSplits = (item) => Array.isArray(item.splits) && item.splits.length > 0;
+
+const itemMatchesFilters = (item, filters) => {
+  if (filters.type !== 'all' && item.type !== filters.type) return false;
+  if (
+    filters.purpose !== 'all' &&
+    item.type === 'expense' &&
+    item.purpose !== filters.purpose &&
+    !(hasSplits(item) && item.splits.some((line) => line.purpose === filters.purpose))
+  )
+    return false;
+  if (
+    filters.category !== 'all' &&
+    item.category !== filters.category &&
+    !(hasSplits(item) && item.splits.some((line) => line.category === filters.category))
+  )
+    return false;
+  if (filters.tag !== 'all' && !(item.tags || []).includes(filters.tag)) return false;
+  if (filters.query) {
+    const target = `${item.note || ''}`.toLowerCase();
+    if (!target.includes(filters.query.toLowerCase())) return false;
+  }
+  if (filters.dateFrom && item.date < filters.dateFrom) return false;
+  if (filters.dateTo && item.date > filters.dateTo) return false;
+  return true;
+};
+
+const lineMatchesFilters = (line, filters) => {
+  if (filters.purpose !== 'all' && line.type === 'expense' && line.purpose !== filters.purpose)
+    return false;
+  if (filters.category !== 'all' && line.category !== filters.category) return false;
+  return true;
+};
+
+const expandSplits = (items) =>
+  items.flatMap((item) =>
+    hasSplits(item)
+      ? item.splits.map((line, index) => ({
+          ...item,
+          id: `${item.id}-${index}`,
+          category: line.category,
+          purpose: line.purpose,
+          amount: line.amount,
+          note: line.note || item.note
+        }))
+      : [item]
+  );
+
 const formatYen = (value) => {
   return new Intl.NumberFormat('ja-JP', {
     style: 'currency',
@@ -47,6 +299,10 @@ const formatYen = (value) => {
   }).format(value || 0);
 };
 
+const formatRate = (value) => (value === null ? '-' : `${Math.round(value * 1000) / 10}%`);
+
+const formatChange = (value) => `${value >= 0 ? '+' : ''}${Math.round(value * 1000) / 10}%`;
+
 const toMonth = (value) => value?.slice(0, 7) || '';
 const getPreviousMonthFrom = (monthValue) => {
   if (!monthValue) return getPreviousMonth();
@@ -56,64 +312,136 @@ const getPreviousMonthFrom = (monthValue) => {
   return date.toISOString().slice(0, 7);
 };
 
-const parseCsv = (text) => {
-  const lines = text.split(/\r?\n/).filter((line) => line.trim().length > 0);
-  return lines.map((line) => {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-    for (let i = 0; i < line.length; i += 1) {
-      const char = line[i];
-      const next = line[i + 1];
-      if (char === '"' && inQuotes && next === '"') {
-        current += '"';
-        i += 1;
-        continue;
-      }
-      if (char === '"') {
-        inQuotes = !inQuotes;
-        continue;
-      }
-      if (char === ',' && !inQuotes) {
-        result.push(current);
-        current = '';
-        continue;
-      }
-      current += char;
-    }
-    result.push(current);
-    return result.map((cell) => cell.trim());
-  });
-};
 const getPreviousMonth = () => {
   const date = new Date();
   date.setMonth(date.getMonth() - 1);
   return date.toISOString().slice(0, 7);
 };
 
+const pad2 = (value) => String(value).padStart(2, '0');
+const toDateString = (year, monthIndex, day) => {
+  const first = new Date(year, monthIndex, 1);
+  const lastDay = new Date(year, monthIndex + 1, 0).getDate();
+  return `${first.getFullYear()}-${pad2(first.getMonth() + 1)}-${pad2(Math.min(day, lastDay))}`;
+};
+const getToday = () => {
+  const date = new Date();
+  return toDateString(date.getFullYear(), date.getMonth(), date.getDate());
+};
+
+const isCardWithCycle = (account) =>
+  account?.kind === 'card' && account.closing_day && account.payment_day;
+
+const getCardStatement = (dateValue, account) => {
+  const [year, monthValue, day] = dateValue.split('-').map(Number);
+  const closingMonthIndex = day <= account.closing_day ? monthValue - 1 : monthValue;
+  return {
+    closingDate: toDateString(year, closingMonthIndex, account.closing_day),
+    paymentDate: toDateString(
+      year,
+      closingMonthIndex + (account.payment_month_offset || 1),
+      account.payment_day
+    )
+  };
+};
+
+// カード払いを支払日で集計すると最大3か月前の利用がその月に入るので、その分も読み込む
+const getLedgerRange = (monthValue, cashFlowMode) => {
+  const [year, monthNumber] = monthValue.split('-').map(Number);
+  return {
+    from: toDateString(year, monthNumber - 1 - (cashFlowMode ? 3 : 0), 1),
+    to: toDateString(year, monthNumber - 1, 31)
+  };
+};
+
+const getRecurringDates = (rule, untilDate) => {
+  const [startYear, startMonth] = rule.start_date.split('-').map(Number);
+  const interval = Math.max(rule.interval_months || 1, 1);
+  const dates = [];
+  for (let offset = 0; ; offset += interval) {
+    const date = toDateString(startYear, startMonth - 1 + offset, rule.day_of_month);
+    if (date > untilDate || (rule.end_date && date > rule.end_date)) break;
+    if (date < rule.start_date) continue;
+    if (rule.generated_through && date <= rule.generated_through) continue;
+    dates.push(date);
+  }
+  return dates;
+};
+
 export default function App() {
   const [session, setSession] = useState(null);
   const [email, setEmail] = useState('');
   const [status, setStatus] = useState('');
   const [loading, setLoading] = useState(false);
   const [transactions, setTransactions] = useState([]);
+  const [online, setOnline] = useState(() => !isOffline());
+  const [pendingCount, setPendingCount] = useState(0);
+  const [failedOps, setFailedOps] = useState([]);
+  const syncingRef = useRef(false);
+  const monthRef = useRef(null);
+  const ledgerRangeRef = useRef(null);
+  const categoryRowsRef = useRef({});
+  const budgetRowsRef = useRef({});
   const [categories, setCategories] = useState(defaultCategories);
   const [categoryDraft, setCategoryDraft] = useState('');
   const [editingCategoryId, setEditingCategoryId] = useState(null);
   const [editingCategoryName, setEditingCategoryName] = useState('');
   const [budgets, setBudgets] = useState({});
   const [budgetDrafts, setBudgetDrafts] = useState({});
+  const [budgetRollovers, setBudgetRollovers] = useState({});
+  const [budgetCarry, setBudgetCarry] = useState({});
+  const [periodBudgets, setPeriodBudgets] = useState([]);
+  const [forecastHistory, setForecastHistory] = useState({});
+  const [reportYear, setReportYear] = useState(() => getToday().slice(0, 4));
+  const [report, setReport] = useState(null);
+  const reportRef = useRef(null);
+  const [alertSettings, setAlertSettings] = useState([]);
+  const [alertDrafts, setAlertDrafts] = useState({});
+  const [sentAlertKeys, setSentAlertKeys] = useState(null);
+  const [pushEnabled, setPushEnabled] = useState(false);
+  const [reminderSettings, setReminderSettings] = useState(null);
+  const [reminderDraft, setReminderDraft] = useState(defaultReminderSettings);
+  const reminderSummaryRef = useRef(null);
+  const lastEntryDateRef = useRef('');
+  const [periodBudgetSpend, setPeriodBudgetSpend] = useState({});
+  const [periodBudgetDraft, setPeriodBudgetDraft] = useState({
+    category: '',
+    period: 'yearly',
+    startMonth: getToday().slice(0, 7),
+    from: '',
+    to: '',
+    amount: '',
+    note: ''
+  });
   const [copyFromMonth, setCopyFromMonth] = useState(getPreviousMonth);
   const [filters, setFilters] = useState({
     type: 'all',
     purpose: 'all',
     category: 'all',
+    tag: 'all',
     query: '',
     dateFrom: '',
     dateTo: ''
   });
+  const [search, setSearch] = useState(emptySearch);
+  const [searchResults, setSearchResults] = useState(null);
+  const [searchCount, setSearchCount] = useState(0);
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [savedSearchId, setSavedSearchId] = useState('');
+  const [savedSearchName, setSavedSearchName] = useState('');
   const [importKind, setImportKind] = useState('transactions');
   const [importFile, setImportFile] = useState(null);
+  const [statementRows, setStatementRows] = useState(null);
+  const [transactionImportRows, setTransactionImportRows] = useState(null);
+  const [importActions, setImportActions] = useState({});
+  const [importSummary, setImportSummary] = useState(null);
+  const [backupFile, setBackupFile] = useState(null);
+  const [restoreMode, setRestoreMode] = useState('merge');
+  const [restoreReport, setRestoreReport] = useState(null);
+  const [statementMapping, setStatementMapping] = useState(defaultStatementMapping);
+  const [importProfiles, setImportProfiles] = useState([]);
+  const [importProfileId, setImportProfileId] = useState('');
+  const [importProfileName, setImportProfileName] = useState('');
   const [goals, setGoals] = useState([]);
   const [goalDraft, setGoalDraft] = useState({
     name: '',
@@ -128,6 +456,39 @@ export default function App() {
     current_amount: '',
     due_date: ''
   });
+  const [accounts, setAccounts] = useState([]);
+  const [accountDraft, setAccountDraft] = useState(emptyAccountDraft);
+  const [accountEditingId, setAccountEditingId] = useState(null);
+  const [accountEditing, setAccountEditing] = useState(emptyAccountDraft);
+  const [household, setHousehold] = useState(null);
+  const [householdLoaded, setHouseholdLoaded] = useState(false);
+  const [householdMembers, setHouseholdMembers] = useState([]);
+  const [householdInvitations, setHouseholdInvitations] = useState([]);
+  const [pendingInvitations, setPendingInvitations] = useState([]);
+  const [householdName, setHouseholdName] = useState('');
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [cashFlowMode, setCashFlowMode] = useState(
+    () => localStorage.getItem('cash-flow-mode') === 'on'
+  );
+  const [categoryRules, setCategoryRules] = useState([]);
+  const [ruleDraft, setRuleDraft] = useState(emptyRuleDraft);
+  const [ruleTest, setRuleTest] = useState({ note: '', amount: '' });
+  const [recurringRules, setRecurringRules] = useState([]);
+  const [recurringDraft, setRecurringDraft] = useState(() => ({
+    start_date: new Date().toISOString().slice(0, 10),
+    day_of_month: String(new Date().getDate()),
+    interval_months: '1',
+    end_date: '',
+    amount: '',
+    type: 'expense',
+    purpose: 'consumption',
+    category: defaultCategories[0],
+    note: '',
+    account_id: '',
+    to_account_id: ''
+  }));
+  const [transactionEditingId, setTransactionEditingId] = useState(null);
+  const [transactionEditing, setTransactionEditing] = useState(emptyTransactionDraft);
   const [month, setMonth] = useState(() => new Date().toISOString().slice(0, 7));
   const [form, setForm] = useState({
     date: new Date().toISOString().slice(0, 10),
@@ -135,8 +496,47 @@ export default function App() {
     type: 'expense',
     purpose: 'consumption',
     category: defaultCategories[0],
-    note: ''
+    note: '',
+    account_id: '',
+    to_account_id: '',
+    paid_by: '',
+    shares: null,
+    tags: [],
+    splits: []
   });
+  const [formTagInput, setFormTagInput] = useState('');
+  const [formReceipts, setFormReceipts] = useState([]);
+  const [receiptInputKey, setReceiptInputKey] = useState(0);
+  const [ocrProgress, setOcrProgress] = useState(null);
+  const [receiptsByTransaction, setReceiptsByTransaction] = useState({});
+  const [editTagInput, setEditTagInput] = useState('');
+  const [tags, setTags] = useState([]);
+  const [tagDraft, setTagDraft] = useState('');
+  const [editingTag, setEditingTag] = useState(null);
+  const [editingTagName, setEditingTagName] = useState('');
+  const [settlementRange, setSettlementRange] = useState(() => {
+    const date = new Date();
+    return {
+      from: toDateString(date.getFullYear(), date.getMonth(), 1),
+      to: toDateString(date.getFullYear(), date.getMonth(), 31)
+    };
+  });
+  const [expandedSplitIds, setExpandedSplitIds] = useState({});
+  const [visibleCount, setVisibleCount] = useState(listPageSize);
+  const [monthlyTotals, setMonthlyTotals] = useState([]);
+  const [accountBalanceChanges, setAccountBalanceChanges] = useState({});
+  const [cardItems, setCardItems] = useState([]);
+  const [duplicateSource, setDuplicateSource] = useState([]);
+  const [settlementItems, setSettlementItems] = useState([]);
+  const listEndRef = useRef(null);
+
+  const householdId = household?.id || null;
+
+  // 世帯に参加中は世帯の家計簿、そうでなければ個人の家計簿だけを対象にする
+  const inLedger = (query) =>
+    householdId ? query.eq('household_id', householdId) : query.is('household_id', null);
+
+  const ledgerOwner = () => ({ user_id: session.user.id, household_id: householdId });
 
   useEffect(() => {
     let isMounted = true;
@@ -157,10 +557,51 @@ export default function App() {
 
   useEffect(() => {
     if (!session) return;
-    loadTransactions();
+    setHouseholdLoaded(false);
+    loadHousehold();
+  }, [session]);
+
+  useEffect(() => {
+    if (!session || !householdLoaded) return;
     loadCategories();
+    loadTags();
     loadBudgets(month);
     loadGoals();
+    loadAccounts();
+    loadRecurringRules();
+    loadImportProfiles();
+    loadSavedSearches();
+    loadCategoryRules();
+    loadAlertSettings();
+    syncPending();
+  }, [session, householdLoaded, householdId]);
+
+  useEffect(() => {
+    if (!session) return;
+    getPushSubscription()
+      .then((subscription) => setPushEnabled(Boolean(subscription)))
+      .catch(() => setPushEnabled(false));
+    loadReminderSettings();
+  }, [session]);
+
+  useEffect(() => {
+    if (!session || !householdLoaded) return;
+    loadSentAlerts();
+    loadForecastHistory();
+  }, [session, householdLoaded, householdId, month]);
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setOnline(true);
+      syncPending();
+    };
+    const handleOffline = () => setOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
   }, [session]);
 
   useEffect(() => {
@@ -178,27 +619,269 @@ export default function App() {
   }, [goals]);
 
   useEffect(() => {
-    if (!session) return;
+    if (!session || !householdLoaded) return;
+    loadTransactions();
+  }, [session, householdLoaded, householdId, month, cashFlowMode]);
+
+  useEffect(() => {
+    if (!session || !householdLoaded) return undefined;
+    // Realtime で続けて届いた変更はまとめて1回の集計に反映する
+    const timer = setTimeout(loadSummaries, 300);
+    return () => clearTimeout(timer);
+  }, [session, householdLoaded, householdId, accounts, transactions, cashFlowMode]);
+
+  useEffect(() => {
+    monthRef.current = month;
+    if (!session || !householdLoaded) return;
     loadBudgets(month);
-  }, [month, session]);
+  }, [month, session, householdLoaded, householdId]);
+
+  useEffect(() => {
+    if (!session || !householdLoaded) return undefined;
+    const timer = setTimeout(loadBudgetCarry, 300);
+    return () => clearTimeout(timer);
+  }, [session, householdLoaded, householdId, month, budgets, budgetRollovers, transactions]);
+
+  useEffect(() => {
+    if (!session || !householdLoaded) return undefined;
+    const timer = setTimeout(loadPeriodBudgets, 300);
+    return () => clearTimeout(timer);
+  }, [session, householdLoaded, householdId, transactions]);
+
+  useEffect(() => {
+    if (!session || !householdLoaded) return undefined;
+    const belongs = (row) =>
+      (row.household_id || null) === householdId &&
+      (householdId !== null || row.user_id === session.user.id);
+
+    const handleTransactionChange = ({ eventType, new: row, old }) => {
+      if (eventType === 'DELETE') {
+        setTransactions((prev) => removeRow(prev, old.id));
+        return;
+      }
+      setTransactions((prev) => {
+        // 未同期の変更がある行は、同期が終わるまで端末側の内容を優先する
+        if (prev.some((item) => item.id === row.id && item._pending)) return prev;
+        const rest = removeRow(prev, row.id);
+        const range = ledgerRangeRef.current;
+        const inRange = range && row.date >= range.from && row.date <= range.to;
+        return belongs(row) && inRange ? sortTransactions([...rest, row]) : rest;
+      });
+    };
+
+    const handleCategoryChange = ({ eventType, new: row, old }) => {
+      const id = eventType === 'DELETE' ? old.id : row.id;
+      const previous = categoryRowsRef.current[id];
+      if (eventType === 'DELETE' || !belongs(row)) delete categoryRowsRef.current[id];
+      else categoryRowsRef.current[id] = row.name;
+      const names = Object.values(categoryRowsRef.current);
+      setCategories((prev) => {
+        let next = prev;
+        if (previous && !names.includes(previous)) {
+          next =
+            row && belongs(row) && !prev.includes(row.name)
+              ? prev.map((name) => (name === previous ? row.name : name))
+              : prev.filter((name) => name !== previous);
+        }
+        if (eventType !== 'DELETE' && belongs(row) && !next.includes(row.name)) {
+          next = [...next, row.name];
+        }
+        return next;
+      });
+    };
+
+    const handleBudgetChange = ({ eventType, new: row, old }) => {
+      const id = eventType === 'DELETE' ? old.id : row.id;
+      const previous = budgetRowsRef.current[id];
+      delete budgetRowsRef.current[id];
+      if (previous && previous.month === monthRef.current) {
+        setBudgets((prev) => {
+          const next = { ...prev };
+          delete next[previous.category];
+          return next;
+        });
+        setBudgetRollovers((prev) => {
+          const next = { ...prev };
+          delete next[previous.category];
+          return next;
+        });
+      }
+      if (eventType === 'DELETE' || !belongs(row) || row.month !== monthRef.current) return;
+      budgetRowsRef.current[id] = { month: row.month, category: row.category };
+      setBudgets((prev) => ({ ...prev, [row.category]: row.amount }));
+      setBudgetRollovers((prev) => ({ ...prev, [row.category]: row.rollover || 'none' }));
+      setBudgetDrafts((prev) => ({ ...prev, [row.category]: row.amount }));
+    };
+
+    const handleGoalChange = ({ eventType, new: row, old }) => {
+      if (eventType === 'DELETE' || !belongs(row)) {
+        setGoals((prev) => removeRow(prev, eventType === 'DELETE' ? old.id : row.id));
+        return;
+      }
+      setGoals((prev) =>
+        upsertRow(prev, row).sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''))
+      );
+    };
+
+    const handlers = {
+      transactions: handleTransactionChange,
+      categories: handleCategoryChange,
+      budgets: handleBudgetChange,
+      savings_goals: handleGoalChange
+    };
+    return subscribeToLedger({
+      key: householdId || session.user.id,
+      filter: householdId ? `household_id=eq.${householdId}` : `user_id=eq.${session.user.id}`,
+      onChange: (table, payload) => handlers[table](payload)
+    });
+  }, [session, householdLoaded, householdId]);
+
+  useEffect(() => {
+    if (!session || recurringRules.length === 0) return;
+    materializeRecurring(recurringRules);
+  }, [recurringRules, month, session]);
+
+  // Supabase の1回あたりの取得上限を超えないよう、ページに分けてすべて取得する
+  const fetchTransactions = async (applyFilters, columns = '*') => {
+    const rows = [];
+    for (let from = 0; ; from += transactionPageSize) {
+      const { data, error } = await applyFilters(
+        inLedger(supabase.from('transactions').select(columns))
+      )
+        .order('date', { ascending: false })
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: true })
+        .range(from, from + transactionPageSize - 1);
+      if (error) return { error };
+      rows.push(...(data || []));
+      if (!data || data.length < transactionPageSize) return { data: rows };
+    }
+  };
 
   const loadTransactions = async () => {
     setLoading(true);
-    const { data, error } = await supabase
-      .from('transactions')
-      .select('*')
-      .order('date', { ascending: false })
-      .order('created_at', { ascending: false });
+    const range = getLedgerRange(month, cashFlowMode);
+    ledgerRangeRef.current = range;
+    const inRange = (item) => item.date >= range.from && item.date <= range.to;
+    const { data, error } = await fetchTransactions((query) =>
+      query.gte('date', range.from).lte('date', range.to)
+    );
+    const pendingOps = await getPendingOps(session.user.id);
+    const cacheKey = `${householdId || session.user.id}-${range.from}-${range.to}`;
+    // 月や集計方法をすばやく切り替えたとき、先に出した遅い応答で新しい範囲の明細を上書きしない
+    const isStale = () => ledgerRangeRef.current !== range;
+    if (isStale()) return;
 
-    if (error) {
+    if (error && isNetworkError(error)) {
+      const cached = await loadCachedTransactions(cacheKey);
+      if (isStale()) return;
+      setTransactions(applyPendingOps(cached, pendingOps).filter(inRange));
+      setStatus('オフラインのため、保存済みのデータを表示しています');
+    } else if (error) {
       setStatus(`読み込みエラー: ${error.message}`);
     } else {
-      setTransactions(data || []);
+      await saveCachedTransactions(cacheKey, data || []);
+      if (isStale()) return;
+      setTransactions(applyPendingOps(data || [], pendingOps).filter(inRange));
+      loadReceipts(range);
       setStatus('');
     }
+    setPendingCount(pendingOps.length);
+    setFailedOps(await getFailedOps(session.user.id));
     setLoading(false);
   };
 
+  const loadSummaries = async () => {
+    const [{ data: totals, error: totalsError }, { data: changes, error: changesError }] =
+      await Promise.all([
+        supabase.rpc('monthly_totals', { p_household: householdId, p_cash_flow: cashFlowMode }),
+        supabase.rpc('account_balance_changes', { p_household: householdId })
+      ]);
+    // オフラインのときは明細の読み込みで知らせているので、ここでは重ねて表示しない
+    const reportError = (label, error) => {
+      if (!isNetworkError(error)) setStatus(`${label}エラー: ${error.message}`);
+    };
+    if (totalsError) {
+      reportError('月別推移の読み込み', totalsError);
+    } else {
+      setMonthlyTotals(totals || []);
+    }
+    if (changesError) {
+      reportError('口座残高の読み込み', changesError);
+    } else {
+      setAccountBalanceChanges(
+        Object.fromEntries((changes || []).map((row) => [row.account_id, Number(row.amount)]))
+      );
+    }
+    const cardIds = accounts.filter(isCardWithCycle).map((account) => account.id);
+    if (cardIds.length === 0) {
+      setCardItems([]);
+      return;
+    }
+    const today = new Date();
+    const since = toDateString(today.getFullYear(), today.getMonth() - 3, 1);
+    const { data: items, error: cardError } = await fetchTransactions(
+      (query) => query.in('account_id', cardIds).neq('type', 'transfer').gte('date', since),
+      'date, amount, type, account_id'
+    );
+    if (cardError) {
+      reportError('カード明細の読み込み', cardError);
+    } else {
+      setCardItems(items);
+    }
+  };
+
+  const syncPending = async () => {
+    if (!session || syncingRef.current || isOffline()) return;
+    syncingRef.current = true;
+    try {
+      const result = await syncOutbox(session.user.id);
+      if (result.applied + result.conflicts + result.failed === 0) {
+        setPendingCount(result.remaining);
+        return;
+      }
+      await loadTransactions();
+      const messages = [`${result.applied}件を同期しました`];
+      if (result.conflicts > 0) {
+        messages.push(`${result.conflicts}件は他の端末で変更・削除されていました`);
+      }
+      if (result.failed > 0) messages.push(`${result.failed}件は同期に失敗しました`);
+      if (result.conflicts + result.failed > 0) {
+        messages.push('「同期できなかった変更」で内容を確認してください');
+      }
+      setStatus(messages.join(' / '));
+    } finally {
+      syncingRef.current = false;
+    }
+  };
+
+  const submitTransactionOp = async (op, baseRow) => {
+    const fullOp = { ...op, userId: session.user.id };
+    if (!isOffline() && pendingCount === 0) {
+      const { error } = await runOp(fullOp);
+      if (!error) return { synced: true };
+      if (!isNetworkError(error)) return { error };
+    }
+    await enqueueOp({ ...fullOp, base: baseRow ? pickTransactionFields(baseRow) : null });
+    setTransactions((prev) => applyPendingOps(prev, [fullOp]));
+    setPendingCount((await getPendingOps(session.user.id)).length);
+    syncPending();
+    return { queued: true };
+  };
+
+  const keepLocalChange = async (op) => {
+    await requeueFailedOp(op, ledgerOwner());
+    setFailedOps(await getFailedOps(session.user.id));
+    setPendingCount((await getPendingOps(session.user.id)).length);
+    await syncPending();
+  };
+
+  const discardLocalChange = async (op) => {
+    if (!confirm('この変更を破棄しますか？（元に戻せません）')) return;
+    await discardFailedOp(op.seq);
+    setFailedOps(await getFailedOps(session.user.id));
+  };
+
   const handleLogin = async (event) => {
     event.preventDefault();
     if (!email) return;
@@ -214,118 +897,850 @@ export default function App() {
   };
 
   const handleLogout = async () => {
+    const unsynced = pendingCount + failedOps.length;
+    if (
+      unsynced > 0 &&
+      !confirm(`同期していない変更が${unsynced}件あります。ログアウトするとこの端末から消えます。ログアウトしますか？`)
+    ) {
+      return;
+    }
+    // ログアウト後に前のユーザーの予算アラートがこの端末に届かないよう、購読を先に解除する
+    if (pushEnabled) {
+      await unsubscribeFromPush().catch(() => {});
+      setPushEnabled(false);
+    }
+    await clearOfflineData(session.user.id).catch(() => {});
     await supabase.auth.signOut();
     setTransactions([]);
+    setPendingCount(0);
+    setFailedOps([]);
     setCategories(defaultCategories);
     setBudgets({});
     setBudgetDrafts({});
+    setBudgetRollovers({});
+    setBudgetCarry({});
+    setPeriodBudgets([]);
+    setPeriodBudgetSpend({});
+    setAlertSettings([]);
+    setAlertDrafts({});
+    setSentAlertKeys(null);
+    setReminderSettings(null);
+    setReminderDraft(defaultReminderSettings);
+    saveReminderState(null).catch(() => {});
+    setRecurringRules([]);
+    setAccounts([]);
+    setImportProfiles([]);
+    setSavedSearches([]);
+    setSearchResults(null);
+    setStatementRows(null);
+    setCategoryRules([]);
+    setHousehold(null);
+    setHouseholdMembers([]);
+    setHouseholdLoaded(false);
   };
 
-  const handleSubmit = async (event) => {
-    event.preventDefault();
-    if (!form.date || !form.amount) return;
+  const defaultDisplayName = () => (session.user.email || '').split('@')[0] || 'メンバー';
 
-    const amountValue = Number(form.amount);
-    if (Number.isNaN(amountValue)) {
-      setStatus('金額が正しくありません');
-      return;
+  const loadHousehold = async () => {
+    const { data: membership, error } = await supabase
+      .from('household_members')
+      .select('role, households(id, name, created_by)')
+      .eq('user_id', session.user.id)
+      .order('created_at', { ascending: true })
+      .limit(1)
+      .maybeSingle();
+    if (error) setStatus(`世帯読み込みエラー: ${error.message}`);
+    const current = membership?.households
+      ? { ...membership.households, role: membership.role }
+      : null;
+    setHousehold(current);
+    if (current) {
+      const [{ data: members }, { data: invitations }] = await Promise.all([
+        supabase
+          .from('household_members')
+          .select('*')
+          .eq('household_id', current.id)
+          .order('created_at', { ascending: true }),
+        supabase
+          .from('household_invitations')
+          .select('*')
+          .eq('household_id', current.id)
+          .is('accepted_at', null)
+          .order('created_at', { ascending: true })
+      ]);
+      setHouseholdMembers(members || []);
+      setHouseholdInvitations(invitations || []);
+    } else {
+      setHouseholdMembers([]);
+      setHouseholdInvitations([]);
     }
+    const { data: received } = await supabase
+      .from('household_invitations')
+      .select('*, households(name)')
+      .eq('email', (session.user.email || '').toLowerCase())
+      .is('accepted_at', null);
+    setPendingInvitations((received || []).filter((item) => item.household_id !== current?.id));
+    setHouseholdLoaded(true);
+  };
 
-    setLoading(true);
-    const payload = {
-      date: form.date,
-      amount: Math.abs(amountValue),
-      type: form.type,
-      purpose: form.purpose,
-      category: form.category,
-      note: form.note.trim(),
-      user_id: session.user.id
+  // 世帯にすでに同じカテゴリ・タグ・口座・予算（月とカテゴリ）があるときは世帯の行を残し、自分の行は移さずに寄せる
+  const mergeDuplicatesIntoHousehold = async (targetId) => {
+    const fetchPair = async (table, columns) => {
+      const [{ data: shared, error }, { data: own, error: ownError }] = await Promise.all([
+        supabase.from(table).select(`id, ${columns}`).eq('household_id', targetId),
+        supabase
+          .from(table)
+          .select(`id, ${columns}`)
+          .eq('user_id', session.user.id)
+          .is('household_id', null)
+      ]);
+      return { shared: shared || [], own: own || [], error: error || ownError };
+    };
+    const dropOwn = async (table, columns, keyOf) => {
+      const { shared, own, error } = await fetchPair(table, columns);
+      if (error) return error;
+      const taken = new Set(shared.map(keyOf));
+      const duplicateIds = own.filter((row) => taken.has(keyOf(row))).map((row) => row.id);
+      if (duplicateIds.length === 0) return null;
+      const { error: deleteError } = await supabase.from(table).delete().in('id', duplicateIds);
+      return deleteError;
     };
+    const categoryError = await dropOwn('categories', 'name', (row) => row.name);
+    if (categoryError) return categoryError;
+    const tagError = await dropOwn('tags', 'name', (row) => row.name);
+    if (tagError) return tagError;
+    const budgetError = await dropOwn(
+      'budgets',
+      'month, category',
+      (row) => `${row.month}|${row.category}`
+    );
+    if (budgetError) return budgetError;
+    // 口座は明細などの参照を世帯の口座に付け替え、開始残高を足してから消す
+    const { shared, own, error } = await fetchPair('accounts', 'name, opening_balance');
+    if (error) return error;
+    for (const account of own) {
+      const target = shared.find((row) => row.name === account.name);
+      if (!target) continue;
+      const results = await Promise.all([
+        supabase.from('transactions').update({ account_id: target.id }).eq('account_id', account.id),
+        supabase
+          .from('transactions')
+          .update({ to_account_id: target.id })
+          .eq('to_account_id', account.id),
+        supabase
+          .from('recurring_transactions')
+          .update({ account_id: target.id })
+          .eq('account_id', account.id),
+        supabase
+          .from('recurring_transactions')
+          .update({ to_account_id: target.id })
+          .eq('to_account_id', account.id),
+        supabase.from('category_rules').update({ account_id: target.id }).eq('account_id', account.id)
+      ]);
+      const failed = results.find((result) => result.error);
+      if (failed) return failed.error;
+      target.opening_balance += account.opening_balance;
+      const { error: balanceError } = await supabase
+        .from('accounts')
+        .update({ opening_balance: target.opening_balance })
+        .eq('id', target.id);
+      if (balanceError) return balanceError;
+      const { error: deleteError } = await supabase.from('accounts').delete().eq('id', account.id);
+      if (deleteError) return deleteError;
+    }
+    return null;
+  };
 
-    const { error } = await supabase.from('transactions').insert(payload);
-    if (error) {
-      setStatus(`保存エラー: ${error.message}`);
-    } else {
-      setForm((prev) => ({ ...prev, amount: '', note: '' }));
-      await loadTransactions();
+  const moveDataToHousehold = async (targetId) => {
+    if (!confirm('これまでの自分の明細・カテゴリ・予算・口座などを世帯の家計簿に移しますか？')) return;
+    const mergeError = await mergeDuplicatesIntoHousehold(targetId);
+    if (mergeError) {
+      setStatus(`世帯への移行エラー: ${mergeError.message}`);
+      return;
     }
-    setLoading(false);
+    for (const table of ledgerTables) {
+      const values =
+        table === 'transactions'
+          ? { household_id: targetId, paid_by: session.user.id }
+          : { household_id: targetId };
+      const { error } = await supabase
+        .from(table)
+        .update(values)
+        .eq('user_id', session.user.id)
+        .is('household_id', null);
+      if (error) {
+        setStatus(`世帯への移行エラー: ${error.message}`);
+        return;
+      }
+    }
+    setStatus('自分のデータを世帯の家計簿に移しました');
   };
 
-  const handleDelete = async (id) => {
-    if (!confirm('この明細を削除しますか？')) return;
+  const handleCreateHousehold = async (event) => {
+    event.preventDefault();
+    const name = householdName.trim();
+    if (!name) return;
     setLoading(true);
-    const { error } = await supabase.from('transactions').delete().eq('id', id);
+    const { data, error } = await supabase
+      .from('households')
+      .insert({ name, created_by: session.user.id })
+      .select()
+      .single();
     if (error) {
-      setStatus(`削除エラー: ${error.message}`);
+      setStatus(`世帯作成エラー: ${error.message}`);
+      setLoading(false);
+      return;
+    }
+    const { error: memberError } = await supabase.from('household_members').insert({
+      household_id: data.id,
+      user_id: session.user.id,
+      role: 'owner',
+      display_name: defaultDisplayName()
+    });
+    if (memberError) {
+      setStatus(`世帯作成エラー: ${memberError.message}`);
     } else {
-      await loadTransactions();
+      setHouseholdName('');
+      await moveDataToHousehold(data.id);
+      await loadHousehold();
     }
     setLoading(false);
   };
 
-  const loadCategories = async () => {
+  const acceptInvitation = async (invitation) => {
     setLoading(true);
-    const { data, error } = await supabase
-      .from('categories')
-      .select('*')
-      .order('created_at', { ascending: true });
-
+    const { error } = await supabase.rpc('accept_household_invitation', {
+      p_invitation: invitation.id,
+      p_display_name: defaultDisplayName()
+    });
     if (error) {
-      setStatus(`カテゴリ読み込みエラー: ${error.message}`);
-      setCategories(defaultCategories);
+      setStatus(`世帯への参加エラー: ${error.message}`);
       setLoading(false);
       return;
     }
+    await moveDataToHousehold(invitation.household_id);
+    await loadHousehold();
+    setLoading(false);
+  };
 
-    if (!data || data.length === 0) {
-      const seedPayload = defaultCategories.map((name) => ({
-        name,
-        user_id: session.user.id
-      }));
-      const { error: seedError } = await supabase.from('categories').insert(seedPayload);
-      if (seedError) {
-        setStatus(`カテゴリ初期化エラー: ${seedError.message}`);
-        setCategories(defaultCategories);
-      } else {
-        const { data: seeded } = await supabase
-          .from('categories')
-          .select('*')
-          .order('created_at', { ascending: true });
-        setCategories((seeded || []).map((item) => item.name));
-      }
-      setLoading(false);
+  const declineInvitation = async (id) => {
+    if (!confirm('この招待を断りますか？')) return;
+    const { error } = await supabase.from('household_invitations').delete().eq('id', id);
+    if (error) {
+      setStatus(`招待の削除エラー: ${error.message}`);
       return;
     }
-
-    const nextCategories = data.map((item) => item.name);
-    setCategories(nextCategories);
-    if (!nextCategories.includes(form.category)) {
-      setForm((prev) => ({ ...prev, category: nextCategories[0] || defaultCategories[0] }));
-    }
-    setLoading(false);
+    await loadHousehold();
   };
 
-  const handleAddCategory = async (event) => {
+  const handleInvite = async (event) => {
     event.preventDefault();
-    const name = categoryDraft.trim();
-    if (!name) return;
+    const target = inviteEmail.trim().toLowerCase();
+    if (!target || !household) return;
     setLoading(true);
-    const { error } = await supabase.from('categories').insert({
-      name,
-      user_id: session.user.id
+    const { error } = await supabase.from('household_invitations').insert({
+      household_id: household.id,
+      email: target,
+      role: 'member',
+      invited_by: session.user.id
     });
     if (error) {
-      setStatus(`カテゴリ追加エラー: ${error.message}`);
+      setStatus(
+        error.code === '23505' ? 'このメールアドレスは招待済みです' : `招待エラー: ${error.message}`
+      );
+      setLoading(false);
+      return;
+    }
+    // 招待メールはログインと同じOTPメールで送り、ログイン後に招待を承認してもらう
+    const { error: otpError } = await supabase.auth.signInWithOtp({
+      email: target,
+      options: { emailRedirectTo: window.location.origin }
+    });
+    if (otpError) {
+      setStatus(`招待メール送信エラー: ${otpError.message}`);
     } else {
-      setCategoryDraft('');
-      await loadCategories();
+      setInviteEmail('');
+      setStatus(`${target} に招待メールを送りました`);
     }
+    await loadHousehold();
     setLoading(false);
   };
 
-  const startEditCategory = (name) => {
-    setEditingCategoryId(name);
+  const removeHouseholdMember = async (member) => {
+    const isSelf = member.user_id === session.user.id;
+    const message = isSelf
+      ? '世帯から抜けますか？（自分が登録したデータは世帯に残ります）'
+      : `${member.display_name || 'メンバー'} を世帯から外しますか？`;
+    if (!confirm(message)) return;
+    setLoading(true);
+    const { error } = await supabase
+      .from('household_members')
+      .delete()
+      .eq('household_id', member.household_id)
+      .eq('user_id', member.user_id);
+    if (error) {
+      setStatus(`メンバー削除エラー: ${error.message}`);
+    } else {
+      await loadHousehold();
+    }
+    setLoading(false);
+  };
+
+  const memberNameOf = (userId) =>
+    householdMembers.find((member) => member.user_id === userId)?.display_name || '';
+
+  const householdMemberIds = householdMembers.map((member) => member.user_id);
+
+  const changeShareMode = (values, update, mode) => {
+    if (mode === 'equal') {
+      update({ shares: null });
+      return;
+    }
+    const shareValues = {};
+    if (mode === 'percent') {
+      const base = Math.floor(100 / householdMemberIds.length);
+      householdMemberIds.forEach((id, index) => {
+        shareValues[id] = index === 0 ? 100 - base * (householdMemberIds.length - 1) : base;
+      });
+    }
+    update({ shares: { mode, values: shareValues } });
+  };
+
+  const updateShareValue = (values, update, id, value) => {
+    const base =
+      values.shares ||
+      { mode: 'equal', values: Object.fromEntries(householdMemberIds.map((memberId) => [memberId, 1])) };
+    update({ shares: { ...base, values: { ...base.values, [id]: value } } });
+  };
+
+  const recordSettlements = async (transfers) => {
+    if (transfers.length === 0) return;
+    const lines = transfers.map(
+      (transfer) =>
+        `${memberNameOf(transfer.from)} → ${memberNameOf(transfer.to)}: ${formatYen(transfer.amount)}`
+    );
+    if (!confirm(`次の精算を記録しますか？\n${lines.join('\n')}`)) return;
+    setLoading(true);
+    let synced = false;
+    for (const transfer of transfers) {
+      const id = createId();
+      const { error, synced: rowSynced } = await submitTransactionOp({
+        kind: 'insert',
+        recordId: id,
+        payload: {
+          id,
+          ...ledgerOwner(),
+          date: settlementRange.to,
+          amount: transfer.amount,
+          type: 'transfer',
+          purpose: 'consumption',
+          category: settlementCategory,
+          note: `${memberNameOf(transfer.from)}から${memberNameOf(transfer.to)}へ精算`,
+          account_id: null,
+          to_account_id: null,
+          splits: null,
+          shares: null,
+          paid_by: transfer.from,
+          settled_to: transfer.to,
+          created_at: new Date().toISOString()
+        }
+      });
+      if (error) {
+        setStatus(`精算の記録エラー: ${error.message}`);
+        break;
+      }
+      synced = synced || rowSynced;
+    }
+    if (synced) await loadTransactions();
+    setLoading(false);
+  };
+
+  const categoryOptionsFor = (type) => {
+    if (type === 'income') return incomeCategories;
+    if (type === 'transfer') return [transferCategory];
+    return categories;
+  };
+
+  const getTransactionError = (values) => {
+    if (Number.isNaN(Number(values.amount))) return '金額が正しくありません';
+    if (values.type === 'expense' && hasSplits(values)) {
+      if (values.splits.length < 2) return '分割は2行以上にしてください';
+      const amounts = values.splits.map((line) => Number(line.amount));
+      if (amounts.some((amount) => Number.isNaN(amount) || amount <= 0)) {
+        return '分割の金額が正しくありません';
+      }
+      const difference = Math.abs(Number(values.amount)) - amounts.reduce((sum, amount) => sum + amount, 0);
+      if (difference !== 0) return `分割の合計が金額と一致しません（差額 ${formatYen(difference)}）`;
+    }
+    if (values.type === 'transfer') {
+      if (!values.account_id || !values.to_account_id) return '振替元と振替先の口座を選んでください';
+      if (values.account_id === values.to_account_id) return '振替元と振替先は別の口座にしてください';
+    }
+    if (household && values.type === 'expense') {
+      return getShareError(values.shares, values.amount, householdMemberIds);
+    }
+    return '';
+  };
+
+  const toShares = (shares) => {
+    if (!shares) return null;
+    const values = {};
+    householdMemberIds.forEach((id) => {
+      const raw = shares.values?.[id];
+      const value = shares.mode === 'equal' ? (raw ? 1 : 0) : Number(raw || 0);
+      if (value > 0) values[id] = value;
+    });
+    return { mode: shares.mode, values };
+  };
+
+  const toSplitLines = (values) => {
+    if (values.type !== 'expense' || !hasSplits(values)) return null;
+    return values.splits.map((line) => ({
+      category: categories.includes(line.category) ? line.category : categories[0] || defaultCategories[0],
+      purpose: line.purpose || 'consumption',
+      amount: Math.abs(Number(line.amount)),
+      note: (line.note || '').trim()
+    }));
+  };
+
+  const toTransactionPayload = (values) => {
+    const options = categoryOptionsFor(values.type);
+    const splits = toSplitLines(values);
+    const mainLine = splits
+      ? splits.reduce((max, line) => (line.amount > max.amount ? line : max), splits[0])
+      : null;
+    return {
+      date: values.date,
+      amount: Math.abs(Number(values.amount)),
+      type: values.type,
+      purpose: mainLine ? mainLine.purpose : values.type === 'expense' ? values.purpose : 'consumption',
+      category: mainLine
+        ? mainLine.category
+        : options.includes(values.category)
+        ? values.category
+        : options[0] || defaultCategories[0],
+      note: values.note.trim(),
+      splits,
+      account_id: values.account_id || null,
+      to_account_id: values.type === 'transfer' ? values.to_account_id || null : null,
+      paid_by: householdId ? values.paid_by || session.user.id : null,
+      shares: householdId && values.type === 'expense' ? toShares(values.shares) : null,
+      tags: normalizeTags(values.tags)
+    };
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!form.date || !form.amount) return;
+
+    const validationError = getTransactionError(form);
+    if (validationError) {
+      setStatus(validationError);
+      return;
+    }
+    const payload = toTransactionPayload({ ...form, tags: [...form.tags, formTagInput] });
+
+    setLoading(true);
+    await ensureTags(payload.tags);
+    const id = createId();
+    const { error, synced } = await submitTransactionOp({
+      kind: 'insert',
+      recordId: id,
+      payload: {
+        ...payload,
+        id,
+        ...ledgerOwner(),
+        created_at: new Date().toISOString()
+      }
+    });
+    if (error) {
+      setStatus(`保存エラー: ${error.message}`);
+    } else {
+      if (formReceipts.length > 0) {
+        if (synced) {
+          await attachReceipts(id, formReceipts);
+        } else {
+          setStatus('オフラインのためレシートは添付していません。同期後に明細から添付してください');
+        }
+      }
+      setForm((prev) => ({ ...prev, amount: '', note: '', splits: [], shares: null, tags: [] }));
+      setFormTagInput('');
+      setFormReceipts([]);
+      setReceiptInputKey((key) => key + 1);
+      if (synced) await loadTransactions();
+    }
+    setLoading(false);
+  };
+
+  const loadReceipts = async (range) => {
+    const { data, error } = await inLedger(
+      supabase.from('receipts').select('*, transactions!inner(date)')
+    )
+      .gte('transactions.date', range.from)
+      .lte('transactions.date', range.to)
+      .order('created_at', { ascending: true });
+    if (error) return;
+    const map = {};
+    (await withSignedUrls(data || [])).forEach(({ transactions: _transaction, ...receipt }) => {
+      map[receipt.transaction_id] = [...(map[receipt.transaction_id] || []), receipt];
+    });
+    const current = ledgerRangeRef.current;
+    if (current && (current.from !== range.from || current.to !== range.to)) return;
+    setReceiptsByTransaction(map);
+  };
+
+  const attachReceipts = async (transactionId, files) => {
+    if (files.length === 0) return;
+    const { error } = await uploadReceipts(files, {
+      transactionId,
+      userId: session.user.id,
+      householdId
+    });
+    if (error) setStatus(`レシートの添付エラー: ${error.message}`);
+    await loadReceipts(ledgerRangeRef.current || getLedgerRange(month, cashFlowMode));
+  };
+
+  const handleAttachReceipts = async (transactionId, files) => {
+    setLoading(true);
+    await attachReceipts(transactionId, files);
+    setLoading(false);
+  };
+
+  const handleRemoveReceipt = async (receipt) => {
+    if (!confirm(`${receipt.file_name} を削除しますか？`)) return;
+    const { error } = await deleteReceipt(receipt);
+    if (error) {
+      setStatus(`レシートの削除エラー: ${error.message}`);
+      return;
+    }
+    setReceiptsByTransaction((prev) => ({
+      ...prev,
+      [receipt.transaction_id]: (prev[receipt.transaction_id] || []).filter(
+        (item) => item.id !== receipt.id
+      )
+    }));
+  };
+
+  // 同じお店の過去の明細で最も多いカテゴリを候補にする
+  const suggestCategoryForStore = async (store) => {
+    if (!store || isOffline()) return null;
+    const { data, error } = await inLedger(
+      supabase.from('transactions').select('category, purpose')
+    )
+      .eq('type', 'expense')
+      .ilike('note', toSearchPattern(store))
+      .order('date', { ascending: false })
+      .limit(20);
+    if (error || !data || data.length === 0) return null;
+    const counts = new Map();
+    data.forEach((row) => {
+      const key = `${row.purpose}\t${row.category}`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    const [key] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+    const [purpose, category] = key.split('\t');
+    return { purpose, category };
+  };
+
+  const handleReceiptOcr = async (file) => {
+    if (!file) return;
+    setOcrProgress(0);
+    setStatus('レシートを読み取っています...');
+    try {
+      const parsed = parseReceiptText(await recognizeReceipt(file, setOcrProgress));
+      const suggestion = await suggestCategoryForStore(parsed.store);
+      setForm((prev) => ({
+        ...prev,
+        type: 'expense',
+        amount: parsed.amount ? String(parsed.amount) : prev.amount,
+        date: parsed.date || prev.date,
+        note: parsed.store || prev.note,
+        ...(suggestion || {})
+      }));
+      setFormReceipts((prev) => [...prev, file]);
+      const found = [
+        parsed.amount && `金額 ${formatYen(parsed.amount)}`,
+        parsed.date && `日付 ${parsed.date}`,
+        parsed.store && `お店 ${parsed.store}`,
+        suggestion && `カテゴリ ${suggestion.category}（過去の明細から）`
+      ].filter(Boolean);
+      setStatus(
+        found.length > 0
+          ? `レシートから読み取りました: ${found.join(' / ')}。内容を確認して登録してください`
+          : 'レシートの内容を読み取れませんでした。手入力してください'
+      );
+    } catch (error) {
+      setStatus(`レシートの読み取りエラー: ${error.message}`);
+    } finally {
+      setOcrProgress(null);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!confirm('この明細を削除しますか？')) return;
+    setLoading(true);
+    if (!isOffline() && receiptsByTransaction[id]?.length) await removeReceiptFiles(id);
+    const { error, synced } = await submitTransactionOp(
+      { kind: 'delete', recordId: id },
+      transactions.find((item) => item.id === id)
+    );
+    if (error) {
+      setStatus(`削除エラー: ${error.message}`);
+    } else if (synced) {
+      await loadTransactions();
+    }
+    setLoading(false);
+  };
+
+  const startEditTransaction = (item) => {
+    setTransactionEditingId(item.id);
+    setTransactionEditing({
+      date: item.date,
+      amount: item.amount,
+      type: item.type,
+      purpose: item.purpose || 'consumption',
+      category: item.category,
+      note: item.note || '',
+      account_id: item.account_id || '',
+      to_account_id: item.to_account_id || '',
+      paid_by: item.paid_by || '',
+      shares: item.shares || null,
+      tags: item.tags || [],
+      splits: hasSplits(item)
+        ? item.splits.map((line) => ({ ...line, amount: String(line.amount) }))
+        : []
+    });
+  };
+
+  const toggleSplitExpanded = (id) => {
+    setExpandedSplitIds((prev) => ({ ...prev, [id]: !prev[id] }));
+  };
+
+  const startSplit = (values, update) => {
+    const second = categories.find((name) => name !== values.category) || values.category;
+    update({
+      splits: [
+        { category: values.category, purpose: values.purpose, amount: values.amount, note: '' },
+        { category: second, purpose: values.purpose, amount: '', note: '' }
+      ]
+    });
+  };
+
+  const updateSplitLine = (values, update, index, changes) => {
+    update({
+      splits: values.splits.map((line, lineIndex) => (lineIndex === index ? { ...line, ...changes } : line))
+    });
+  };
+
+  const cancelEditTransaction = () => {
+    setEditTagInput('');
+    setTransactionEditingId(null);
+    setTransactionEditing(emptyTransactionDraft);
+  };
+
+  const changeEditingTransactionType = (type) => {
+    setTransactionEditing((prev) => {
+      const options = categoryOptionsFor(type);
+      return {
+        ...prev,
+        type,
+        purpose: type === 'expense' ? prev.purpose : 'consumption',
+        category: options.includes(prev.category) ? prev.category : options[0] || defaultCategories[0]
+      };
+    });
+  };
+
+  const saveTransaction = async (id) => {
+    if (!transactionEditing.date || transactionEditing.amount === '') {
+      setStatus('日付と金額を入力してください');
+      return;
+    }
+    const validationError = getTransactionError(transactionEditing);
+    if (validationError) {
+      setStatus(validationError);
+      return;
+    }
+    const payload = toTransactionPayload({
+      ...transactionEditing,
+      tags: [...transactionEditing.tags, editTagInput]
+    });
+    setLoading(true);
+    await ensureTags(payload.tags);
+    const { error, synced } = await submitTransactionOp(
+      { kind: 'update', recordId: id, payload },
+      transactions.find((item) => item.id === id)
+    );
+    if (error) {
+      setStatus(`更新エラー: ${error.message}`);
+    } else {
+      if (synced) {
+        setTransactions((prev) =>
+          prev.map((item) => (item.id === id ? { ...item, ...payload } : item))
+        );
+      }
+      cancelEditTransaction();
+    }
+    setLoading(false);
+  };
+
+  const loadCategories = async () => {
+    setLoading(true);
+    const { data, error } = await inLedger(supabase.from('categories').select('*')).order(
+      'created_at',
+      { ascending: true }
+    );
+
+    if (error) {
+      setStatus(`カテゴリ読み込みエラー: ${error.message}`);
+      setCategories(defaultCategories);
+      setLoading(false);
+      return;
+    }
+
+    if (!data || data.length === 0) {
+      const seedPayload = defaultCategories.map((name) => ({
+        name,
+        ...ledgerOwner()
+      }));
+      // 世帯の別のメンバーが同時に初期化していても、重複せずにそちらを使う
+      const { error: seedError } = await supabase
+        .from('categories')
+        .upsert(seedPayload, {
+          onConflict: ledgerConflictKey(householdId, 'name'),
+          ignoreDuplicates: true
+        });
+      if (seedError) {
+        setStatus(`カテゴリ初期化エラー: ${seedError.message}`);
+        setCategories(defaultCategories);
+      } else {
+        const { data: seeded } = await inLedger(supabase.from('categories').select('*')).order(
+          'created_at',
+          { ascending: true }
+        );
+        categoryRowsRef.current = Object.fromEntries(
+          (seeded || []).map((item) => [item.id, item.name])
+        );
+        setCategories((seeded || []).map((item) => item.name));
+      }
+      setLoading(false);
+      return;
+    }
+
+    categoryRowsRef.current = Object.fromEntries(data.map((item) => [item.id, item.name]));
+    // 世帯では同じ名前のカテゴリをメンバーごとに持つことがあるので重複を除く
+    const nextCategories = [...new Set(data.map((item) => item.name))];
+    setCategories(nextCategories);
+    if (!nextCategories.includes(form.category)) {
+      setForm((prev) => ({ ...prev, category: nextCategories[0] || defaultCategories[0] }));
+    }
+    setLoading(false);
+  };
+
+  const loadTags = async () => {
+    const { data, error } = await inLedger(supabase.from('tags').select('*')).order('name', {
+      ascending: true
+    });
+    if (error) {
+      setStatus(`タグ読み込みエラー: ${error.message}`);
+      return;
+    }
+    setTags(normalizeTags((data || []).map((item) => item.name)));
+  };
+
+  // 入力フォームで新しく使われたタグは、管理画面や候補に出るよう一覧にも登録する
+  const ensureTags = async (names) => {
+    const missing = names.filter((name) => !tags.includes(name));
+    if (missing.length === 0) return;
+    const { error } = await supabase
+      .from('tags')
+      .upsert(
+        missing.map((name) => ({ name, ...ledgerOwner() })),
+        { onConflict: ledgerConflictKey(householdId, 'name'), ignoreDuplicates: true }
+      );
+    if (error) {
+      setStatus(`タグ追加エラー: ${error.message}`);
+      return;
+    }
+    setTags((prev) => normalizeTags([...prev, ...missing]).sort());
+  };
+
+  const handleAddTag = async (event) => {
+    event.preventDefault();
+    const name = tagDraft.trim();
+    if (!name) return;
+    if (tags.includes(name)) {
+      setStatus('同じ名前のタグがあります');
+      return;
+    }
+    setLoading(true);
+    await ensureTags([name]);
+    setTagDraft('');
+    setLoading(false);
+  };
+
+  const cancelEditTag = () => {
+    setEditingTag(null);
+    setEditingTagName('');
+  };
+
+  const handleRenameTag = async (oldName) => {
+    const nextName = editingTagName.trim();
+    if (!nextName || nextName === oldName) {
+      cancelEditTag();
+      return;
+    }
+    if (tags.includes(nextName) && !confirm(`タグ「${oldName}」を「${nextName}」にまとめますか？`)) return;
+    setLoading(true);
+    const { error } = await supabase.rpc('rename_tag', {
+      p_household: householdId,
+      p_old: oldName,
+      p_new: nextName
+    });
+    if (error) {
+      setStatus(`タグ更新エラー: ${error.message}`);
+    } else {
+      await loadTags();
+      await loadTransactions();
+      if (filters.tag === oldName) setFilters((prev) => ({ ...prev, tag: nextName }));
+      cancelEditTag();
+    }
+    setLoading(false);
+  };
+
+  const handleDeleteTag = async (name) => {
+    if (!confirm(`タグ「${name}」を削除しますか？（明細からも外れます）`)) return;
+    setLoading(true);
+    const { error } = await supabase.rpc('remove_tag', { p_household: householdId, p_name: name });
+    if (error) {
+      setStatus(`タグ削除エラー: ${error.message}`);
+    } else {
+      await loadTags();
+      await loadTransactions();
+      if (filters.tag === name) setFilters((prev) => ({ ...prev, tag: 'all' }));
+    }
+    setLoading(false);
+  };
+
+  const handleAddCategory = async (event) => {
+    event.preventDefault();
+    const name = categoryDraft.trim();
+    if (!name) return;
+    setLoading(true);
+    const { error } = await supabase.from('categories').insert({
+      name,
+      ...ledgerOwner()
+    });
+    if (error) {
+      setStatus(`カテゴリ追加エラー: ${error.message}`);
+    } else {
+      setCategoryDraft('');
+      await loadCategories();
+    }
+    setLoading(false);
+  };
+
+  const startEditCategory = (name) => {
+    setEditingCategoryId(name);
     setEditingCategoryName(name);
   };
 
@@ -341,24 +1756,28 @@ export default function App() {
       return;
     }
     setLoading(true);
-    const { error } = await supabase
-      .from('categories')
-      .update({ name: nextName })
-      .eq('user_id', session.user.id)
-      .eq('name', oldName);
+    const { error } = await inLedger(
+      supabase.from('categories').update({ name: nextName })
+    ).eq('name', oldName);
     if (error) {
       setStatus(`カテゴリ更新エラー: ${error.message}`);
       setLoading(false);
       return;
     }
 
+    await inLedger(supabase.from('transactions').update({ category: nextName })).eq(
+      'category',
+      oldName
+    );
+
     await supabase
-      .from('transactions')
-      .update({ category: nextName })
+      .from('category_rules')
+      .update({ set_category: nextName })
       .eq('user_id', session.user.id)
-      .eq('category', oldName);
+      .eq('set_category', oldName);
 
     await loadCategories();
+    await loadCategoryRules();
     if (form.category === oldName) {
       setForm((prev) => ({ ...prev, category: nextName }));
     }
@@ -367,11 +1786,9 @@ export default function App() {
   };
 
   const handleDeleteCategory = async (name) => {
-    const { count, error: countError } = await supabase
-      .from('transactions')
-      .select('id', { count: 'exact', head: true })
-      .eq('user_id', session.user.id)
-      .eq('category', name);
+    const { count, error: countError } = await inLedger(
+      supabase.from('transactions').select('id', { count: 'exact', head: true })
+    ).eq('category', name);
 
     if (countError) {
       setStatus(`カテゴリ確認エラー: ${countError.message}`);
@@ -385,19 +1802,11 @@ export default function App() {
 
     if (!confirm(`カテゴリ「${name}」を削除しますか？`)) return;
     setLoading(true);
-    const { error } = await supabase
-      .from('categories')
-      .delete()
-      .eq('user_id', session.user.id)
-      .eq('name', name);
+    const { error } = await inLedger(supabase.from('categories').delete()).eq('name', name);
     if (error) {
       setStatus(`カテゴリ削除エラー: ${error.message}`);
     } else {
-      await supabase
-        .from('budgets')
-        .delete()
-        .eq('user_id', session.user.id)
-        .eq('category', name);
+      await inLedger(supabase.from('budgets').delete()).eq('category', name);
       await loadCategories();
       if (form.category === name) {
         setForm((prev) => ({ ...prev, category: defaultCategories[0] }));
@@ -408,9 +1817,7 @@ export default function App() {
 
   const loadBudgets = async (targetMonth) => {
     if (!targetMonth) return;
-    const { data, error } = await supabase
-      .from('budgets')
-      .select('*')
+    const { data, error } = await inLedger(supabase.from('budgets').select('*'))
       .eq('month', targetMonth)
       .order('created_at', { ascending: true });
     if (error) {
@@ -418,10 +1825,15 @@ export default function App() {
       return;
     }
     const map = {};
+    const rollovers = {};
+    budgetRowsRef.current = {};
     (data || []).forEach((item) => {
       map[item.category] = item.amount;
+      rollovers[item.category] = item.rollover || 'none';
+      budgetRowsRef.current[item.id] = { month: item.month, category: item.category };
     });
     setBudgets(map);
+    setBudgetRollovers(rollovers);
     setBudgetDrafts((prev) => {
       const next = { ...prev };
       Object.entries(map).forEach(([category, amount]) => {
@@ -434,23 +1846,280 @@ export default function App() {
     }
   };
 
-  const loadGoals = async () => {
-    const { data, error } = await supabase
-      .from('savings_goals')
-      .select('*')
-      .order('created_at', { ascending: true });
-    if (error) {
-      setStatus(`貯金目標読み込みエラー: ${error.message}`);
+  // 過去3年の同じ月のカテゴリ別支出の平均。データのない年は平均に含めない
+  const loadForecastHistory = async () => {
+    const [year, monthIndex] = month.split('-').map(Number);
+    if (month !== getToday().slice(0, 7) || isOffline()) {
+      setForecastHistory({});
       return;
     }
-    setGoals(data || []);
+    const results = await Promise.all(
+      [1, 2, 3].map((back) =>
+        supabase.rpc('category_monthly_spend', {
+          p_household: householdId,
+          p_from: toDateString(year - back, monthIndex - 1, 1).slice(0, 7),
+          p_to: toDateString(year - back, monthIndex, 1).slice(0, 7)
+        })
+      )
+    );
+    const totals = {};
+    results.forEach(({ data, error }) => {
+      if (error) return;
+      (data || []).forEach((row) => {
+        totals[row.category] = [...(totals[row.category] || []), Number(row.spent)];
+      });
+    });
+    setForecastHistory(
+      Object.fromEntries(
+        Object.entries(totals).map(([category, values]) => [
+          category,
+          values.reduce((sum, value) => sum + value, 0) / values.length
+        ])
+      )
+    );
   };
 
-  const maybeAutoCopyBudgets = async (targetMonth) => {
+  const loadBudgetCarry = async () => {
+    const rolling = Object.fromEntries(
+      Object.entries(budgetRollovers).filter(([, mode]) => mode !== 'none')
+    );
+    if (Object.keys(rolling).length === 0 || isOffline()) {
+      setBudgetCarry({});
+      return;
+    }
+    const categoryNames = Object.keys(rolling);
+    const { data: history, error } = await inLedger(
+      supabase.from('budgets').select('month, category, amount, rollover')
+    )
+      .lt('month', month)
+      .in('category', categoryNames);
+    if (error) return;
+    if (!history || history.length === 0) {
+      setBudgetCarry({});
+      return;
+    }
+    const from = history.reduce((min, row) => (row.month < min ? row.month : min), month);
+    const { data: spend, error: spendError } = await supabase.rpc('category_monthly_spend', {
+      p_household: householdId,
+      p_from: from,
+      p_to: month
+    });
+    if (spendError) return;
+    setBudgetCarry(computeCarryOvers(month, rolling, history, spend || []));
+  };
+
+  const loadPeriodBudgets = async () => {
+    const [{ data, error }, { data: spend, error: spendError }] = await Promise.all([
+      inLedger(supabase.from('period_budgets').select('*')).order('start_date', {
+        ascending: true
+      }),
+      supabase.rpc('period_budget_spend', { p_household: householdId })
+    ]);
+    if (error) {
+      setStatus(`期間予算読み込みエラー: ${error.message}`);
+      return;
+    }
+    setPeriodBudgets(data || []);
+    if (!spendError) {
+      setPeriodBudgetSpend(
+        Object.fromEntries((spend || []).map((row) => [row.budget_id, Number(row.spent)]))
+      );
+    }
+  };
+
+  const alertLedgerKey = householdId || 'personal';
+
+  const loadAlertSettings = async () => {
+    const { data, error } = await inLedger(supabase.from('budget_alert_settings').select('*')).eq(
+      'user_id',
+      session.user.id
+    );
+    if (error) {
+      setStatus(`予算アラート設定の読み込みエラー: ${error.message}`);
+      return;
+    }
+    setAlertSettings(data || []);
+    setAlertDrafts(
+      Object.fromEntries(
+        (data || []).map((row) => [
+          row.category,
+          { enabled: row.enabled, thresholds: row.thresholds.join(','), pace_alert: row.pace_alert }
+        ])
+      )
+    );
+  };
+
+  const loadSentAlerts = async () => {
+    setSentAlertKeys(null);
+    const { data, error } = await supabase
+      .from('sent_budget_alerts')
+      .select('alert_key')
+      .like('alert_key', `${alertLedgerKey}|${month}|%`);
+    if (error) return;
+    setSentAlertKeys(new Set((data || []).map((row) => row.alert_key)));
+  };
+
+  const alertDraftOf = (name) =>
+    alertDrafts[name] || {
+      enabled: false,
+      thresholds: defaultAlertThresholds.join(','),
+      pace_alert: false
+    };
+
+  const updateAlertDraft = (name, changes) => {
+    setAlertDrafts((prev) => ({ ...prev, [name]: { ...alertDraftOf(name), ...changes } }));
+  };
+
+  const saveAlertSetting = async (name) => {
+    const draft = alertDraftOf(name);
+    const thresholds = parseThresholds(draft.thresholds);
+    if (draft.enabled && thresholds.length === 0 && !draft.pace_alert) {
+      setStatus('通知するしきい値（%）を入力してください');
+      return;
+    }
+    setLoading(true);
+    const { error } = await supabase.from('budget_alert_settings').upsert(
+      {
+        user_id: session.user.id,
+        household_id: householdId,
+        category: name,
+        enabled: draft.enabled,
+        thresholds,
+        pace_alert: draft.pace_alert
+      },
+      { onConflict: 'user_id,household_id,category' }
+    );
+    if (error) {
+      setStatus(`予算アラート設定の保存エラー: ${error.message}`);
+    } else {
+      setStatus(`${name} の予算アラートを保存しました`);
+      await loadAlertSettings();
+    }
+    setLoading(false);
+  };
+
+  const loadReminderSettings = async () => {
+    const { data, error } = await supabase
+      .from('notification_settings')
+      .select('*')
+      .eq('user_id', session.user.id)
+      .maybeSingle();
+    if (error) {
+      setStatus(`通知設定の読み込みエラー: ${error.message}`);
+      return;
+    }
+    const settings = { ...defaultReminderSettings, ...(data || {}) };
+    setReminderSettings(settings);
+    setReminderDraft(settings);
+  };
+
+  const saveReminderSettings = async () => {
+    const enabling = reminderDraft.daily_reminder || reminderDraft.weekly_summary;
+    if (enabling && typeof Notification !== 'undefined' && Notification.permission !== 'granted') {
+      const permission = await Notification.requestPermission();
+      if (permission !== 'granted') {
+        setStatus('通知が許可されていないため、リマインダーを送れません');
+        return;
+      }
+    }
+    setLoading(true);
+    const payload = {
+      user_id: session.user.id,
+      daily_reminder: reminderDraft.daily_reminder,
+      reminder_time: reminderDraft.reminder_time,
+      weekly_summary: reminderDraft.weekly_summary,
+      weekly_day: Number(reminderDraft.weekly_day),
+      weekly_time: reminderDraft.weekly_time
+    };
+    const { error } = await supabase
+      .from('notification_settings')
+      .upsert(payload, { onConflict: 'user_id' });
+    if (error) {
+      setStatus(`通知設定の保存エラー: ${error.message}`);
+      setLoading(false);
+      return;
+    }
+    setReminderSettings(payload);
+    if (!enabling) {
+      await unregisterReminderSync().catch(() => {});
+      setStatus('通知設定を保存しました');
+    } else if (await registerReminderSync()) {
+      setStatus('通知設定を保存しました。アプリを閉じていても通知します');
+    } else {
+      setStatus(
+        '通知設定を保存しました。この環境ではアプリ（タブ）を開いている間だけ通知します'
+      );
+    }
+    setLoading(false);
+  };
+
+  // 直近7日の支出は表示月に関係なく必要なので、明細の読み込みとは別に取得する
+  const buildWeeklySummary = async (today) => {
+    const [year, monthIndex, day] = today.split('-').map(Number);
+    const weekStart = toDateString(year, monthIndex - 1, day - 6);
+    const { data, error } = await inLedger(supabase.from('transactions').select('amount'))
+      .eq('type', 'expense')
+      .gte('date', weekStart)
+      .lte('date', today);
+    if (error) return reminderSummaryRef.current;
+    const weekSpent = (data || []).reduce((sum, item) => sum + item.amount, 0);
+    const budgetTotal = Object.values(effectiveBudgets).reduce((sum, value) => sum + value, 0);
+    const monthSpent = transactions
+      .filter((item) => item.type === 'expense' && toMonth(item.date) === month)
+      .reduce((sum, item) => sum + item.amount, 0);
+    const daysInMonth = new Date(year, monthIndex, 0).getDate();
+    const parts = [`直近7日の支出 ${formatYen(weekSpent)}`];
+    if (budgetTotal > 0) {
+      parts[0] += `（予算のペース ${formatYen((budgetTotal * 7) / daysInMonth)}）`;
+      parts.push(
+        `今月 ${formatYen(monthSpent)} / 予算 ${formatYen(budgetTotal)}（残り ${formatYen(
+          budgetTotal - monthSpent
+        )}）`
+      );
+    } else {
+      parts.push(`今月の支出 ${formatYen(monthSpent)}`);
+    }
+    return { body: parts.join('。'), updatedOn: today };
+  };
+
+  const togglePush = async () => {
+    setLoading(true);
+    const { error } = pushEnabled
+      ? await unsubscribeFromPush()
+      : await subscribeToPush();
+    if (error) {
+      setStatus(`プッシュ通知の設定エラー: ${error.message}`);
+    } else {
+      setPushEnabled(!pushEnabled);
+      setStatus(
+        pushEnabled
+          ? 'この端末のプッシュ通知を止めました'
+          : 'この端末で予算アラートのプッシュ通知を受け取ります'
+      );
+    }
+    setLoading(false);
+  };
+
+  const loadGoals = async () => {
+    const { data, error } = await inLedger(supabase.from('savings_goals').select('*')).order(
+      'created_at',
+      { ascending: true }
+    );
+    if (error) {
+      setStatus(`貯金目標読み込みエラー: ${error.message}`);
+      return;
+    }
+    setGoals(data || []);
+  };
+
+  const maybeAutoCopyBudgets = async (targetMonth) => {
     const storageKey = `budget-copy-${targetMonth}`;
     if (localStorage.getItem(storageKey)) return;
     const fromMonth = getPreviousMonthFrom(targetMonth);
-    const { data, error } = await supabase.from('budgets').select('*').eq('month', fromMonth);
+    const { data, error } = await inLedger(supabase.from('budgets').select('*')).eq(
+      'month',
+      fromMonth
+    );
     if (error || !data || data.length === 0) {
       localStorage.setItem(storageKey, 'skipped');
       return;
@@ -458,12 +2127,16 @@ export default function App() {
     localStorage.setItem(storageKey, 'prompted');
     if (!confirm(`${fromMonth} の予算を ${targetMonth} に自動コピーしますか？`)) return;
     const payload = data.map((item) => ({
-      user_id: session.user.id,
+      ...ledgerOwner(),
       month: targetMonth,
       category: item.category,
-      amount: item.amount
+      amount: item.amount,
+      rollover: item.rollover
     }));
-    const { error: insertError } = await supabase.from('budgets').insert(payload);
+    // 世帯の別のメンバーが先にコピーしていたら、そちらを残す
+    const { error: insertError } = await supabase
+      .from('budgets')
+      .upsert(payload, { onConflict: ledgerConflictKey(householdId, 'month,category'), ignoreDuplicates: true });
     if (insertError) {
       setStatus(`予算コピーエラー: ${insertError.message}`);
       return;
@@ -471,595 +2144,3388 @@ export default function App() {
     await loadBudgets(targetMonth);
   };
 
-  const handleBudgetChange = (name, value) => {
-    setBudgetDrafts((prev) => ({ ...prev, [name]: value }));
+  const loadAccounts = async () => {
+    const { data, error } = await inLedger(supabase.from('accounts').select('*')).order(
+      'created_at',
+      { ascending: true }
+    );
+    if (error) {
+      setStatus(`口座読み込みエラー: ${error.message}`);
+      return;
+    }
+    setAccounts(data || []);
   };
 
-  const saveBudget = async (name) => {
-    const raw = budgetDrafts[name];
-    if (raw === '' || raw === undefined) return;
-    const amountValue = Number(raw);
-    if (Number.isNaN(amountValue) || amountValue < 0) {
-      setStatus('予算は0以上の数値で入力してください');
+  const toAccountPayload = (values) => {
+    const opening = Number(values.opening_balance || 0);
+    if (!values.name.trim() || Number.isNaN(opening)) return null;
+    const isCard = values.kind === 'card';
+    const closingDay = isCard && values.closing_day ? Number(values.closing_day) : null;
+    const paymentDay = isCard && values.payment_day ? Number(values.payment_day) : null;
+    const isDay = (day) => day === null || (Number.isInteger(day) && day >= 1 && day <= 31);
+    if (!isDay(closingDay) || !isDay(paymentDay)) return null;
+    return {
+      name: values.name.trim(),
+      kind: values.kind,
+      opening_balance: Math.floor(opening),
+      closing_day: closingDay,
+      payment_day: paymentDay,
+      payment_month_offset: isCard ? Number(values.payment_month_offset || 1) : 1
+    };
+  };
+
+  const handleAccountSubmit = async (event) => {
+    event.preventDefault();
+    if (!accountDraft.name.trim()) return;
+    const payload = toAccountPayload(accountDraft);
+    if (!payload) {
+      setStatus('初期残高または締め日・支払日が正しくありません');
       return;
     }
     setLoading(true);
-    const { error } = await supabase.from('budgets').upsert({
-      user_id: session.user.id,
-      month,
-      category: name,
-      amount: Math.floor(amountValue)
+    const { error } = await supabase.from('accounts').insert({
+      ...payload,
+      ...ledgerOwner()
     });
     if (error) {
-      setStatus(`予算保存エラー: ${error.message}`);
+      setStatus(`口座追加エラー: ${error.message}`);
     } else {
-      await loadBudgets(month);
+      setAccountDraft(emptyAccountDraft);
+      await loadAccounts();
     }
     setLoading(false);
   };
 
-  const copyBudgetsFromMonth = async () => {
-    if (!copyFromMonth || copyFromMonth === month) {
-      setStatus('コピー元の月を選んでください');
+  const startEditAccount = (account) => {
+    setAccountEditingId(account.id);
+    setAccountEditing({
+      name: account.name,
+      kind: account.kind,
+      opening_balance: account.opening_balance,
+      closing_day: account.closing_day ?? '',
+      payment_day: account.payment_day ?? '',
+      payment_month_offset: String(account.payment_month_offset || 1)
+    });
+  };
+
+  const cancelEditAccount = () => {
+    setAccountEditingId(null);
+    setAccountEditing(emptyAccountDraft);
+  };
+
+  const saveAccount = async (id) => {
+    const payload = toAccountPayload(accountEditing);
+    if (!payload) {
+      setStatus('口座名・初期残高・締め日・支払日を確認してください');
       return;
     }
-    if (!confirm(`${copyFromMonth} の予算を ${month} にコピーしますか？`)) return;
     setLoading(true);
+    const { error } = await supabase.from('accounts').update(payload).eq('id', id);
+    if (error) {
+      setStatus(`口座更新エラー: ${error.message}`);
+    } else {
+      await loadAccounts();
+      cancelEditAccount();
+    }
+    setLoading(false);
+  };
+
+  const deleteAccount = async (id) => {
+    if (!confirm('この口座を削除しますか？（明細は口座未指定として残ります）')) return;
+    setLoading(true);
+    const { error } = await supabase.from('accounts').delete().eq('id', id);
+    if (error) {
+      setStatus(`口座削除エラー: ${error.message}`);
+    } else {
+      await loadAccounts();
+      await loadTransactions();
+    }
+    setLoading(false);
+  };
+
+  const loadCategoryRules = async () => {
     const { data, error } = await supabase
-      .from('budgets')
+      .from('category_rules')
       .select('*')
-      .eq('month', copyFromMonth);
+      .order('priority', { ascending: true })
+      .order('created_at', { ascending: true });
     if (error) {
-      setStatus(`予算読み込みエラー: ${error.message}`);
-      setLoading(false);
+      setStatus(`自動分類ルール読み込みエラー: ${error.message}`);
       return;
     }
-    if (!data || data.length === 0) {
-      setStatus('コピー元の予算がありません');
-      setLoading(false);
+    setCategoryRules(data || []);
+  };
+
+  const handleRuleSubmit = async (event) => {
+    event.preventDefault();
+    const minAmount = ruleDraft.min_amount === '' ? null : Number(ruleDraft.min_amount);
+    const maxAmount = ruleDraft.max_amount === '' ? null : Number(ruleDraft.max_amount);
+    if (Number.isNaN(minAmount) || Number.isNaN(maxAmount)) {
+      setStatus('金額の範囲が正しくありません');
       return;
     }
-    const { error: deleteError } = await supabase
-      .from('budgets')
-      .delete()
-      .eq('user_id', session.user.id)
-      .eq('month', month);
-    if (deleteError) {
-      setStatus(`予算削除エラー: ${deleteError.message}`);
-      setLoading(false);
+    if (!ruleDraft.pattern.trim() && minAmount === null && maxAmount === null && !ruleDraft.account_id) {
+      setStatus('キーワード・金額・口座のいずれかを指定してください');
       return;
     }
-    const payload = data.map((item) => ({
+    if (ruleDraft.match_type === 'regex') {
+      try {
+        new RegExp(ruleDraft.pattern);
+      } catch {
+        setStatus('正規表現が正しくありません');
+        return;
+      }
+    }
+    const options = categoryOptionsFor(ruleDraft.set_type || 'expense');
+    const category = options.includes(ruleDraft.set_category) ? ruleDraft.set_category : options[0];
+    setLoading(true);
+    const lastPriority = categoryRules.reduce((max, rule) => Math.max(max, rule.priority), 0);
+    const { error } = await supabase.from('category_rules').insert({
       user_id: session.user.id,
-      month,
-      category: item.category,
-      amount: item.amount
-    }));
-    const { error: insertError } = await supabase.from('budgets').insert(payload);
-    if (insertError) {
-      setStatus(`予算コピーエラー: ${insertError.message}`);
+      priority: lastPriority + 1,
+      pattern: ruleDraft.pattern.trim(),
+      match_type: ruleDraft.match_type,
+      min_amount: minAmount,
+      max_amount: maxAmount,
+      account_id: ruleDraft.account_id || null,
+      set_type: ruleDraft.set_type || null,
+      set_purpose: ruleDraft.set_type === 'income' ? null : ruleDraft.set_purpose || null,
+      set_category: category
+    });
+    if (error) {
+      setStatus(`自動分類ルール追加エラー: ${error.message}`);
     } else {
-      await loadBudgets(month);
-      setStatus('予算をコピーしました');
+      setRuleDraft(emptyRuleDraft);
+      await loadCategoryRules();
     }
     setLoading(false);
   };
 
-  const downloadCsv = (items, filename) => {
-    const header = ['日付', '種別', '分類', 'カテゴリ', 'メモ', '金額'];
-    const lines = items.map((item) => [
-      item.date,
-      item.type === 'income' ? '収入' : '支出',
-      item.type === 'income'
-        ? '収入'
-        : purposes.find((purpose) => purpose.value === item.purpose)?.label || '消費',
-      item.category,
-      item.note || '',
-      item.amount
+  const moveCategoryRule = async (index, direction) => {
+    const target = categoryRules[index + direction];
+    const current = categoryRules[index];
+    if (!target || !current) return;
+    setLoading(true);
+    const results = await Promise.all([
+      supabase.from('category_rules').update({ priority: target.priority }).eq('id', current.id),
+      supabase.from('category_rules').update({ priority: current.priority }).eq('id', target.id)
     ]);
-    const csv = [header, ...lines]
-      .map((row) => row.map((cell) => `"${String(cell).replace(/"/g, '""')}"`).join(','))
-      .join('\n');
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = filename;
-    link.click();
-    URL.revokeObjectURL(url);
+    const failed = results.find((result) => result.error);
+    if (failed) setStatus(`自動分類ルール更新エラー: ${failed.error.message}`);
+    await loadCategoryRules();
+    setLoading(false);
   };
 
-  const downloadCategoriesCsv = () => {
-    const header = ['カテゴリ'];
-    const lines = categories.map((name) => [name]);
-    const csv = [header, ...lines].map((row) => `"${row[0].replace(/"/g, '""')}"`).join('\n');
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = 'kakeibo-categories.csv';
-    link.click();
-    URL.revokeObjectURL(url);
+  const deleteCategoryRule = async (id) => {
+    if (!confirm('この自動分類ルールを削除しますか？')) return;
+    setLoading(true);
+    const { error } = await supabase.from('category_rules').delete().eq('id', id);
+    if (error) {
+      setStatus(`自動分類ルール削除エラー: ${error.message}`);
+    } else {
+      await loadCategoryRules();
+    }
+    setLoading(false);
   };
 
-  const downloadBudgetsCsv = () => {
-    const header = ['月', 'カテゴリ', '予算'];
-    const lines = Object.entries(budgets).map(([category, amount]) => [
-      month,
-      category,
-      amount
-    ]);
-    const csv = [header, ...lines]
-      .map((row) => row.map((cell) => `"${String(cell).replace(/"/g, '""')}"`).join(','))
-      .join('\n');
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `kakeibo-budgets-${month}.csv`;
-    link.click();
-    URL.revokeObjectURL(url);
+  const applyFormRuleSuggestion = () => {
+    if (!formRuleSuggestion) return;
+    setForm((prev) => ({
+      ...prev,
+      type: formRuleSuggestion.type,
+      purpose: formRuleSuggestion.purpose,
+      category: formRuleSuggestion.category
+    }));
   };
 
-  const downloadBudgetsCsvAll = async () => {
-    const { data, error } = await supabase
-      .from('budgets')
-      .select('month, category, amount')
-      .order('month', { ascending: true });
+  const loadRecurringRules = async () => {
+    const { data, error } = await inLedger(
+      supabase.from('recurring_transactions').select('*')
+    ).order('created_at', { ascending: true });
     if (error) {
-      setStatus(`予算CSVエラー: ${error.message}`);
+      setStatus(`定期明細読み込みエラー: ${error.message}`);
       return;
     }
-    const header = ['月', 'カテゴリ', '予算'];
-    const lines = (data || []).map((item) => [item.month, item.category, item.amount]);
-    const csv = [header, ...lines]
-      .map((row) => row.map((cell) => `"${String(cell).replace(/"/g, '""')}"`).join(','))
-      .join('\n');
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = 'kakeibo-budgets-all.csv';
-    link.click();
-    URL.revokeObjectURL(url);
+    setRecurringRules(data || []);
   };
 
-  const purposeFromLabel = (label) => {
-    const found = purposes.find((item) => item.label === label);
-    return found ? found.value : 'consumption';
+  const materializeRecurring = async (rules) => {
+    const today = getToday();
+    const pending = rules
+      .map((rule) => ({ rule, dates: getRecurringDates(rule, today) }))
+      .filter((entry) => entry.dates.length > 0);
+    if (pending.length === 0) return;
+    const payload = pending.flatMap(({ rule, dates }) =>
+      dates.map((date) => ({
+        user_id: session.user.id,
+        household_id: rule.household_id || null,
+        paid_by: rule.household_id ? rule.user_id : null,
+        recurring_id: rule.id,
+        date,
+        amount: rule.amount,
+        type: rule.type,
+        purpose: rule.purpose,
+        category: rule.category,
+        note: rule.note || '',
+        account_id: rule.account_id || null,
+        to_account_id: rule.to_account_id || null
+      }))
+    );
+    const { error } = await supabase
+      .from('transactions')
+      .upsert(payload, { onConflict: 'recurring_id,date', ignoreDuplicates: true });
+    if (error) {
+      setStatus(`定期明細の生成エラー: ${error.message}`);
+      return;
+    }
+    const generated = {};
+    pending.forEach(({ rule, dates }) => {
+      generated[rule.id] = dates[dates.length - 1];
+    });
+    await Promise.all(
+      Object.entries(generated).map(([id, date]) =>
+        supabase.from('recurring_transactions').update({ generated_through: date }).eq('id', id)
+      )
+    );
+    setRecurringRules((prev) =>
+      prev.map((rule) =>
+        generated[rule.id] ? { ...rule, generated_through: generated[rule.id] } : rule
+      )
+    );
+    await loadTransactions();
+    setStatus(`定期明細を${payload.length}件登録しました`);
   };
 
-  const handleImport = async () => {
-    if (!importFile) return;
-    setLoading(true);
-    try {
-      const text = await importFile.text();
-      const rows = parseCsv(text);
-      if (rows.length <= 1) {
-        setStatus('CSVにデータがありません');
-        setLoading(false);
-        return;
-      }
-      const header = rows[0];
-      const body = rows.slice(1).filter((row) => row.some((cell) => cell.length > 0));
-
-      if (importKind === 'transactions') {
-        if (header[0] !== '日付') {
-          setStatus('明細CSVの形式が違います');
-          setLoading(false);
-          return;
-        }
-        const payload = body
-          .map((row) => {
-            const [date, typeLabel, purposeLabel, category, note, amount] = row;
-            const type = typeLabel === '収入' ? 'income' : 'expense';
-            const purpose = type === 'income' ? 'consumption' : purposeFromLabel(purposeLabel);
-            const amountValue = Number(amount);
-            if (!date || Number.isNaN(amountValue)) return null;
-            return {
-              user_id: session.user.id,
-              date,
-              type,
-              purpose,
-              category: category || (type === 'income' ? incomeCategories[0] : defaultCategories[0]),
-              note: note || '',
-              amount: Math.abs(amountValue)
-            };
-          })
-          .filter(Boolean);
-        if (payload.length === 0) {
-          setStatus('インポートできる明細がありません');
-          setLoading(false);
-          return;
-        }
-        const { error } = await supabase.from('transactions').insert(payload);
-        if (error) {
-          setStatus(`明細インポートエラー: ${error.message}`);
-        } else {
-          await loadTransactions();
-          setStatus('明細をインポートしました');
-        }
-      }
-
-      if (importKind === 'categories') {
-        if (header[0] !== 'カテゴリ') {
-          setStatus('カテゴリCSVの形式が違います');
-          setLoading(false);
-          return;
-        }
-        const payload = body
-          .map((row) => row[0])
-          .filter((name) => name)
-          .map((name) => ({ user_id: session.user.id, name }));
-        if (payload.length === 0) {
-          setStatus('インポートできるカテゴリがありません');
-          setLoading(false);
-          return;
-        }
-        const { error } = await supabase.from('categories').insert(payload);
-        if (error) {
-          setStatus(`カテゴリインポートエラー: ${error.message}`);
-        } else {
-          await loadCategories();
-          setStatus('カテゴリをインポートしました');
-        }
-      }
-
-      if (importKind === 'budgets') {
-        if (header[0] !== '月') {
-          setStatus('予算CSVの形式が違います');
-          setLoading(false);
-          return;
-        }
-        const payload = body
-          .map((row) => {
-            const [monthValue, category, amount] = row;
-            const amountValue = Number(amount);
-            if (!monthValue || !category || Number.isNaN(amountValue)) return null;
-            return {
-              user_id: session.user.id,
-              month: monthValue,
-              category,
-              amount: Math.abs(amountValue)
-            };
-          })
-          .filter(Boolean);
-        if (payload.length === 0) {
-          setStatus('インポートできる予算がありません');
-          setLoading(false);
-          return;
-        }
-        const { error } = await supabase.from('budgets').insert(payload);
-        if (error) {
-          setStatus(`予算インポートエラー: ${error.message}`);
-        } else {
-          await loadBudgets(month);
-          setStatus('予算をインポートしました');
-        }
-      }
-    } finally {
-      setLoading(false);
-      setImportFile(null);
-    }
+  const changeRecurringDraftType = (type) => {
+    setRecurringDraft((prev) => {
+      const options = categoryOptionsFor(type);
+      return {
+        ...prev,
+        type,
+        purpose: type === 'expense' ? prev.purpose : 'consumption',
+        category: options.includes(prev.category) ? prev.category : options[0] || defaultCategories[0]
+      };
+    });
   };
 
-  const handleGoalSubmit = async (event) => {
+  const handleRecurringSubmit = async (event) => {
     event.preventDefault();
-    if (!goalDraft.name || !goalDraft.target_amount) return;
-    const target = Number(goalDraft.target_amount);
-    const current = Number(goalDraft.current_amount || 0);
-    if (Number.isNaN(target) || Number.isNaN(current) || target < 0 || current < 0) {
-      setStatus('貯金目標の金額が正しくありません');
+    if (!recurringDraft.start_date || !recurringDraft.amount) return;
+    const validationError = getTransactionError(recurringDraft);
+    if (validationError) {
+      setStatus(validationError);
+      return;
+    }
+    const payload = toTransactionPayload({ ...recurringDraft, date: recurringDraft.start_date });
+    const day = Number(recurringDraft.day_of_month);
+    const interval = Number(recurringDraft.interval_months || 1);
+    if (!Number.isInteger(day) || day < 1 || day > 31 || !Number.isInteger(interval) || interval < 1) {
+      setStatus('日付または間隔が正しくありません');
+      return;
+    }
+    if (recurringDraft.end_date && recurringDraft.end_date < recurringDraft.start_date) {
+      setStatus('終了日は開始日より後にしてください');
       return;
     }
     setLoading(true);
-    const { error } = await supabase.from('savings_goals').insert({
-      user_id: session.user.id,
-      name: goalDraft.name.trim(),
-      target_amount: Math.floor(target),
-      current_amount: Math.floor(current),
-      due_date: goalDraft.due_date || null
+    const {
+      date,
+      splits: _splits,
+      paid_by: _paidBy,
+      shares: _shares,
+      tags: _tags,
+      ...rest
+    } = payload;
+    const { error } = await supabase.from('recurring_transactions').insert({
+      ...rest,
+      ...ledgerOwner(),
+      start_date: date,
+      end_date: recurringDraft.end_date || null,
+      day_of_month: day,
+      interval_months: interval
     });
     if (error) {
-      setStatus(`貯金目標追加エラー: ${error.message}`);
+      setStatus(`定期明細追加エラー: ${error.message}`);
     } else {
-      setGoalDraft({ name: '', target_amount: '', current_amount: '', due_date: '' });
-      await loadGoals();
+      setRecurringDraft((prev) => ({ ...prev, amount: '', note: '', end_date: '' }));
+      await loadRecurringRules();
     }
     setLoading(false);
   };
 
-  const requestNotificationPermission = async () => {
-    if (typeof Notification === 'undefined') {
-      setStatus('このブラウザは通知に対応していません');
-      return;
-    }
-    if (Notification.permission === 'granted') {
-      setStatus('通知はすでに許可されています');
-      return;
-    }
-    const result = await Notification.requestPermission();
-    if (result === 'granted') {
-      setStatus('通知を許可しました');
+  const deleteRecurringRule = async (id) => {
+    if (!confirm('この定期明細を削除しますか？（登録済みの明細は残ります）')) return;
+    setLoading(true);
+    const { error } = await supabase.from('recurring_transactions').delete().eq('id', id);
+    if (error) {
+      setStatus(`定期明細削除エラー: ${error.message}`);
     } else {
-      setStatus('通知が許可されませんでした');
+      await loadRecurringRules();
     }
+    setLoading(false);
   };
 
-  const startEditGoal = (goal) => {
-    setGoalEditingId(goal.id);
-    setGoalEditing({
-      name: goal.name,
-      target_amount: goal.target_amount,
-      current_amount: goal.current_amount,
-      due_date: goal.due_date || ''
-    });
-  };
-
-  const cancelEditGoal = () => {
-    setGoalEditingId(null);
-    setGoalEditing({ name: '', target_amount: '', current_amount: '', due_date: '' });
+  const handleBudgetChange = (name, value) => {
+    setBudgetDrafts((prev) => ({ ...prev, [name]: value }));
   };
 
-  const saveGoal = async (id) => {
-    const target = Number(goalEditing.target_amount);
-    const current = Number(goalEditing.current_amount || 0);
-    if (!goalEditing.name || Number.isNaN(target) || Number.isNaN(current) || target < 0 || current < 0) {
-      setStatus('貯金目標の金額が正しくありません');
+  const saveBudget = async (name) => {
+    const raw = budgetDrafts[name];
+    if (raw === '' || raw === undefined) return;
+    const amountValue = Number(raw);
+    if (Number.isNaN(amountValue) || amountValue < 0) {
+      setStatus('予算は0以上の数値で入力してください');
       return;
     }
     setLoading(true);
     const { error } = await supabase
-      .from('savings_goals')
-      .update({
-        name: goalEditing.name.trim(),
-        target_amount: Math.floor(target),
-        current_amount: Math.floor(current),
-        due_date: goalEditing.due_date || null
-      })
-      .eq('id', id);
+      .from('budgets')
+      .upsert(
+        { ...ledgerOwner(), month, category: name, amount: Math.floor(amountValue) },
+        { onConflict: ledgerConflictKey(householdId, 'month,category') }
+      );
     if (error) {
-      setStatus(`貯金目標更新エラー: ${error.message}`);
+      setStatus(`予算保存エラー: ${error.message}`);
     } else {
-      await loadGoals();
-      cancelEditGoal();
+      await loadBudgets(month);
     }
     setLoading(false);
   };
 
-  const deleteGoal = async (id) => {
-    if (!confirm('この貯金目標を削除しますか？')) return;
+  const saveBudgetRollover = async (name, rollover) => {
     setLoading(true);
-    const { error } = await supabase.from('savings_goals').delete().eq('id', id);
+    const { error } = await supabase.from('budgets').upsert(
+      {
+        ...ledgerOwner(),
+        month,
+        category: name,
+        amount: budgets[name] ?? Math.max(Math.floor(Number(budgetDrafts[name]) || 0), 0),
+        rollover
+      },
+      { onConflict: ledgerConflictKey(householdId, 'month,category') }
+    );
     if (error) {
-      setStatus(`貯金目標削除エラー: ${error.message}`);
+      setStatus(`繰越設定の保存エラー: ${error.message}`);
     } else {
-      await loadGoals();
+      await loadBudgets(month);
     }
     setLoading(false);
   };
 
-  useEffect(() => {
-    if (form.type === 'expense' && !categories.includes(form.category)) {
-      setForm((prev) => ({ ...prev, category: categories[0] || defaultCategories[0] }));
+  const handlePeriodBudgetSubmit = async (event) => {
+    event.preventDefault();
+    const category = periodBudgetDraft.category || categories[0];
+    const amountValue = Number(periodBudgetDraft.amount);
+    if (!category || !periodBudgetDraft.amount || Number.isNaN(amountValue) || amountValue < 0) {
+      setStatus('期間予算のカテゴリと金額を確認してください');
+      return;
     }
-  }, [categories, form.category, form.type]);
-
-  useEffect(() => {
-    if (form.type === 'income' && !incomeCategories.includes(form.category)) {
-      setForm((prev) => ({ ...prev, category: incomeCategories[0], purpose: 'consumption' }));
+    const range = toPeriodRange(periodBudgetDraft);
+    if (!range.start_date || !range.end_date || range.start_date > range.end_date) {
+      setStatus('期間予算の期間が正しくありません');
+      return;
     }
-    if (form.type === 'expense' && !categories.includes(form.category)) {
-      setForm((prev) => ({ ...prev, category: categories[0] || defaultCategories[0] }));
+    setLoading(true);
+    const { error } = await supabase.from('period_budgets').insert({
+      ...ledgerOwner(),
+      category,
+      period: periodBudgetDraft.period,
+      ...range,
+      amount: Math.floor(amountValue),
+      note: periodBudgetDraft.note.trim()
+    });
+    if (error) {
+      setStatus(`期間予算追加エラー: ${error.message}`);
+    } else {
+      setPeriodBudgetDraft((prev) => ({ ...prev, amount: '', note: '' }));
+      await loadPeriodBudgets();
     }
-  }, [form.type, form.category, categories]);
+    setLoading(false);
+  };
 
-  useEffect(() => {
-    if (filters.type !== 'expense' && filters.purpose !== 'all') {
-      setFilters((prev) => ({ ...prev, purpose: 'all' }));
+  const deletePeriodBudget = async (budget) => {
+    if (!confirm(`${budget.note || budget.category} の期間予算を削除しますか？`)) return;
+    setLoading(true);
+    const { error } = await supabase.from('period_budgets').delete().eq('id', budget.id);
+    if (error) {
+      setStatus(`期間予算削除エラー: ${error.message}`);
+    } else {
+      await loadPeriodBudgets();
     }
-    if (filters.type === 'income' && filters.category !== 'all' && !incomeCategories.includes(filters.category)) {
-      setFilters((prev) => ({ ...prev, category: 'all' }));
+    setLoading(false);
+  };
+
+  const copyBudgetsFromMonth = async () => {
+    if (!copyFromMonth || copyFromMonth === month) {
+      setStatus('コピー元の月を選んでください');
+      return;
     }
-    if (filters.type === 'expense' && filters.category !== 'all' && !categories.includes(filters.category)) {
-      setFilters((prev) => ({ ...prev, category: 'all' }));
+    if (!confirm(`${copyFromMonth} の予算を ${month} にコピーしますか？`)) return;
+    setLoading(true);
+    const { data, error } = await inLedger(supabase.from('budgets').select('*')).eq(
+      'month',
+      copyFromMonth
+    );
+    if (error) {
+      setStatus(`予算読み込みエラー: ${error.message}`);
+      setLoading(false);
+      return;
     }
-  }, [filters.type, filters.category, filters.purpose, categories]);
-
-  const monthItems = useMemo(() => {
-    return transactions.filter((item) => toMonth(item.date) === month);
-  }, [transactions, month]);
-
-  const filteredItems = useMemo(() => {
-    return monthItems.filter((item) => {
-      if (filters.type !== 'all' && item.type !== filters.type) return false;
-      if (filters.purpose !== 'all' && item.type === 'expense' && item.purpose !== filters.purpose)
-        return false;
-      if (filters.category !== 'all' && item.category !== filters.category) return false;
-      if (filters.query) {
-        const target = `${item.note || ''}`.toLowerCase();
-        if (!target.includes(filters.query.toLowerCase())) return false;
-      }
-      if (filters.dateFrom && item.date < filters.dateFrom) return false;
-      if (filters.dateTo && item.date > filters.dateTo) return false;
-      return true;
-    });
-  }, [monthItems, filters]);
-
-  const stats = useMemo(() => {
-    const income = filteredItems
-      .filter((item) => item.type === 'income')
-      .reduce((sum, item) => sum + item.amount, 0);
-    const expense = filteredItems
-      .filter((item) => item.type === 'expense')
-      .reduce((sum, item) => sum + item.amount, 0);
-    return {
-      income,
-      expense,
-      balance: income - expense
-    };
-  }, [filteredItems]);
+    if (!data || data.length === 0) {
+      setStatus('コピー元の予算がありません');
+      setLoading(false);
+      return;
+    }
+    const { error: deleteError } = await inLedger(supabase.from('budgets').delete()).eq(
+      'month',
+      month
+    );
+    if (deleteError) {
+      setStatus(`予算削除エラー: ${deleteError.message}`);
+      setLoading(false);
+      return;
+    }
+    const payload = data.map((item) => ({
+      ...ledgerOwner(),
+      month,
+      category: item.category,
+      amount: item.amount,
+      rollover: item.rollover
+    }));
+    const { error: insertError } = await supabase.from('budgets').insert(payload);
+    if (insertError) {
+      setStatus(`予算コピーエラー: ${insertError.message}`);
+    } else {
+      await loadBudgets(month);
+      setStatus('予算をコピーしました');
+    }
+    setLoading(false);
+  };
 
-  const budgetStats = useMemo(() => {
-    const nowMonth = new Date().toISOString().slice(0, 7);
-    const [year, monthValue] = month.split('-').map(Number);
-    const daysInMonth = year && monthValue ? new Date(year, monthValue, 0).getDate() : 0;
-    const daysLeft = nowMonth === month ? Math.max(daysInMonth - new Date().getDate(), 0) : 0;
-    const expenseTotal = filteredItems
-      .filter((item) => item.type === 'expense')
-      .reduce((sum, item) => sum + item.amount, 0);
-    const budgetCategories =
-      filters.type === 'income'
-        ? []
-        : filters.category === 'all'
-        ? Object.keys(budgets)
-        : [filters.category];
-    const budgetTotal = budgetCategories.reduce((sum, name) => sum + (budgets[name] || 0), 0);
-    const percent = budgetTotal > 0 ? Math.round((expenseTotal / budgetTotal) * 100) : 0;
-    return {
-      budgetTotal,
-      expenseTotal,
-      remaining: budgetTotal - expenseTotal,
-      percent,
-      daysLeft,
-      daysInMonth
-    };
-  }, [budgets, filteredItems, filters.category, filters.type, month]);
+  const downloadCsv = (items, filename) => {
+    const header = ['日付', '種別', '分類', 'カテゴリ', 'メモ', '金額', '口座', '振替先'];
+    const lines = items.map((item) => [
+      item.date,
+      typeLabelOf(item.type),
+      purposeLabelOf(item),
+      item.category,
+      item.note || '',
+      item.amount,
+      accountNameOf(item.account_id),
+      accountNameOf(item.to_account_id)
+    ]);
+    const csv = [header, ...lines]
+      .map((row) => row.map((cell) => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+      .join('\n');
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
 
-  const categoryData = useMemo(() => {
-    const map = new Map();
-    filteredItems
-      .filter((item) => item.type === 'expense')
-      .forEach((item) => {
-        map.set(item.category, (map.get(item.category) || 0) + item.amount);
-      });
-    return Array.from(map.entries()).map(([name, value]) => ({ name, value }));
-  }, [filteredItems]);
+  const downloadAllCsv = async () => {
+    setLoading(true);
+    const { data, error } = await fetchTransactions((query) => query);
+    if (error) {
+      setStatus(`CSV出力エラー: ${error.message}`);
+    } else {
+      downloadCsv(data, 'kakeibo-all.csv');
+    }
+    setLoading(false);
+  };
 
-  const purposeData = useMemo(() => {
-    const map = new Map();
-    filteredItems
-      .filter((item) => item.type === 'expense')
-      .forEach((item) => {
-        const label = purposes.find((p) => p.value === item.purpose)?.label || '消費';
-        map.set(label, (map.get(label) || 0) + item.amount);
-      });
-    return Array.from(map.entries()).map(([name, value]) => ({ name, value }));
-  }, [filteredItems]);
+  const loadAnnualReport = async () => {
+    const year = Number(reportYear);
+    if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+      setStatus('レポートの年を正しく入力してください');
+      return;
+    }
+    setLoading(true);
+    const { data, error } = await fetchTransactions(
+      (query) => query.gte('date', `${year - 1}-01-01`).lte('date', `${year}-12-31`),
+      'id, date, type, amount, category, purpose, note, splits'
+    );
+    if (error) {
+      setStatus(`年間レポートの集計エラー: ${error.message}`);
+    } else {
+      setReport(
+        buildAnnualReport({
+          year,
+          items: data.filter((item) => item.date.startsWith(`${year}-`)),
+          previousItems: data.filter((item) => item.date.startsWith(`${year - 1}-`))
+        })
+      );
+    }
+    setLoading(false);
+  };
 
-  const categorySpendMap = useMemo(() => {
-    const map = {};
-    filteredItems
-      .filter((item) => item.type === 'expense')
-      .forEach((item) => {
-        map[item.category] = (map[item.category] || 0) + item.amount;
-      });
-    return map;
-  }, [filteredItems]);
+  const printAnnualReport = () => {
+    document.body.classList.add('printing-report');
+    window.addEventListener(
+      'afterprint',
+      () => document.body.classList.remove('printing-report'),
+      { once: true }
+    );
+    window.print();
+  };
 
-  const budgetChartData = useMemo(() => {
-    return categories
-      .map((name) => {
-        const budget = budgets[name] || 0;
-        const spent = categorySpendMap[name] || 0;
-        const remaining = Math.max(budget - spent, 0);
-        const over = Math.max(spent - budget, 0);
-        return { name, budget, spent, remaining, over };
-      })
-      .filter((item) => item.budget > 0 || item.spent > 0);
-  }, [budgets, categories, categorySpendMap]);
+  const downloadAnnualReportPdf = async () => {
+    if (!reportRef.current || !report) return;
+    setLoading(true);
+    try {
+      await exportElementToPdf(reportRef.current, `kakeibo-report-${report.year}.pdf`);
+    } catch (error) {
+      setStatus(`PDF出力エラー: ${error.message}`);
+    }
+    setLoading(false);
+  };
 
-  const filterCategoryOptions = useMemo(() => {
-    if (filters.type === 'income') return incomeCategories;
-    if (filters.type === 'expense') return categories;
-    return Array.from(new Set([...categories, ...incomeCategories]));
-  }, [filters.type, categories]);
+  const downloadCategoriesCsv = () => {
+    const header = ['カテゴリ'];
+    const lines = categories.map((name) => [name]);
+    const csv = [header, ...lines].map((row) => `"${row[0].replace(/"/g, '""')}"`).join('\n');
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'kakeibo-categories.csv';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
 
-  const monthlyData = useMemo(() => {
-    const map = new Map();
-    transactions.forEach((item) => {
-      const key = toMonth(item.date);
-      const current = map.get(key) || { month: key, income: 0, expense: 0 };
-      if (item.type === 'income') current.income += item.amount;
-      if (item.type === 'expense') current.expense += item.amount;
-      map.set(key, current);
-    });
-    return Array.from(map.values())
-      .sort((a, b) => a.month.localeCompare(b.month))
-      .map((entry) => ({
-        ...entry,
-        balance: entry.income - entry.expense
-      }));
-  }, [transactions]);
+  const downloadBudgetsCsv = () => {
+    const header = ['月', 'カテゴリ', '予算', '繰越'];
+    const lines = Object.entries(budgets).map(([category, amount]) => [
+      month,
+      category,
+      amount,
+      budgetCarry[category] || 0
+    ]);
+    const csv = [header, ...lines]
+      .map((row) => row.map((cell) => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+      .join('\n');
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `kakeibo-budgets-${month}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
 
-  if (!session) {
-    return (
-      <div className="login card">
-        <h1>家計簿へようこそ</h1>
-        <p className="notice">
-          メールアドレスにログインリンクを送ります。リンクを開くとログインできます。
-        </p>
-        <form onSubmit={handleLogin}>
-          <label>
-            メールアドレス
-            <input
-              type="email"
-              required
-              placeholder="you@example.com"
-              value={email}
-              onChange={(event) => setEmail(event.target.value)}
+  const downloadBudgetsCsvAll = async () => {
+    const { data, error } = await supabase
+      .from('budgets')
+      .select('month, category, amount')
+      .order('month', { ascending: true });
+    if (error) {
+      setStatus(`予算CSVエラー: ${error.message}`);
+      return;
+    }
+    const header = ['月', 'カテゴリ', '予算'];
+    const lines = (data || []).map((item) => [item.month, item.category, item.amount]);
+    const csv = [header, ...lines]
+      .map((row) => row.map((cell) => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+      .join('\n');
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'kakeibo-budgets-all.csv';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const accountNameOf = (id) => accounts.find((account) => account.id === id)?.name || '';
+
+  const accountIdOf = (name) => accounts.find((account) => account.name === name)?.id || null;
+
+  const downloadJsonBackup = async () => {
+    setLoading(true);
+    const { backup, error } = await createBackup(ledgerOwner());
+    setLoading(false);
+    if (error) {
+      setStatus(`バックアップエラー: ${error.message}`);
+      return;
+    }
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `kakeibo-backup-${backup.exported_at.slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const downloadZipBackup = async () => {
+    setLoading(true);
+    const { backup, error } = await createBackup(ledgerOwner());
+    if (error) {
+      setStatus(`バックアップエラー: ${error.message}`);
+      setLoading(false);
+      return;
+    }
+    const { entries, error: fileError } = await downloadReceiptFiles(backup.data.receipts || []);
+    setLoading(false);
+    if (fileError) {
+      setStatus(`レシートの取得エラー: ${fileError.message}`);
+      return;
+    }
+    const json = new TextEncoder().encode(JSON.stringify(backup, null, 2));
+    const blob = createZip([{ name: 'backup.json', data: json }, ...entries]);
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `kakeibo-backup-${backup.exported_at.slice(0, 10)}.zip`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleRestore = async () => {
+    if (!backupFile) return;
+    let backup;
+    let files = null;
+    try {
+      if (/\.zip$/i.test(backupFile.name)) {
+        files = readZip(await backupFile.arrayBuffer());
+        backup = JSON.parse(new TextDecoder().decode(files.get('backup.json')));
+      } else {
+        backup = JSON.parse(await backupFile.text());
+      }
+    } catch {
+      setStatus('バックアップファイルを読み込めません');
+      return;
+    }
+    const validationError = validateBackup(backup);
+    if (validationError) {
+      setStatus(validationError);
+      return;
+    }
+    const message =
+      restoreMode === 'replace'
+        ? householdId
+          ? '世帯の家計簿のうち自分が登録したデータを削除して、バックアップの内容に置き換えますか？'
+          : '現在のデータをすべて削除して、バックアップの内容に置き換えますか？'
+        : 'バックアップの内容を現在のデータに統合しますか？';
+    if (!confirm(message)) return;
+    setLoading(true);
+    if (files && backup.data.receipts?.length) {
+      const { receipts, error: fileError } = await restoreReceiptFiles(
+        files,
+        backup.data.receipts,
+        session.user.id
+      );
+      if (fileError) {
+        setStatus(`レシートの復元エラー: ${fileError.message}`);
+        setLoading(false);
+        return;
+      }
+      backup = { ...backup, data: { ...backup.data, receipts } };
+    }
+    const { report, error } = await restoreBackup(backup, restoreMode, ledgerOwner());
+    setRestoreReport(report);
+    if (error) {
+      setStatus(`復元エラー: ${error.message}`);
+    } else {
+      setStatus('バックアップを復元しました');
+      setBackupFile(null);
+    }
+    await Promise.all([
+      loadTransactions(),
+      loadCategories(),
+      loadBudgets(month),
+      loadPeriodBudgets(),
+      loadGoals(),
+      loadAccounts(),
+      loadRecurringRules(),
+      loadImportProfiles(),
+      loadCategoryRules()
+    ]);
+    setLoading(false);
+  };
+
+  const purposeFromLabel = (label) => {
+    const found = purposes.find((item) => item.label === label);
+    return found ? found.value : 'consumption';
+  };
+
+  const loadImportProfiles = async () => {
+    const { data, error } = await supabase
+      .from('import_profiles')
+      .select('*')
+      .order('created_at', { ascending: true });
+    if (error) {
+      setStatus(`インポート設定読み込みエラー: ${error.message}`);
+      return;
+    }
+    setImportProfiles(data || []);
+  };
+
+  const runSearch = async (offset = 0) => {
+    const minAmount = search.minAmount === '' ? null : Number(search.minAmount);
+    const maxAmount = search.maxAmount === '' ? null : Number(search.maxAmount);
+    if (Number.isNaN(minAmount) || Number.isNaN(maxAmount)) {
+      setStatus('金額の範囲が正しくありません');
+      return;
+    }
+    setLoading(true);
+    // キーワード・カテゴリ・分類は内訳の行も対象にするため RPC で絞り込む
+    let query = supabase.rpc(
+      'search_transactions',
+      {
+        p_household: householdId,
+        p_keyword: search.query.trim() || null,
+        p_categories: search.categories.length > 0 ? search.categories : null,
+        p_purposes: search.purposes.length > 0 ? search.purposes : null
+      },
+      { count: 'exact' }
+    );
+    if (minAmount !== null) query = query.gte('amount', minAmount);
+    if (maxAmount !== null) query = query.lte('amount', maxAmount);
+    if (search.dateFrom) query = query.gte('date', search.dateFrom);
+    if (search.dateTo) query = query.lte('date', search.dateTo);
+    const sort = searchSorts.find((item) => item.value === search.sort) || searchSorts[0];
+    const { data, error, count } = await query
+      .order(sort.column, { ascending: sort.ascending })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + searchPageSize - 1);
+    if (error) {
+      setStatus(`検索エラー: ${error.message}`);
+    } else {
+      setSearchResults((prev) => (offset === 0 ? data || [] : [...(prev || []), ...(data || [])]));
+      setSearchCount(count || 0);
+    }
+    setLoading(false);
+  };
+
+  const handleSearch = (event) => {
+    event.preventDefault();
+    runSearch(0);
+  };
+
+  const toggleSearchValue = (key, value) => {
+    setSearch((prev) => ({
+      ...prev,
+      [key]: prev[key].includes(value)
+        ? prev[key].filter((item) => item !== value)
+        : [...prev[key], value]
+    }));
+  };
+
+  const clearSearch = () => {
+    setSearch(emptySearch);
+    setSearchResults(null);
+    setSearchCount(0);
+    setSavedSearchId('');
+    setSavedSearchName('');
+  };
+
+  const loadSavedSearches = async () => {
+    const { data, error } = await supabase
+      .from('saved_searches')
+      .select('*')
+      .order('created_at', { ascending: true });
+    if (error) {
+      setStatus(`保存した検索条件の読み込みエラー: ${error.message}`);
+      return;
+    }
+    setSavedSearches(data || []);
+  };
+
+  const applySavedSearch = (id) => {
+    setSavedSearchId(id);
+    const saved = savedSearches.find((item) => item.id === id);
+    if (!saved) return;
+    setSavedSearchName(saved.name);
+    setSearch({ ...emptySearch, ...saved.filters });
+    setSearchResults(null);
+  };
+
+  const saveSearch = async () => {
+    const name = savedSearchName.trim();
+    if (!name) {
+      setStatus('検索条件の名前を入力してください');
+      return;
+    }
+    setLoading(true);
+    const { data, error } = await supabase
+      .from('saved_searches')
+      .upsert({ user_id: session.user.id, name, filters: search }, { onConflict: 'user_id,name' })
+      .select()
+      .single();
+    if (error) {
+      setStatus(`検索条件の保存エラー: ${error.message}`);
+    } else {
+      await loadSavedSearches();
+      setSavedSearchId(data.id);
+      setStatus(`検索条件「${name}」を保存しました`);
+    }
+    setLoading(false);
+  };
+
+  const deleteSavedSearch = async () => {
+    const saved = savedSearches.find((item) => item.id === savedSearchId);
+    if (!saved || !confirm(`検索条件「${saved.name}」を削除しますか？`)) return;
+    setLoading(true);
+    const { error } = await supabase.from('saved_searches').delete().eq('id', saved.id);
+    if (error) {
+      setStatus(`検索条件の削除エラー: ${error.message}`);
+    } else {
+      setSavedSearchId('');
+      setSavedSearchName('');
+      await loadSavedSearches();
+    }
+    setLoading(false);
+  };
+
+  const readStatementFile = async (encoding) => {
+    if (!importFile) return;
+    const text = await decodeCsvFile(importFile, encoding);
+    const rows = parseCsv(text);
+    if (rows.length === 0) {
+      setStatus('CSVにデータがありません');
+      return;
+    }
+    setStatementRows(rows);
+  };
+
+  const updateStatementMapping = (changes) => {
+    setStatementMapping((prev) => ({ ...prev, ...changes }));
+    if (changes.encoding) readStatementFile(changes.encoding);
+  };
+
+  const applyImportProfile = (id) => {
+    setImportProfileId(id);
+    const profile = importProfiles.find((item) => item.id === id);
+    if (!profile) return;
+    setImportProfileName(profile.name);
+    const next = { ...defaultStatementMapping, ...profile.settings };
+    setStatementMapping(next);
+    if (next.encoding !== statementMapping.encoding) readStatementFile(next.encoding);
+  };
+
+  const saveImportProfile = async () => {
+    const name = importProfileName.trim();
+    if (!name) {
+      setStatus('インポート設定の名前を入力してください');
+      return;
+    }
+    setLoading(true);
+    const { data, error } = await supabase
+      .from('import_profiles')
+      .upsert(
+        { user_id: session.user.id, name, settings: statementMapping },
+        { onConflict: 'user_id,name' }
+      )
+      .select()
+      .single();
+    if (error) {
+      setStatus(`インポート設定保存エラー: ${error.message}`);
+    } else {
+      await loadImportProfiles();
+      setImportProfileId(data.id);
+      setStatus(`インポート設定「${name}」を保存しました`);
+    }
+    setLoading(false);
+  };
+
+  const deleteImportProfile = async () => {
+    const profile = importProfiles.find((item) => item.id === importProfileId);
+    if (!profile || !confirm(`インポート設定「${profile.name}」を削除しますか？`)) return;
+    setLoading(true);
+    const { error } = await supabase.from('import_profiles').delete().eq('id', profile.id);
+    if (error) {
+      setStatus(`インポート設定削除エラー: ${error.message}`);
+    } else {
+      setImportProfileId('');
+      setImportProfileName('');
+      await loadImportProfiles();
+    }
+    setLoading(false);
+  };
+
+  const cancelImportPreview = () => {
+    setStatementRows(null);
+    setTransactionImportRows(null);
+    setImportActions({});
+    setImportFile(null);
+  };
+
+  const setImportAction = (line, action) => {
+    setImportActions((prev) => ({ ...prev, [line]: action }));
+  };
+
+  const setDuplicateImportActions = (action) => {
+    setImportActions((prev) => {
+      const next = { ...prev };
+      importCandidates
+        .filter((row) => row.duplicateId || row.duplicateLine)
+        .forEach((row) => {
+          next[row.line] = action;
+        });
+      return next;
+    });
+  };
+
+  const toImportPayload = (row) => ({
+    date: row.date,
+    type: row.type,
+    purpose: row.purpose,
+    category: row.category,
+    note: row.note,
+    amount: row.amount,
+    account_id: row.account_id,
+    to_account_id: row.to_account_id,
+    paid_by: householdId ? session.user.id : null
+  });
+
+  const commitImport = async () => {
+    const toInsert = importCandidates.filter((row) => row.action === 'insert');
+    const toOverwrite = importCandidates.filter((row) => row.action === 'overwrite');
+    if (toInsert.length + toOverwrite.length === 0) {
+      setStatus('インポートする明細がありません');
+      return;
+    }
+    setLoading(true);
+    const summary = {
+      inserted: 0,
+      overwritten: 0,
+      skipped: importCandidates.length - toInsert.length - toOverwrite.length,
+      failed: []
+    };
+    for (let i = 0; i < toInsert.length; i += importChunkSize) {
+      const chunk = toInsert.slice(i, i + importChunkSize);
+      const { error } = await supabase
+        .from('transactions')
+        .insert(chunk.map((row) => ({ ...toImportPayload(row), ...ledgerOwner() })));
+      if (!error) {
+        summary.inserted += chunk.length;
+        continue;
+      }
+      for (const row of chunk) {
+        const { error: rowError } = await supabase
+          .from('transactions')
+          .insert({ ...toImportPayload(row), ...ledgerOwner() });
+        if (rowError) summary.failed.push({ line: row.line, message: rowError.message });
+        else summary.inserted += 1;
+      }
+    }
+    for (const row of toOverwrite) {
+      // 分割の内訳は元の金額・カテゴリ・分類に合わせてあるので、それが変わるときは分割を外す
+      const current = duplicateSource.find((item) => item.id === row.duplicateId);
+      const keepsSplits =
+        current &&
+        current.amount === row.amount &&
+        current.category === row.category &&
+        current.purpose === row.purpose;
+      const { error } = await supabase
+        .from('transactions')
+        .update({ ...toImportPayload(row), ...(keepsSplits ? {} : { splits: null }) })
+        .eq('id', row.duplicateId);
+      if (error) summary.failed.push({ line: row.line, message: error.message });
+      else summary.overwritten += 1;
+    }
+    await loadTransactions();
+    setImportSummary(summary);
+    setStatus(
+      `インポート完了: 追加 ${summary.inserted}件 / 上書き ${summary.overwritten}件 / スキップ ${summary.skipped}件 / 失敗 ${summary.failed.length}件`
+    );
+    cancelImportPreview();
+    setLoading(false);
+  };
+
+  const toTransactionImportRow = (row, index) => {
+    const [date, typeLabel, purposeLabel, category, note, amount, accountName, toAccountName] = row;
+    const type = types.find((item) => item.label === typeLabel)?.value || 'expense';
+    const amountValue = Number(amount);
+    const accountId = accountIdOf(accountName);
+    const toAccountId = type === 'transfer' ? accountIdOf(toAccountName) : null;
+    const base = {
+      line: index + 2,
+      date,
+      type,
+      purpose: type === 'expense' ? purposeFromLabel(purposeLabel) : 'consumption',
+      category: category || categoryOptionsFor(type)[0] || defaultCategories[0],
+      note: note || '',
+      amount: Math.abs(amountValue) || 0,
+      account_id: accountId,
+      to_account_id: toAccountId
+    };
+    const rule = !category && type !== 'transfer' ? findMatchingRule(categoryRules, base) : null;
+    let error = '';
+    if (!isValidDateValue(date)) error = '日付が正しくありません';
+    else if (!amount || Number.isNaN(amountValue)) error = '金額が正しくありません';
+    else if (type === 'transfer' && (!accountId || !toAccountId)) error = '振替の口座が見つかりません';
+    return rule ? { ...applyRule(rule, base), ruleId: rule.id, error } : { ...base, error };
+  };
+
+  const handleImport = async () => {
+    if (!importFile) return;
+    if (importKind === 'statement') {
+      setLoading(true);
+      setImportActions({});
+      setImportSummary(null);
+      await readStatementFile(statementMapping.encoding);
+      setLoading(false);
+      return;
+    }
+    setLoading(true);
+    try {
+      const text = await decodeCsvFile(importFile, 'auto');
+      const rows = parseCsv(text);
+      if (rows.length <= 1) {
+        setStatus('CSVにデータがありません');
+        setLoading(false);
+        return;
+      }
+      const header = rows[0];
+      const body = rows.slice(1).filter((row) => row.some((cell) => cell.length > 0));
+
+      if (importKind === 'transactions') {
+        if (header[0] !== '日付') {
+          setStatus('明細CSVの形式が違います');
+          setLoading(false);
+          return;
+        }
+        const previewRows = body.map(toTransactionImportRow);
+        if (previewRows.length === 0) {
+          setStatus('インポートできる明細がありません');
+          setLoading(false);
+          return;
+        }
+        setImportActions({});
+        setImportSummary(null);
+        setTransactionImportRows(previewRows);
+        return;
+      }
+
+      if (importKind === 'categories') {
+        if (header[0] !== 'カテゴリ') {
+          setStatus('カテゴリCSVの形式が違います');
+          setLoading(false);
+          return;
+        }
+        const payload = body
+          .map((row) => row[0])
+          .filter((name) => name)
+          .map((name) => ({ ...ledgerOwner(), name }));
+        if (payload.length === 0) {
+          setStatus('インポートできるカテゴリがありません');
+          setLoading(false);
+          return;
+        }
+        const { error } = await supabase.from('categories').insert(payload);
+        if (error) {
+          setStatus(`カテゴリインポートエラー: ${error.message}`);
+        } else {
+          await loadCategories();
+          setStatus('カテゴリをインポートしました');
+        }
+      }
+
+      if (importKind === 'budgets') {
+        if (header[0] !== '月') {
+          setStatus('予算CSVの形式が違います');
+          setLoading(false);
+          return;
+        }
+        const payload = body
+          .map((row) => {
+            const [monthValue, category, amount] = row;
+            const amountValue = Number(amount);
+            if (!monthValue || !category || Number.isNaN(amountValue)) return null;
+            return {
+              ...ledgerOwner(),
+              month: monthValue,
+              category,
+              amount: Math.abs(amountValue)
+            };
+          })
+          .filter(Boolean);
+        if (payload.length === 0) {
+          setStatus('インポートできる予算がありません');
+          setLoading(false);
+          return;
+        }
+        const { error } = await supabase.from('budgets').insert(payload);
+        if (error) {
+          setStatus(`予算インポートエラー: ${error.message}`);
+        } else {
+          await loadBudgets(month);
+          setStatus('予算をインポートしました');
+        }
+      }
+    } finally {
+      setLoading(false);
+      setImportFile(null);
+    }
+  };
+
+  const handleGoalSubmit = async (event) => {
+    event.preventDefault();
+    if (!goalDraft.name || !goalDraft.target_amount) return;
+    const target = Number(goalDraft.target_amount);
+    const current = Number(goalDraft.current_amount || 0);
+    if (Number.isNaN(target) || Number.isNaN(current) || target < 0 || current < 0) {
+      setStatus('貯金目標の金額が正しくありません');
+      return;
+    }
+    setLoading(true);
+    const { error } = await supabase.from('savings_goals').insert({
+      ...ledgerOwner(),
+      name: goalDraft.name.trim(),
+      target_amount: Math.floor(target),
+      current_amount: Math.floor(current),
+      due_date: goalDraft.due_date || null
+    });
+    if (error) {
+      setStatus(`貯金目標追加エラー: ${error.message}`);
+    } else {
+      setGoalDraft({ name: '', target_amount: '', current_amount: '', due_date: '' });
+      await loadGoals();
+    }
+    setLoading(false);
+  };
+
+  const requestNotificationPermission = async () => {
+    if (typeof Notification === 'undefined') {
+      setStatus('このブラウザは通知に対応していません');
+      return;
+    }
+    if (Notification.permission === 'granted') {
+      setStatus('通知はすでに許可されています');
+      return;
+    }
+    const result = await Notification.requestPermission();
+    if (result === 'granted') {
+      setStatus('通知を許可しました');
+    } else {
+      setStatus('通知が許可されませんでした');
+    }
+  };
+
+  const startEditGoal = (goal) => {
+    setGoalEditingId(goal.id);
+    setGoalEditing({
+      name: goal.name,
+      target_amount: goal.target_amount,
+      current_amount: goal.current_amount,
+      due_date: goal.due_date || ''
+    });
+  };
+
+  const cancelEditGoal = () => {
+    setGoalEditingId(null);
+    setGoalEditing({ name: '', target_amount: '', current_amount: '', due_date: '' });
+  };
+
+  const saveGoal = async (id) => {
+    const target = Number(goalEditing.target_amount);
+    const current = Number(goalEditing.current_amount || 0);
+    if (!goalEditing.name || Number.isNaN(target) || Number.isNaN(current) || target < 0 || current < 0) {
+      setStatus('貯金目標の金額が正しくありません');
+      return;
+    }
+    setLoading(true);
+    const { error } = await supabase
+      .from('savings_goals')
+      .update({
+        name: goalEditing.name.trim(),
+        target_amount: Math.floor(target),
+        current_amount: Math.floor(current),
+        due_date: goalEditing.due_date || null
+      })
+      .eq('id', id);
+    if (error) {
+      setStatus(`貯金目標更新エラー: ${error.message}`);
+    } else {
+      await loadGoals();
+      cancelEditGoal();
+    }
+    setLoading(false);
+  };
+
+  const deleteGoal = async (id) => {
+    if (!confirm('この貯金目標を削除しますか？')) return;
+    setLoading(true);
+    const { error } = await supabase.from('savings_goals').delete().eq('id', id);
+    if (error) {
+      setStatus(`貯金目標削除エラー: ${error.message}`);
+    } else {
+      await loadGoals();
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    if (form.type === 'expense' && !categories.includes(form.category)) {
+      setForm((prev) => ({ ...prev, category: categories[0] || defaultCategories[0] }));
+    }
+  }, [categories, form.category, form.type]);
+
+  useEffect(() => {
+    if (form.type === 'income' && !incomeCategories.includes(form.category)) {
+      setForm((prev) => ({ ...prev, category: incomeCategories[0], purpose: 'consumption' }));
+    }
+    if (form.type === 'expense' && !categories.includes(form.category)) {
+      setForm((prev) => ({ ...prev, category: categories[0] || defaultCategories[0] }));
+    }
+    if (form.type === 'transfer' && form.category !== transferCategory) {
+      setForm((prev) => ({ ...prev, category: transferCategory, purpose: 'consumption' }));
+    }
+  }, [form.type, form.category, categories]);
+
+  useEffect(() => {
+    if (filters.type !== 'expense' && filters.purpose !== 'all') {
+      setFilters((prev) => ({ ...prev, purpose: 'all' }));
+    }
+    if (filters.type === 'income' && filters.category !== 'all' && !incomeCategories.includes(filters.category)) {
+      setFilters((prev) => ({ ...prev, category: 'all' }));
+    }
+    if (filters.type === 'expense' && filters.category !== 'all' && !categories.includes(filters.category)) {
+      setFilters((prev) => ({ ...prev, category: 'all' }));
+    }
+    if (filters.type === 'transfer' && filters.category !== 'all' && filters.category !== transferCategory) {
+      setFilters((prev) => ({ ...prev, category: 'all' }));
+    }
+  }, [filters.type, filters.category, filters.purpose, categories]);
+
+  const accountsById = useMemo(() => {
+    const map = {};
+    accounts.forEach((account) => {
+      map[account.id] = account;
+    });
+    return map;
+  }, [accounts]);
+
+  const cashFlowDateOf = (item) => {
+    const account = accountsById[item.account_id];
+    if (!cashFlowMode || item.type === 'transfer' || !isCardWithCycle(account)) return item.date;
+    return getCardStatement(item.date, account).paymentDate;
+  };
+
+  const toggleCashFlowMode = (enabled) => {
+    setCashFlowMode(enabled);
+    localStorage.setItem('cash-flow-mode', enabled ? 'on' : 'off');
+  };
+
+  const monthItems = useMemo(() => {
+    return transactions.filter((item) => toMonth(cashFlowDateOf(item)) === month);
+  }, [transactions, month, cashFlowMode, accountsById]);
+
+  const filteredItems = useMemo(
+    () => monthItems.filter((item) => itemMatchesFilters(item, filters)),
+    [monthItems, filters]
+  );
+
+  const filteredLines = useMemo(
+    () => expandSplits(filteredItems).filter((line) => lineMatchesFilters(line, filters)),
+    [filteredItems, filters]
+  );
+
+  const stats = useMemo(() => {
+    const income = filteredLines
+      .filter((item) => item.type === 'income')
+      .reduce((sum, item) => sum + item.amount, 0);
+    const expense = filteredLines
+      .filter((item) => item.type === 'expense')
+      .reduce((sum, item) => sum + item.amount, 0);
+    return {
+      income,
+      expense,
+      balance: income - expense
+    };
+  }, [filteredLines]);
+
+  const memberStats = useMemo(() => {
+    if (!household) return [];
+    return householdMembers.map((member) => {
+      const lines = filteredLines.filter(
+        (item) => (item.paid_by || item.user_id) === member.user_id
+      );
+      const income = lines
+        .filter((item) => item.type === 'income')
+        .reduce((sum, item) => sum + item.amount, 0);
+      const expense = lines
+        .filter((item) => item.type === 'expense')
+        .reduce((sum, item) => sum + item.amount, 0);
+      return { ...member, income, expense, balance: income - expense };
+    });
+  }, [household, householdMembers, filteredLines]);
+
+  const settlementBalances = useMemo(() => {
+    if (!household || !settlementRange.from || !settlementRange.to) return {};
+    return computeBalances(settlementItems, householdMembers.map((member) => member.user_id));
+  }, [household, householdMembers, settlementItems, settlementRange]);
+
+  const settlementTransfers = useMemo(
+    () => suggestTransfers(settlementBalances),
+    [settlementBalances]
+  );
+
+  // 実際に使える予算は、その月の予算に前月までの繰越を足したもの
+  const effectiveBudgets = useMemo(() => {
+    const result = { ...budgets };
+    Object.entries(budgetCarry).forEach(([name, carry]) => {
+      result[name] = (result[name] || 0) + carry;
+    });
+    return result;
+  }, [budgets, budgetCarry]);
+
+  // 予測は絞り込みに関係なく、表示月のすべての支出で行う。今月以外は表示しない
+  const forecast = useMemo(() => {
+    const today = getToday();
+    if (month !== today.slice(0, 7)) return null;
+    const [year, monthIndex] = month.split('-').map(Number);
+    const monthEnd = toDateString(year, monthIndex - 1, 31);
+    const recurring = recurringRules
+      .filter((rule) => rule.type === 'expense')
+      .flatMap((rule) =>
+        getRecurringDates({ ...rule, generated_through: null }, monthEnd)
+          .filter((date) => toMonth(date) === month)
+          .map((date) => ({ date, category: rule.category, amount: rule.amount }))
+      );
+    const result = forecastMonth({
+      month,
+      today,
+      lines: expandSplits(transactions.filter((item) => item.type === 'expense')),
+      recurring,
+      history: forecastHistory
+    });
+    const budgetTotal = Object.values(effectiveBudgets).reduce((sum, value) => sum + value, 0);
+    return { ...result, budgetTotal, overBudget: result.projected - budgetTotal };
+  }, [month, transactions, recurringRules, forecastHistory, effectiveBudgets]);
+
+  // アラートは絞り込みに関係なく、表示月のすべての支出で判定する
+  const budgetAlerts = useMemo(() => {
+    if (alertSettings.length === 0) return [];
+    return evaluateBudgetAlerts({
+      ledger: alertLedgerKey,
+      settings: alertSettings,
+      budgets: effectiveBudgets,
+      spent: spendByCategory(transactions.filter((item) => toMonth(item.date) === month)),
+      month,
+      today: getToday()
+    });
+  }, [alertSettings, alertLedgerKey, effectiveBudgets, transactions, month]);
+
+  useEffect(() => {
+    if (!session || !sentAlertKeys || month !== getToday().slice(0, 7)) return;
+    const fresh = budgetAlerts.filter((alert) => !sentAlertKeys.has(alert.key));
+    if (fresh.length === 0) return;
+    setSentAlertKeys((prev) => new Set([...prev, ...fresh.map((alert) => alert.key)]));
+    // 通知サーバーと同じ記録を使うので、どちらかが先に知らせたアラートは二重に届かない
+    supabase
+      .from('sent_budget_alerts')
+      .upsert(
+        fresh.map((alert) => ({ user_id: session.user.id, alert_key: alert.key })),
+        { onConflict: 'user_id,alert_key', ignoreDuplicates: true }
+      )
+      .then(({ error }) => {
+        // 記録できなかったアラートは、通知サーバーからもう一度届くことがある
+        if (error) setStatus(`予算アラートの記録エラー: ${error.message}`);
+      });
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+    fresh.forEach((alert) => {
+      new Notification(alert.title, { body: alert.body, tag: alert.key });
+    });
+  }, [budgetAlerts, sentAlertKeys, session, month]);
+
+  // Service Worker は明細を読めないので、最後に自分で登録した日だけを渡す。
+  // 明細は表示月の分しか読み込んでいないため、表示月に関係なく直接問い合わせる。定期的な明細の自動登録は数えない
+  const loadLastEntryDate = async () => {
+    const toLocalDate = (value) => {
+      const created = value ? new Date(value) : new Date();
+      return toDateString(created.getFullYear(), created.getMonth(), created.getDate());
+    };
+    const pendingLatest = transactions
+      .filter((item) => item._pending && !item.recurring_id)
+      .reduce((latest, item) => {
+        const date = toLocalDate(item.created_at);
+        return date > latest ? date : latest;
+      }, '');
+    const { data, error } = await supabase
+      .from('transactions')
+      .select('created_at')
+      .eq('user_id', session.user.id)
+      .is('recurring_id', null)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    const latest = error ? lastEntryDateRef.current : data ? toLocalDate(data.created_at) : '';
+    lastEntryDateRef.current = latest > pendingLatest ? latest : pendingLatest;
+    return lastEntryDateRef.current;
+  };
+
+  useEffect(() => {
+    if (!session || !reminderSettings) return undefined;
+    const timer = setTimeout(async () => {
+      const today = getToday();
+      if (month === today.slice(0, 7) && !isOffline()) {
+        reminderSummaryRef.current = await buildWeeklySummary(today);
+      }
+      const lastEntryDate = await loadLastEntryDate();
+      try {
+        await saveReminderState({
+          daily: { enabled: reminderSettings.daily_reminder, time: reminderSettings.reminder_time },
+          weekly: {
+            enabled: reminderSettings.weekly_summary,
+            day: Number(reminderSettings.weekly_day),
+            time: reminderSettings.weekly_time
+          },
+          lastEntryDate,
+          summary: reminderSummaryRef.current
+        });
+        await requestReminderCheck();
+      } catch {
+        // IndexedDB が使えない環境ではリマインダーを出さない
+      }
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [session, reminderSettings, effectiveBudgets, transactions, month]);
+
+  useEffect(() => {
+    if (!session) return undefined;
+    // 定期バックグラウンド同期が使えない環境でも、開いている間は時刻になれば通知する
+    const timer = setInterval(() => requestReminderCheck().catch(() => {}), 5 * 60 * 1000);
+    return () => clearInterval(timer);
+  }, [session]);
+
+  const budgetStats = useMemo(() => {
+    const nowMonth = new Date().toISOString().slice(0, 7);
+    const [year, monthValue] = month.split('-').map(Number);
+    const daysInMonth = year && monthValue ? new Date(year, monthValue, 0).getDate() : 0;
+    const daysLeft = nowMonth === month ? Math.max(daysInMonth - new Date().getDate(), 0) : 0;
+    const expenseTotal = filteredLines
+      .filter((item) => item.type === 'expense')
+      .reduce((sum, item) => sum + item.amount, 0);
+    const budgetCategories =
+      filters.type === 'income' || filters.type === 'transfer'
+        ? []
+        : filters.category === 'all'
+        ? Object.keys(effectiveBudgets)
+        : [filters.category];
+    const budgetTotal = budgetCategories.reduce(
+      (sum, name) => sum + (effectiveBudgets[name] || 0),
+      0
+    );
+    const percent = budgetTotal > 0 ? Math.round((expenseTotal / budgetTotal) * 100) : 0;
+    return {
+      budgetTotal,
+      expenseTotal,
+      remaining: budgetTotal - expenseTotal,
+      percent,
+      daysLeft,
+      daysInMonth
+    };
+  }, [effectiveBudgets, filteredLines, filters.category, filters.type, month]);
+
+  // 日別の表示は利用日で集計する。日付の絞り込みはカレンダーで選んだ日なので、ここでは外す
+  const dailyData = useMemo(() => {
+    const [year, monthIndex] = month.split('-').map(Number);
+    if (!year || !monthIndex) return [];
+    const daysInMonth = new Date(year, monthIndex, 0).getDate();
+    const today = getToday();
+    const lastDay = month === today.slice(0, 7) ? Number(today.slice(8, 10)) : daysInMonth;
+    const dayFilters = { ...filters, dateFrom: '', dateTo: '' };
+    const spentByDay = Array(daysInMonth + 1).fill(0);
+    expandSplits(
+      transactions.filter(
+        (item) =>
+          item.type === 'expense' &&
+          toMonth(item.date) === month &&
+          itemMatchesFilters(item, dayFilters)
+      )
+    )
+      .filter((line) => lineMatchesFilters(line, dayFilters))
+      .forEach((line) => {
+        spentByDay[Number(line.date.slice(8, 10))] += line.amount;
+      });
+    const isUnfiltered =
+      filters.type === 'all' &&
+      filters.purpose === 'all' &&
+      filters.category === 'all' &&
+      filters.tag === 'all' &&
+      !filters.query;
+    let cumulative = 0;
+    return spentByDay.slice(1).map((spent, index) => {
+      const day = index + 1;
+      cumulative += spent;
+      return {
+        day,
+        date: `${month}-${pad2(day)}`,
+        spent,
+        actual: day <= lastDay ? cumulative : null,
+        pace:
+          budgetStats.budgetTotal > 0
+            ? Math.round((budgetStats.budgetTotal * day) / daysInMonth)
+            : null,
+        projected: isUnfiltered && forecast ? forecast.daily[index].projected : null
+      };
+    });
+  }, [transactions, month, filters, budgetStats.budgetTotal, forecast]);
+
+  const heatmapMax = useMemo(
+    () => dailyData.reduce((max, item) => Math.max(max, item.spent), 0),
+    [dailyData]
+  );
+
+  const selectDay = (date) => {
+    const selected = filters.dateFrom === date && filters.dateTo === date;
+    setFilters((prev) => ({
+      ...prev,
+      dateFrom: selected ? '' : date,
+      dateTo: selected ? '' : date
+    }));
+  };
+
+  const categoryData = useMemo(() => {
+    const map = new Map();
+    filteredLines
+      .filter((item) => item.type === 'expense')
+      .forEach((item) => {
+        map.set(item.category, (map.get(item.category) || 0) + item.amount);
+      });
+    return Array.from(map.entries()).map(([name, value]) => ({ name, value }));
+  }, [filteredLines]);
+
+  const tagData = useMemo(() => {
+    const map = new Map();
+    filteredItems
+      .filter((item) => item.type === 'expense')
+      .forEach((item) => {
+        (item.tags || []).forEach((tag) => {
+          map.set(tag, (map.get(tag) || 0) + item.amount);
+        });
+      });
+    return Array.from(map.entries()).map(([name, value]) => ({ name, value }));
+  }, [filteredItems]);
+
+  const purposeData = useMemo(() => {
+    const map = new Map();
+    filteredLines
+      .filter((item) => item.type === 'expense')
+      .forEach((item) => {
+        const label = purposes.find((p) => p.value === item.purpose)?.label || '消費';
+        map.set(label, (map.get(label) || 0) + item.amount);
+      });
+    return Array.from(map.entries()).map(([name, value]) => ({ name, value }));
+  }, [filteredLines]);
+
+  const categorySpendMap = useMemo(() => {
+    const map = {};
+    filteredLines
+      .filter((item) => item.type === 'expense')
+      .forEach((item) => {
+        map[item.category] = (map[item.category] || 0) + item.amount;
+      });
+    return map;
+  }, [filteredLines]);
+
+  // 四半期・年間などの予算は、表示月と期間が重なるものだけを期間全体の支出で表示する
+  const activePeriodBudgets = useMemo(() => {
+    const today = getToday();
+    return periodBudgets
+      .filter((item) => overlapsMonth(item, month))
+      .map((item) => {
+        const spent = periodBudgetSpend[item.id] || 0;
+        return {
+          ...item,
+          spent,
+          percent: item.amount > 0 ? Math.round((spent / item.amount) * 100) : 0,
+          elapsedPercent: Math.round(elapsedRatioOf(item, today) * 100)
+        };
+      });
+  }, [periodBudgets, periodBudgetSpend, month]);
+
+  const budgetChartData = useMemo(() => {
+    return categories
+      .map((name) => {
+        const base = budgets[name] || 0;
+        const carry = budgetCarry[name] || 0;
+        const budget = base + carry;
+        const spent = categorySpendMap[name] || 0;
+        const remaining = Math.max(budget - spent, 0);
+        const over = Math.max(spent - budget, 0);
+        return { name, base, carry, budget, spent, remaining, over };
+      })
+      .filter((item) => item.budget !== 0 || item.spent > 0)
+      .concat(
+        activePeriodBudgets.map((item) => ({
+          name: `${item.note || item.category}（${budgetPeriodLabelOf(item.period)}）`,
+          base: item.amount,
+          carry: 0,
+          budget: item.amount,
+          spent: item.spent,
+          remaining: Math.max(item.amount - item.spent, 0),
+          over: Math.max(item.spent - item.amount, 0)
+        }))
+      );
+  }, [budgets, budgetCarry, categories, categorySpendMap, activePeriodBudgets]);
+
+  const filterCategoryOptions = useMemo(() => {
+    if (filters.type !== 'all') return categoryOptionsFor(filters.type);
+    return Array.from(new Set([...categories, ...incomeCategories]));
+  }, [filters.type, categories]);
+
+  const monthlyData = useMemo(() => {
+    return monthlyTotals.map((entry) => {
+      const income = Number(entry.income);
+      const expense = Number(entry.expense);
+      return { month: entry.month, income, expense, balance: income - expense };
+    });
+  }, [monthlyTotals]);
+
+  const cardStatements = useMemo(() => {
+    const today = getToday();
+    return accounts.filter(isCardWithCycle).map((account) => {
+      const map = new Map();
+      cardItems
+        .filter((item) => item.account_id === account.id)
+        .forEach((item) => {
+          const { closingDate, paymentDate } = getCardStatement(item.date, account);
+          const current = map.get(paymentDate) || { closingDate, paymentDate, total: 0, count: 0 };
+          current.total += item.type === 'expense' ? item.amount : -item.amount;
+          current.count += 1;
+          map.set(paymentDate, current);
+        });
+      const statements = Array.from(map.values())
+        .filter((statement) => statement.paymentDate >= today)
+        .sort((a, b) => a.paymentDate.localeCompare(b.paymentDate));
+      return { account, statements };
+    });
+  }, [accounts, cardItems]);
+
+  const statementColumns = useMemo(() => {
+    return statementRows ? getStatementColumns(statementRows, statementMapping) : [];
+  }, [statementRows, statementMapping]);
+
+  const statementPreview = useMemo(() => {
+    if (!statementRows) return [];
+    const expenseCategory = categories.includes(statementMapping.expenseCategory)
+      ? statementMapping.expenseCategory
+      : categories[0] || defaultCategories[0];
+    const incomeCategory = incomeCategories.includes(statementMapping.incomeCategory)
+      ? statementMapping.incomeCategory
+      : incomeCategories[0];
+    return mapStatementRows(statementRows, statementMapping).map((row) => {
+      const mapped = {
+        ...row,
+        purpose: 'consumption',
+        category: row.type === 'income' ? incomeCategory : expenseCategory,
+        account_id: statementMapping.account_id || null,
+        to_account_id: null
+      };
+      const rule = row.error ? null : findMatchingRule(categoryRules, mapped);
+      return rule ? { ...applyRule(rule, mapped), ruleId: rule.id } : mapped;
+    });
+  }, [statementRows, statementMapping, categories, categoryRules]);
+
+  const formRuleSuggestion = useMemo(() => {
+    if (form.type === 'transfer' || (!form.note.trim() && !form.amount)) return null;
+    const rule = findMatchingRule(categoryRules, form);
+    if (!rule) return null;
+    const suggestion = applyRule(rule, form);
+    if (
+      suggestion.type === form.type &&
+      suggestion.purpose === form.purpose &&
+      suggestion.category === form.category
+    ) {
+      return null;
+    }
+    return suggestion;
+  }, [categoryRules, form]);
+
+  const ruleMatchStats = useMemo(() => {
+    const stats = {};
+    categoryRules.forEach((rule) => {
+      stats[rule.id] = { matched: 0, different: 0 };
+    });
+    transactions
+      .filter((item) => item.type !== 'transfer')
+      .forEach((item) => {
+        const rule = findMatchingRule(categoryRules, item);
+        if (!rule) return;
+        stats[rule.id].matched += 1;
+        if (rule.set_category !== item.category) stats[rule.id].different += 1;
+      });
+    return stats;
+  }, [categoryRules, transactions]);
+
+  const ruleTestResult = useMemo(() => {
+    if (!ruleTest.note.trim() && !ruleTest.amount) return null;
+    return categoryRules.find((rule) => matchesRule(rule, ruleTest)) || false;
+  }, [categoryRules, ruleTest]);
+
+  const duplicateIndex = useMemo(
+    () => indexTransactionsForDuplicates(duplicateSource),
+    [duplicateSource]
+  );
+
+  const importCandidates = useMemo(() => {
+    const rows = importKind === 'statement' ? statementPreview : transactionImportRows || [];
+    // 同じCSVの中で前の行と重なる行も、登録済みの明細との重複と同じように既定でスキップする
+    const earlierRows = new Map();
+    return rows.map((row) => {
+      const duplicateId = row.error ? null : findDuplicate(row, duplicateIndex);
+      const duplicateLine = row.error ? null : findDuplicateRow(row, earlierRows)?.line || null;
+      if (!row.error) addToDuplicateIndex(earlierRows, row);
+      const defaultAction = row.error || duplicateId || duplicateLine ? 'skip' : 'insert';
+      const chosen = importActions[row.line];
+      const action =
+        row.error || (chosen === 'overwrite' && !duplicateId) ? 'skip' : chosen || defaultAction;
+      return { ...row, duplicateId, duplicateLine, action };
+    });
+  }, [importKind, statementPreview, transactionImportRows, duplicateIndex, importActions]);
+
+  const accountBalances = useMemo(() => {
+    const balances = {};
+    accounts.forEach((account) => {
+      balances[account.id] = (account.opening_balance || 0) + (accountBalanceChanges[account.id] || 0);
+    });
+    return balances;
+  }, [accounts, accountBalanceChanges]);
+
+  useEffect(() => {
+    const rows = importKind === 'statement' ? statementPreview : transactionImportRows || [];
+    const dates = rows
+      .filter((row) => !row.error)
+      .map((row) => row.date)
+      .sort();
+    if (!session || dates.length === 0) {
+      setDuplicateSource([]);
+      return undefined;
+    }
+    let cancelled = false;
+    const [first, last] = [dates[0], dates[dates.length - 1]];
+    fetchTransactions((query) => query.gte('date', first).lte('date', last)).then(({ data, error }) => {
+      if (cancelled) return;
+      if (error) setStatus(`重複チェックの読み込みエラー: ${error.message}`);
+      else setDuplicateSource(data);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [importKind, statementPreview, transactionImportRows]);
+
+  useEffect(() => {
+    if (!session || !household || !settlementRange.from || !settlementRange.to) {
+      setSettlementItems([]);
+      return undefined;
+    }
+    let cancelled = false;
+    fetchTransactions((query) =>
+      query.gte('date', settlementRange.from).lte('date', settlementRange.to)
+    ).then(({ data, error }) => {
+      if (cancelled) return;
+      if (error) setStatus(`精算の読み込みエラー: ${error.message}`);
+      else setSettlementItems(data);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [household, settlementRange, transactions]);
+
+  useEffect(() => {
+    setVisibleCount(listPageSize);
+  }, [month, filters]);
+
+  const hasMoreItems = filteredItems.length > visibleCount;
+
+  useEffect(() => {
+    const node = listEndRef.current;
+    if (!node || typeof IntersectionObserver === 'undefined') return undefined;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        setVisibleCount((count) => count + listPageSize);
+      }
+    });
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [hasMoreItems]);
+
+  const renderAccountFields = (values, update) => (
+    <>
+      <label>
+        {values.type === 'transfer' ? '振替元' : '口座'}
+        <select
+          value={values.account_id}
+          onChange={(event) => update({ account_id: event.target.value })}
+        >
+          <option value="">{values.type === 'transfer' ? '選択してください' : '未指定'}</option>
+          {accounts.map((account) => (
+            <option key={account.id} value={account.id}>
+              {account.name}
+            </option>
+          ))}
+        </select>
+      </label>
+      {values.type === 'transfer' && (
+        <label>
+          振替先
+          <select
+            value={values.to_account_id}
+            onChange={(event) => update({ to_account_id: event.target.value })}
+          >
+            <option value="">選択してください</option>
+            {accounts.map((account) => (
+              <option key={account.id} value={account.id}>
+                {account.name}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+    </>
+  );
+
+  const renderPayerField = (values, update) =>
+    household && (
+      <label>
+        支払った人
+        <select
+          value={values.paid_by || session.user.id}
+          onChange={(event) => update({ paid_by: event.target.value })}
+        >
+          {householdMembers.map((member) => (
+            <option key={member.user_id} value={member.user_id}>
+              {member.display_name || 'メンバー'}
+            </option>
+          ))}
+        </select>
+      </label>
+    );
+
+  const renderSplitFields = (values, update) => {
+    if (values.type !== 'expense') return null;
+    if (!hasSplits(values)) {
+      return (
+        <button type="button" className="ghost" onClick={() => startSplit(values, update)}>
+          カテゴリを分割
+        </button>
+      );
+    }
+    const splitTotal = values.splits.reduce((sum, line) => sum + (Number(line.amount) || 0), 0);
+    const difference = (Number(values.amount) || 0) - splitTotal;
+    return (
+      <div className="split-editor">
+        {values.splits.map((line, index) => (
+          <div key={index} className="split-line">
+            <select
+              value={line.category}
+              onChange={(event) => updateSplitLine(values, update, index, { category: event.target.value })}
+            >
+              {categories.map((name) => (
+                <option key={name} value={name}>
+                  {name}
+                </option>
+              ))}
+            </select>
+            <select
+              value={line.purpose}
+              onChange={(event) => updateSplitLine(values, update, index, { purpose: event.target.value })}
+            >
+              {purposes.map((item) => (
+                <option key={item.value} value={item.value}>
+                  {item.label}
+                </option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="0"
+              value={line.amount}
+              onChange={(event) => updateSplitLine(values, update, index, { amount: event.target.value })}
+              placeholder="金額"
+            />
+            <input
+              type="text"
+              value={line.note}
+              onChange={(event) => updateSplitLine(values, update, index, { note: event.target.value })}
+              placeholder="メモ（任意）"
+            />
+            <button
+              type="button"
+              className="ghost"
+              onClick={() => update({ splits: values.splits.filter((_, lineIndex) => lineIndex !== index) })}
+            >
+              削除
+            </button>
+          </div>
+        ))}
+        <div className="button-row">
+          <button
+            type="button"
+            className="ghost"
+            onClick={() =>
+              update({
+                splits: [
+                  ...values.splits,
+                  { category: categories[0] || defaultCategories[0], purpose: 'consumption', amount: '', note: '' }
+                ]
+              })
+            }
+          >
+            行を追加
+          </button>
+          <button
+            type="button"
+            className="ghost"
+            onClick={() => update({ splits: [] })}
+          >
+            分割をやめる
+          </button>
+          <span className={`notice ${difference !== 0 ? 'over-budget-text' : ''}`}>
+            合計 {formatYen(splitTotal)}
+            {difference !== 0 ? `（差額 ${formatYen(difference)}）` : ''}
+          </span>
+        </div>
+      </div>
+    );
+  };
+
+  const renderTagFields = (values, update, input, setInput) => {
+    const addTag = () => {
+      const next = normalizeTags([...values.tags, input]);
+      if (next.length !== values.tags.length) update({ tags: next });
+      setInput('');
+    };
+    return (
+      <div className="tag-editor">
+        <label>
+          タグ
+          <input
+            type="text"
+            list="tag-options"
+            value={input}
+            onChange={(event) => setInput(event.target.value)}
+            onKeyDown={(event) => {
+              if (event.key !== 'Enter' || event.nativeEvent.isComposing) return;
+              event.preventDefault();
+              addTag();
+            }}
+            placeholder="例: 旅行2026"
+          />
+        </label>
+        <button type="button" className="ghost" onClick={addTag}>
+          タグを追加
+        </button>
+        {values.tags.map((tag) => (
+          <span key={tag} className="badge tag">
+            {tag}
+            <button
+              type="button"
+              className="link-button"
+              aria-label={`${tag}を外す`}
+              onClick={() => update({ tags: values.tags.filter((item) => item !== tag) })}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+      </div>
+    );
+  };
+
+  const renderReceiptList = (item) => {
+    const receipts = receiptsByTransaction[item.id] || [];
+    if (receipts.length === 0) return null;
+    return (
+      <span className="receipt-list">
+        {receipts.map((receipt) => (
+          <span key={receipt.id} className="receipt-thumb">
+            <a href={receipt.url} target="_blank" rel="noreferrer" title={receipt.file_name}>
+              {isImageReceipt(receipt) && receipt.url ? (
+                <img src={receipt.url} alt={receipt.file_name} loading="lazy" />
+              ) : (
+                <span className="receipt-file">PDF</span>
+              )}
+            </a>
+            <button
+              type="button"
+              className="link-button"
+              aria-label={`${receipt.file_name}を削除`}
+              onClick={() => handleRemoveReceipt(receipt)}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+      </span>
+    );
+  };
+
+  const renderShareFields = (values, update) => {
+    if (!household || values.type !== 'expense') return null;
+    const mode = values.shares?.mode || 'equal';
+    return (
+      <div className="split-editor">
+        <div className="split-line">
+          <label>
+            負担の分け方
+            <select
+              value={mode}
+              onChange={(event) => changeShareMode(values, update, event.target.value)}
+            >
+              {shareModes.map((item) => (
+                <option key={item.value} value={item.value}>
+                  {item.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          {householdMembers.map((member) =>
+            mode === 'equal' ? (
+              <label key={member.user_id} className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={!values.shares || Boolean(values.shares.values?.[member.user_id])}
+                  onChange={(event) =>
+                    updateShareValue(values, update, member.user_id, event.target.checked ? 1 : 0)
+                  }
+                />
+                {member.display_name || 'メンバー'}
+              </label>
+            ) : (
+              <label key={member.user_id}>
+                {member.display_name || 'メンバー'}
+                {mode === 'percent' ? '（%）' : '（円）'}
+                <input
+                  type="number"
+                  min="0"
+                  value={values.shares?.values?.[member.user_id] ?? ''}
+                  onChange={(event) =>
+                    updateShareValue(values, update, member.user_id, event.target.value)
+                  }
+                />
+              </label>
+            )
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  const renderCardCycleFields = (values, update) => (
+    <>
+      <label>
+        締め日
+        <input
+          type="number"
+          min="1"
+          max="31"
+          value={values.closing_day}
+          onChange={(event) => update({ closing_day: event.target.value })}
+          placeholder="例: 15"
+        />
+      </label>
+      <label>
+        支払月
+        <select
+          value={values.payment_month_offset}
+          onChange={(event) => update({ payment_month_offset: event.target.value })}
+        >
+          {paymentMonthOffsets.map((item) => (
+            <option key={item.value} value={item.value}>
+              {item.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        支払日
+        <input
+          type="number"
+          min="1"
+          max="31"
+          value={values.payment_day}
+          onChange={(event) => update({ payment_day: event.target.value })}
+          placeholder="例: 10"
+        />
+      </label>
+    </>
+  );
+
+  const renderColumnSelect = (label, key, allowNone = false) => (
+    <label>
+      {label}
+      <select
+        value={statementMapping[key]}
+        onChange={(event) => updateStatementMapping({ [key]: event.target.value })}
+      >
+        {allowNone && <option value="">なし</option>}
+        {statementColumns.map((column) => (
+          <option key={column.value} value={column.value}>
+            {column.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+
+  if (!session) {
+    return (
+      <div className="login card">
+        <h1>家計簿へようこそ</h1>
+        <p className="notice">
+          メールアドレスにログインリンクを送ります。リンクを開くとログインできます。
+        </p>
+        <form onSubmit={handleLogin}>
+          <label>
+            メールアドレス
+            <input
+              type="email"
+              required
+              placeholder="you@example.com"
+              value={email}
+              onChange={(event) => setEmail(event.target.value)}
+            />
+          </label>
+          <button type="submit" disabled={loading}>
+            ログインリンクを送信
+          </button>
+        </form>
+        {status && <p className="notice">{status}</p>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="app">
+      <header>
+        <div className="brand">
+          <h1>家計簿</h1>
+          <p>今日の支出が、未来の安心になる。</p>
+        </div>
+        <div className="button-row header-actions">
+          {!online && <span className="badge offline">オフライン</span>}
+          {pendingCount > 0 && (
+            <button
+              type="button"
+              className="secondary"
+              onClick={syncPending}
+              disabled={!online}
+              title="オンラインになると自動で同期します"
+            >
+              未同期 {pendingCount}件
+            </button>
+          )}
+          <button className="ghost" onClick={handleLogout}>
+            ログアウト
+          </button>
+        </div>
+      </header>
+
+      {failedOps.length > 0 && (
+        <section className="card">
+          <h2>同期できなかった変更</h2>
+          <p className="notice">
+            オフラインで行った変更のうち、保存できなかったものです。送り直すか破棄するかを選んでください。
+          </p>
+          <div className="category-list">
+            {failedOps.map((op) => {
+              const local = { ...op.base, ...op.payload };
+              return (
+                <div key={op.seq} className="category-row">
+                  <div className="category-info">
+                    <span>
+                      {opKindLabels[op.kind]}: {local.date} {local.category}{' '}
+                      {local.amount !== undefined ? formatYen(local.amount) : ''}
+                      {local.note ? `（${local.note}）` : ''}
+                    </span>
+                    <span className="notice">{failedReasonOf(op)}</span>
+                    {op.current && (
+                      <span className="notice">
+                        他の端末の内容: {op.current.date} {op.current.category}{' '}
+                        {formatYen(op.current.amount)}
+                        {op.current.note ? `（${op.current.note}）` : ''}
+                      </span>
+                    )}
+                  </div>
+                  <div className="button-row">
+                    <button
+                      type="button"
+                      className="secondary"
+                      disabled={loading || !online}
+                      onClick={() => keepLocalChange(op)}
+                    >
+                      {op.reason === 'modified'
+                        ? '自分の変更で上書き'
+                        : op.reason === 'deleted'
+                        ? '自分の変更で作り直す'
+                        : '送り直す'}
+                    </button>
+                    <button type="button" className="ghost" onClick={() => discardLocalChange(op)}>
+                      {op.reason === 'error' ? '破棄' : '他の端末の内容を残す'}
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </section>
+      )}
+
+      <section className="card">
+        <form onSubmit={handleSubmit}>
+          <label>
+            日付
+            <input
+              type="date"
+              value={form.date}
+              onChange={(event) => setForm({ ...form, date: event.target.value })}
+              required
+            />
+          </label>
+          <label>
+            金額
+            <input
+              type="number"
+              min="0"
+              value={form.amount}
+              onChange={(event) => setForm({ ...form, amount: event.target.value })}
+              placeholder="例: 1200"
+              required
+            />
+          </label>
+          <label>
+            種別
+            <select
+              value={form.type}
+              onChange={(event) => setForm({ ...form, type: event.target.value })}
+            >
+              {types.map((item) => (
+                <option key={item.value} value={item.value}>
+                  {item.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          {form.type === 'expense' ? (
+            <label>
+              分類
+              <select
+                value={form.purpose}
+                onChange={(event) => setForm({ ...form, purpose: event.target.value })}
+              >
+                {purposes.map((item) => (
+                  <option key={item.value} value={item.value}>
+                    {item.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ) : (
+            <label>
+              分類
+              <input type="text" value={typeLabelOf(form.type)} readOnly />
+            </label>
+          )}
+          {renderAccountFields(form, (changes) => setForm((prev) => ({ ...prev, ...changes })))}
+          {renderPayerField(form, (changes) => setForm((prev) => ({ ...prev, ...changes })))}
+          {(form.type !== 'expense' || !hasSplits(form)) && (
+            <label>
+              カテゴリ
+              <select
+                value={form.category}
+                onChange={(event) => setForm({ ...form, category: event.target.value })}
+              >
+                {categoryOptionsFor(form.type).map((name) => (
+                  <option key={name} value={name}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+          <label>
+            メモ
+            <input
+              type="text"
+              value={form.note}
+              onChange={(event) => setForm({ ...form, note: event.target.value })}
+              placeholder="例: スーパー"
+            />
+          </label>
+          {renderSplitFields(form, (changes) => setForm((prev) => ({ ...prev, ...changes })))}
+          {renderShareFields(form, (changes) => setForm((prev) => ({ ...prev, ...changes })))}
+          {renderTagFields(
+            form,
+            (changes) => setForm((prev) => ({ ...prev, ...changes })),
+            formTagInput,
+            setFormTagInput
+          )}
+          <div className="tag-editor" key={receiptInputKey}>
+            <label>
+              レシート（写真・PDF）
+              <input
+                type="file"
+                accept={receiptAccept}
+                multiple
+                onChange={(event) =>
+                  setFormReceipts((prev) => [...prev, ...Array.from(event.target.files || [])])
+                }
+              />
+            </label>
+            <label>
+              カメラで撮影
+              <input
+                type="file"
+                accept="image/*"
+                capture="environment"
+                onChange={(event) =>
+                  setFormReceipts((prev) => [...prev, ...Array.from(event.target.files || [])])
+                }
+              />
+            </label>
+            <label>
+              レシートから読み取る
+              <input
+                type="file"
+                accept="image/*"
+                capture="environment"
+                disabled={ocrProgress !== null}
+                onChange={(event) => handleReceiptOcr(event.target.files?.[0])}
+              />
+            </label>
+            {ocrProgress !== null && (
+              <span className="notice">読み取り中... {Math.round(ocrProgress * 100)}%</span>
+            )}
+            {formReceipts.length > 0 && (
+              <span className="notice">
+                {formReceipts.length}件を添付します{' '}
+                <button
+                  type="button"
+                  className="link-button"
+                  onClick={() => {
+                    setFormReceipts([]);
+                    setReceiptInputKey((key) => key + 1);
+                  }}
+                >
+                  取り消す
+                </button>
+              </span>
+            )}
+          </div>
+          <button type="submit" disabled={loading}>
+            登録する
+          </button>
+        </form>
+        {formRuleSuggestion && (
+          <div className="rule-suggestion">
+            <span className="notice">
+              ルールによる候補: {typeLabelOf(formRuleSuggestion.type)} / {purposeLabelOf(formRuleSuggestion)} /{' '}
+              {formRuleSuggestion.category}
+            </span>
+            <button type="button" className="ghost" onClick={applyFormRuleSuggestion}>
+              候補を適用
+            </button>
+          </div>
+        )}
+        {status && <p className="notice">{status}</p>}
+      </section>
+
+      <section className="card">
+        <div className="grid">
+          <div>
+            <h2>月別サマリー</h2>
+            <p className="notice">月を切り替えて集計を確認できます。</p>
+          </div>
+          <div className="summary-actions">
+            <label>
+              対象月
+              <input
+                type="month"
+                value={month}
+                onChange={(event) => setMonth(event.target.value)}
+              />
+            </label>
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={cashFlowMode}
+                onChange={(event) => toggleCashFlowMode(event.target.checked)}
+              />
+              カード利用を支払日で集計する
+            </label>
+            <div className="button-row">
+              <button
+                className="secondary"
+                type="button"
+                onClick={() => downloadCsv(filteredItems, `kakeibo-${month}.csv`)}
+              >
+                CSV (この月)
+              </button>
+              <button
+                className="secondary"
+                type="button"
+                onClick={downloadAllCsv}
+              >
+                CSV (全期間)
+              </button>
+            </div>
+          </div>
+        </div>
+        <div className="stats">
+          <div className="stat">
+            <h3>収入</h3>
+            <p>{formatYen(stats.income)}</p>
+          </div>
+          <div className="stat">
+            <h3>支出</h3>
+            <p>{formatYen(stats.expense)}</p>
+          </div>
+          <div className="stat">
+            <h3>収支</h3>
+            <p>{formatYen(stats.balance)}</p>
+          </div>
+          <div className="stat">
+            <h3>予算</h3>
+            <p>{formatYen(budgetStats.budgetTotal)}</p>
+          </div>
+          <div className="stat">
+            <h3>達成率</h3>
+            <p>{budgetStats.percent}%</p>
+          </div>
+          <div className="stat">
+            <h3>残り</h3>
+            <p>{formatYen(budgetStats.remaining)}</p>
+          </div>
+          <div className="stat">
+            <h3>残日数</h3>
+            <p>{budgetStats.daysLeft}日</p>
+          </div>
+          {forecast && (
+            <div className="stat">
+              <h3>月末の支出予測</h3>
+              <p>{formatYen(forecast.projected)}</p>
+              {forecast.budgetTotal > 0 && (
+                <span className={`notice ${forecast.overBudget > 0 ? 'over-budget-text' : ''}`}>
+                  {forecast.overBudget > 0
+                    ? `予測: 予算を${formatYen(forecast.overBudget)}超過`
+                    : `予測: 予算内（${formatYen(-forecast.overBudget)}余る見込み）`}
+                </span>
+              )}
+            </div>
+          )}
+        </div>
+        {memberStats.length > 0 && (
+          <div className="member-stats">
+            <h3>メンバー別</h3>
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>メンバー</th>
+                  <th>収入</th>
+                  <th>支出</th>
+                  <th>収支</th>
+                </tr>
+              </thead>
+              <tbody>
+                {memberStats.map((member) => (
+                  <tr key={member.user_id}>
+                    <td>{member.display_name || 'メンバー'}</td>
+                    <td className="amount positive">{formatYen(member.income)}</td>
+                    <td className="amount negative">{formatYen(member.expense)}</td>
+                    <td className="amount">{formatYen(member.balance)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+
+      <section className="card">
+        <h2>フィルタ</h2>
+        <div className="filters">
+          <label>
+            種別
+            <select
+              value={filters.type}
+              onChange={(event) => setFilters((prev) => ({ ...prev, type: event.target.value }))}
+            >
+              <option value="all">すべて</option>
+              {types.map((item) => (
+                <option key={item.value} value={item.value}>
+                  {item.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            分類
+            <select
+              value={filters.purpose}
+              disabled={filters.type === 'income'}
+              onChange={(event) => setFilters((prev) => ({ ...prev, purpose: event.target.value }))}
+            >
+              <option value="all">すべて</option>
+              {purposes.map((item) => (
+                <option key={item.value} value={item.value}>
+                  {item.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            カテゴリ
+            <select
+              value={filters.category}
+              onChange={(event) => setFilters((prev) => ({ ...prev, category: event.target.value }))}
+            >
+              <option value="all">すべて</option>
+              {filterCategoryOptions.map((name) => (
+                <option key={name} value={name}>
+                  {name}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            日付（開始）
+            <input
+              type="date"
+              value={filters.dateFrom}
+              onChange={(event) => setFilters((prev) => ({ ...prev, dateFrom: event.target.value }))}
+            />
+          </label>
+          <label>
+            日付（終了）
+            <input
+              type="date"
+              value={filters.dateTo}
+              onChange={(event) => setFilters((prev) => ({ ...prev, dateTo: event.target.value }))}
+            />
+          </label>
+          <label>
+            タグ
+            <select
+              value={filters.tag}
+              onChange={(event) => setFilters((prev) => ({ ...prev, tag: event.target.value }))}
+            >
+              <option value="all">すべて</option>
+              {tags.map((name) => (
+                <option key={name} value={name}>
+                  {name}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            検索（メモ）
+            <input
+              type="text"
+              value={filters.query}
+              onChange={(event) => setFilters((prev) => ({ ...prev, query: event.target.value }))}
+              placeholder="キーワード"
+            />
+          </label>
+          <button
+            type="button"
+            className="secondary"
+            onClick={() =>
+              setFilters({
+                type: 'all',
+                purpose: 'all',
+                category: 'all',
+                tag: 'all',
+                query: '',
+                dateFrom: '',
+                dateTo: ''
+              })
+            }
+          >
+            フィルタをクリア
+          </button>
+        </div>
+      </section>
+
+      <section className="card">
+        <h2>全期間検索</h2>
+        <p className="notice">月に関係なく、メモやカテゴリ・金額などで明細を探せます。</p>
+        <form onSubmit={handleSearch}>
+          <div className="import-row">
+            <label>
+              保存した条件
+              <select value={savedSearchId} onChange={(event) => applySavedSearch(event.target.value)}>
+                <option value="">選択してください</option>
+                {savedSearches.map((saved) => (
+                  <option key={saved.id} value={saved.id}>
+                    {saved.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              条件名
+              <input
+                type="text"
+                value={savedSearchName}
+                onChange={(event) => setSavedSearchName(event.target.value)}
+                placeholder="例: 医療費"
+              />
+            </label>
+            <div className="button-row">
+              <button type="button" className="secondary" onClick={saveSearch} disabled={loading}>
+                条件を保存
+              </button>
+              {savedSearchId && (
+                <button type="button" className="ghost" onClick={deleteSavedSearch}>
+                  条件を削除
+                </button>
+              )}
+            </div>
+          </div>
+          <div className="filters">
+            <label>
+              キーワード（メモ・カテゴリ）
+              <input
+                type="text"
+                value={search.query}
+                onChange={(event) => setSearch((prev) => ({ ...prev, query: event.target.value }))}
+                placeholder="例: 歯医者"
+              />
+            </label>
+            <label>
+              金額（下限）
+              <input
+                type="number"
+                min="0"
+                value={search.minAmount}
+                onChange={(event) => setSearch((prev) => ({ ...prev, minAmount: event.target.value }))}
+              />
+            </label>
+            <label>
+              金額（上限）
+              <input
+                type="number"
+                min="0"
+                value={search.maxAmount}
+                onChange={(event) => setSearch((prev) => ({ ...prev, maxAmount: event.target.value }))}
+              />
+            </label>
+            <label>
+              日付（開始）
+              <input
+                type="date"
+                value={search.dateFrom}
+                onChange={(event) => setSearch((prev) => ({ ...prev, dateFrom: event.target.value }))}
+              />
+            </label>
+            <label>
+              日付（終了）
+              <input
+                type="date"
+                value={search.dateTo}
+                onChange={(event) => setSearch((prev) => ({ ...prev, dateTo: event.target.value }))}
+              />
+            </label>
+            <label>
+              並び順
+              <select
+                value={search.sort}
+                onChange={(event) => setSearch((prev) => ({ ...prev, sort: event.target.value }))}
+              >
+                {searchSorts.map((item) => (
+                  <option key={item.value} value={item.value}>
+                    {item.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <div className="search-options">
+            <span className="notice">分類</span>
+            {purposes.map((item) => (
+              <label key={item.value} className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={search.purposes.includes(item.value)}
+                  onChange={() => toggleSearchValue('purposes', item.value)}
+                />
+                {item.label}
+              </label>
+            ))}
+          </div>
+          <div className="search-options">
+            <span className="notice">カテゴリ</span>
+            {Array.from(new Set([...categories, ...incomeCategories])).map((name) => (
+              <label key={name} className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={search.categories.includes(name)}
+                  onChange={() => toggleSearchValue('categories', name)}
+                />
+                {name}
+              </label>
+            ))}
+          </div>
+          <div className="button-row">
+            <button type="submit" disabled={loading}>
+              検索する
+            </button>
+            <button type="button" className="secondary" onClick={clearSearch}>
+              条件をクリア
+            </button>
+          </div>
+        </form>
+        {searchResults &&
+          (searchResults.length === 0 ? (
+            <p className="notice">条件に合う明細はありません。</p>
+          ) : (
+            <>
+              <p className="notice">{searchCount}件見つかりました。</p>
+              <div className="table-scroll">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>日付</th>
+                      <th>種別</th>
+                      <th>分類</th>
+                      <th>カテゴリ</th>
+                      <th>メモ</th>
+                      <th>口座</th>
+                      <th>金額</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {searchResults.map((item) => (
+                      <tr key={item.id}>
+                        <td>{item.date}</td>
+                        <td>
+                          <span className="badge">{typeLabelOf(item.type)}</span>
+                        </td>
+                        <td>{purposeLabelOf(item)}</td>
+                        <td>{hasSplits(item) ? `${item.category} ほか` : item.category}</td>
+                        <td>{item.note || '-'}</td>
+                        <td>{accountNameOf(item.account_id) || '-'}</td>
+                        <td
+                          className={`amount ${
+                            item.type === 'income' ? 'positive' : item.type === 'expense' ? 'negative' : ''
+                          }`}
+                        >
+                          {formatYen(item.amount)}
+                        </td>
+                        <td>
+                          <button type="button" className="ghost" onClick={() => setMonth(toMonth(item.date))}>
+                            この月を表示
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {searchResults.length < searchCount && (
+                <div className="button-row list-more">
+                  <button
+                    type="button"
+                    className="ghost"
+                    disabled={loading}
+                    onClick={() => runSearch(searchResults.length)}
+                  >
+                    さらに読み込む（残り {searchCount - searchResults.length}件）
+                  </button>
+                </div>
+              )}
+            </>
+          ))}
+      </section>
+
+      <section className="card">
+        <h2>貯金目標</h2>
+        <div className="button-row">
+          <button type="button" className="secondary" onClick={requestNotificationPermission}>
+            目標達成通知を許可
+          </button>
+        </div>
+        <form onSubmit={handleGoalSubmit} className="goal-form">
+          <label>
+            目標名
+            <input
+              type="text"
+              value={goalDraft.name}
+              onChange={(event) => setGoalDraft((prev) => ({ ...prev, name: event.target.value }))}
+              placeholder="例: 旅行"
+            />
+          </label>
+          <label>
+            目標金額
+            <input
+              type="number"
+              min="0"
+              value={goalDraft.target_amount}
+              onChange={(event) =>
+                setGoalDraft((prev) => ({ ...prev, target_amount: event.target.value }))
+              }
+              placeholder="例: 200000"
+            />
+          </label>
+          <label>
+            現在額
+            <input
+              type="number"
+              min="0"
+              value={goalDraft.current_amount}
+              onChange={(event) =>
+                setGoalDraft((prev) => ({ ...prev, current_amount: event.target.value }))
+              }
+              placeholder="例: 50000"
+            />
+          </label>
+          <label>
+            期限（任意）
+            <input
+              type="date"
+              value={goalDraft.due_date}
+              onChange={(event) => setGoalDraft((prev) => ({ ...prev, due_date: event.target.value }))}
+            />
+          </label>
+          <button type="submit" disabled={loading}>
+            追加する
+          </button>
+        </form>
+        <div className="goal-list">
+          {goals.length === 0 ? (
+            <p className="notice">貯金目標がまだありません。</p>
+          ) : (
+            goals.map((goal) => {
+              const progress = goal.target_amount
+                ? Math.min((goal.current_amount / goal.target_amount) * 100, 100)
+                : 0;
+              return (
+                <div key={goal.id} className="goal-card">
+                  {goalEditingId === goal.id ? (
+                    <>
+                      <div className="goal-grid">
+                        <label>
+                          目標名
+                          <input
+                            type="text"
+                            value={goalEditing.name}
+                            onChange={(event) =>
+                              setGoalEditing((prev) => ({ ...prev, name: event.target.value }))
+                            }
+                          />
+                        </label>
+                        <label>
+                          目標金額
+                          <input
+                            type="number"
+                            min="0"
+                            value={goalEditing.target_amount}
+                            onChange={(event) =>
+                              setGoalEditing((prev) => ({
+                                ...prev,
+                                target_amount: event.target.value
+                              }))
+                            }
+                          />
+                        </label>
+                        <label>
+                          現在額
+                          <input
+                            type="number"
+                            min="0"
+                            value={goalEditing.current_amount}
+                            onChange={(event) =>
+                              setGoalEditing((prev) => ({
+                                ...prev,
+                                current_amount: event.target.value
+                              }))
+                            }
+                          />
+                        </label>
+                        <label>
+                          期限（任意）
+                          <input
+                            type="date"
+                            value={goalEditing.due_date || ''}
+                            onChange={(event) =>
+                              setGoalEditing((prev) => ({ ...prev, due_date: event.target.value }))
+                            }
+                          />
+                        </label>
+                      </div>
+                      <div className="button-row">
+                        <button type="button" className="secondary" onClick={() => saveGoal(goal.id)}>
+                          保存
+                        </button>
+                        <button type="button" className="ghost" onClick={cancelEditGoal}>
+                          キャンセル
+                        </button>
+                      </div>
+                    </>
+                  ) : (
+                    <>
+                      <div className="goal-header">
+                        <div>
+                          <h3>{goal.name}</h3>
+                          <p className="notice">
+                            {formatYen(goal.current_amount)} / {formatYen(goal.target_amount)}
+                          </p>
+                          {goal.due_date && <p className="notice">期限: {goal.due_date}</p>}
+                        </div>
+                        <div className="button-row">
+                          <button type="button" className="ghost" onClick={() => startEditGoal(goal)}>
+                            編集
+                          </button>
+                          <button type="button" className="secondary" onClick={() => deleteGoal(goal.id)}>
+                            削除
+                          </button>
+                        </div>
+                      </div>
+                      <div className="goal-progress">
+                        <div className="goal-bar">
+                          <div className="goal-bar-fill" style={{ width: `${progress}%` }} />
+                        </div>
+                        <span className="notice">{Math.round(progress)}%</span>
+                      </div>
+                    </>
+                  )}
+                </div>
+              );
+            })
+          )}
+        </div>
+      </section>
+
+      <section className="card">
+        <h2>世帯</h2>
+        {household ? (
+          <>
+            <p className="notice">
+              「{household.name}」の家計簿を共有しています。明細・カテゴリ・予算・口座・貯金目標はメンバー全員で共通です。
+            </p>
+            <div className="category-list">
+              {householdMembers.map((member) => (
+                <div key={member.user_id} className="category-row">
+                  <div className="category-info">
+                    <span>
+                      {member.display_name || 'メンバー'}{' '}
+                      <span className="badge">{member.role === 'owner' ? 'オーナー' : 'メンバー'}</span>
+                    </span>
+                  </div>
+                  {(member.user_id === session.user.id || household.role === 'owner') && (
+                    <button
+                      type="button"
+                      className="secondary"
+                      onClick={() => removeHouseholdMember(member)}
+                    >
+                      {member.user_id === session.user.id ? '抜ける' : '外す'}
+                    </button>
+                  )}
+                </div>
+              ))}
+              {householdInvitations.map((invitation) => (
+                <div key={invitation.id} className="category-row">
+                  <div className="category-info">
+                    <span>{invitation.email}</span>
+                    <span className="notice">招待中</span>
+                  </div>
+                  <button
+                    type="button"
+                    className="ghost"
+                    onClick={() => declineInvitation(invitation.id)}
+                  >
+                    取り消す
+                  </button>
+                </div>
+              ))}
+            </div>
+            <form onSubmit={handleInvite} className="category-form">
+              <label>
+                メールで招待
+                <input
+                  type="email"
+                  value={inviteEmail}
+                  onChange={(event) => setInviteEmail(event.target.value)}
+                  placeholder="partner@example.com"
+                />
+              </label>
+              <button type="submit" disabled={loading}>
+                招待する
+              </button>
+            </form>
+          </>
+        ) : (
+          <>
+            <p className="notice">世帯を作ると、招待したメンバーと同じ家計簿を使えます。</p>
+            <form onSubmit={handleCreateHousehold} className="category-form">
+              <label>
+                世帯名
+                <input
+                  type="text"
+                  value={householdName}
+                  onChange={(event) => setHouseholdName(event.target.value)}
+                  placeholder="例: わが家"
+                />
+              </label>
+              <button type="submit" disabled={loading}>
+                世帯を作成
+              </button>
+            </form>
+          </>
+        )}
+        {pendingInvitations.length > 0 && (
+          <div className="category-list">
+            {pendingInvitations.map((invitation) => (
+              <div key={invitation.id} className="category-row">
+                <div className="category-info">
+                  <span>「{invitation.households?.name || '世帯'}」から招待されています</span>
+                  {household && (
+                    <span className="notice">参加するには今の世帯から抜けてください。</span>
+                  )}
+                </div>
+                <div className="button-row">
+                  <button
+                    type="button"
+                    className="secondary"
+                    disabled={loading || Boolean(household)}
+                    onClick={() => acceptInvitation(invitation)}
+                  >
+                    参加する
+                  </button>
+                  <button
+                    type="button"
+                    className="ghost"
+                    onClick={() => declineInvitation(invitation.id)}
+                  >
+                    断る
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+
+      {household && (
+        <section className="card">
+          <h2>精算</h2>
+          <p className="notice">
+            期間内の支出を負担の割合で分け、誰が誰にいくら払えば清算できるかを計算します。
+          </p>
+          <div className="filters">
+            <label>
+              開始日
+              <input
+                type="date"
+                value={settlementRange.from}
+                onChange={(event) =>
+                  setSettlementRange((prev) => ({ ...prev, from: event.target.value }))
+                }
+              />
+            </label>
+            <label>
+              終了日
+              <input
+                type="date"
+                value={settlementRange.to}
+                onChange={(event) =>
+                  setSettlementRange((prev) => ({ ...prev, to: event.target.value }))
+                }
+              />
+            </label>
+          </div>
+          <table className="table">
+            <thead>
+              <tr>
+                <th>メンバー</th>
+                <th>立て替えた額</th>
+                <th>負担額</th>
+                <th>精算済み</th>
+                <th>差額</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(settlementBalances).map(([id, balance]) => (
+                <tr key={id}>
+                  <td>{memberNameOf(id) || '不明'}</td>
+                  <td className="amount">{formatYen(balance.paid)}</td>
+                  <td className="amount">{formatYen(balance.owed)}</td>
+                  <td className="amount">{formatYen(balance.settled)}</td>
+                  <td className={`amount ${balance.net < 0 ? 'negative' : 'positive'}`}>
+                    {formatYen(balance.net)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {settlementTransfers.length === 0 ? (
+            <p className="notice">この期間の精算は必要ありません。</p>
+          ) : (
+            <div className="category-list">
+              {settlementTransfers.map((transfer) => (
+                <div key={`${transfer.from}-${transfer.to}`} className="category-row">
+                  <div className="category-info">
+                    <span>
+                      {memberNameOf(transfer.from) || '不明'} → {memberNameOf(transfer.to) || '不明'}
+                    </span>
+                    <span className="notice">{formatYen(transfer.amount)}</span>
+                  </div>
+                  <button
+                    type="button"
+                    className="ghost"
+                    disabled={loading}
+                    onClick={() => recordSettlements([transfer])}
+                  >
+                    精算を記録
+                  </button>
+                </div>
+              ))}
+              <div className="button-row">
+                <button
+                  type="button"
+                  className="secondary"
+                  disabled={loading}
+                  onClick={() => recordSettlements(settlementTransfers)}
+                >
+                  すべて記録する
+                </button>
+              </div>
+            </div>
+          )}
+        </section>
+      )}
+
+      <section className="card">
+        <h2>口座</h2>
+        <p className="notice">現金・銀行・カード・電子マネーごとの残高を確認できます。</p>
+        <form onSubmit={handleAccountSubmit} className="account-form">
+          <label>
+            口座名
+            <input
+              type="text"
+              value={accountDraft.name}
+              onChange={(event) => setAccountDraft((prev) => ({ ...prev, name: event.target.value }))}
+              placeholder="例: 〇〇銀行"
+            />
+          </label>
+          <label>
+            種類
+            <select
+              value={accountDraft.kind}
+              onChange={(event) => setAccountDraft((prev) => ({ ...prev, kind: event.target.value }))}
+            >
+              {accountKinds.map((item) => (
+                <option key={item.value} value={item.value}>
+                  {item.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            初期残高
+            <input
+              type="number"
+              value={accountDraft.opening_balance}
+              onChange={(event) =>
+                setAccountDraft((prev) => ({ ...prev, opening_balance: event.target.value }))
+              }
+              placeholder="例: 50000"
             />
           </label>
+          {accountDraft.kind === 'card' &&
+            renderCardCycleFields(accountDraft, (changes) =>
+              setAccountDraft((prev) => ({ ...prev, ...changes }))
+            )}
           <button type="submit" disabled={loading}>
-            ログインリンクを送信
+            追加する
           </button>
         </form>
-        {status && <p className="notice">{status}</p>}
-      </div>
-    );
-  }
-
-  return (
-    <div className="app">
-      <header>
-        <div className="brand">
-          <h1>家計簿</h1>
-          <p>今日の支出が、未来の安心になる。</p>
-        </div>
-        <div>
-          <button className="ghost" onClick={handleLogout}>
-            ログアウト
-          </button>
+        <div className="category-list">
+          {accounts.length === 0 ? (
+            <p className="notice">口座がまだありません。</p>
+          ) : (
+            accounts.map((account) => (
+              <div key={account.id} className="category-row">
+                {accountEditingId === account.id ? (
+                  <>
+                    <div className="goal-grid">
+                      <input
+                        type="text"
+                        value={accountEditing.name}
+                        onChange={(event) =>
+                          setAccountEditing((prev) => ({ ...prev, name: event.target.value }))
+                        }
+                      />
+                      <select
+                        value={accountEditing.kind}
+                        onChange={(event) =>
+                          setAccountEditing((prev) => ({ ...prev, kind: event.target.value }))
+                        }
+                      >
+                        {accountKinds.map((item) => (
+                          <option key={item.value} value={item.value}>
+                            {item.label}
+                          </option>
+                        ))}
+                      </select>
+                      <input
+                        type="number"
+                        value={accountEditing.opening_balance}
+                        onChange={(event) =>
+                          setAccountEditing((prev) => ({ ...prev, opening_balance: event.target.value }))
+                        }
+                      />
+                      {accountEditing.kind === 'card' &&
+                        renderCardCycleFields(accountEditing, (changes) =>
+                          setAccountEditing((prev) => ({ ...prev, ...changes }))
+                        )}
+                    </div>
+                    <div className="button-row">
+                      <button type="button" className="secondary" onClick={() => saveAccount(account.id)}>
+                        保存
+                      </button>
+                      <button type="button" className="ghost" onClick={cancelEditAccount}>
+                        キャンセル
+                      </button>
+                    </div>
+                  </>
+                ) : (
+                  <>
+                    <div className="category-info">
+                      <span>
+                        {account.name}{' '}
+                        <span className="badge">
+                          {accountKinds.find((item) => item.value === account.kind)?.label}
+                        </span>
+                      </span>
+                      <span className="notice">
+                        残高: {formatYen(accountBalances[account.id])}（初期残高{' '}
+                        {formatYen(account.opening_balance)}）
+                      </span>
+                      {isCardWithCycle(account) && (
+                        <span className="notice">
+                          {account.closing_day}日締め /{' '}
+                          {paymentMonthOffsets.find(
+                            (item) => item.value === String(account.payment_month_offset || 1)
+                          )?.label}
+                          {account.payment_day}日払い
+                        </span>
+                      )}
+                    </div>
+                    <div className="button-row">
+                      <button type="button" className="ghost" onClick={() => startEditAccount(account)}>
+                        編集
+                      </button>
+                      <button
+                        type="button"
+                        className="secondary"
+                        onClick={() => deleteAccount(account.id)}
+                      >
+                        削除
+                      </button>
+                    </div>
+                  </>
+                )}
+              </div>
+            ))
+          )}
         </div>
-      </header>
+      </section>
+
+      {cardStatements.length > 0 && (
+        <section className="card">
+          <h2>カードの請求予定</h2>
+          <div className="category-list">
+            {cardStatements.map(({ account, statements }) => (
+              <div key={account.id} className="statement-group">
+                <h3>{account.name}</h3>
+                {statements.length === 0 ? (
+                  <p className="notice">今後の請求はありません。</p>
+                ) : (
+                  statements.map((statement) => (
+                    <div key={statement.paymentDate} className="category-row">
+                      <div className="category-info">
+                        <span>支払日 {statement.paymentDate}</span>
+                        <span className="notice">
+                          {statement.closingDate} 締め / {statement.count}件
+                        </span>
+                      </div>
+                      <span className="amount negative">{formatYen(statement.total)}</span>
+                    </div>
+                  ))
+                )}
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
 
       <section className="card">
-        <form onSubmit={handleSubmit}>
+        <h2>定期的な明細</h2>
+        <p className="notice">
+          家賃・通信費・給与などを登録すると、指定日になった分の明細を自動で作成します。
+        </p>
+        <form onSubmit={handleRecurringSubmit} className="recurring-form">
           <label>
-            日付
+            開始日
             <input
               type="date"
-              value={form.date}
-              onChange={(event) => setForm({ ...form, date: event.target.value })}
+              value={recurringDraft.start_date}
+              onChange={(event) =>
+                setRecurringDraft((prev) => ({ ...prev, start_date: event.target.value }))
+              }
+              required
+            />
+          </label>
+          <label>
+            毎月の日付
+            <input
+              type="number"
+              min="1"
+              max="31"
+              value={recurringDraft.day_of_month}
+              onChange={(event) =>
+                setRecurringDraft((prev) => ({ ...prev, day_of_month: event.target.value }))
+              }
               required
             />
           </label>
+          <label>
+            間隔（ヶ月）
+            <input
+              type="number"
+              min="1"
+              value={recurringDraft.interval_months}
+              onChange={(event) =>
+                setRecurringDraft((prev) => ({ ...prev, interval_months: event.target.value }))
+              }
+            />
+          </label>
+          <label>
+            終了日（任意）
+            <input
+              type="date"
+              value={recurringDraft.end_date}
+              onChange={(event) =>
+                setRecurringDraft((prev) => ({ ...prev, end_date: event.target.value }))
+              }
+            />
+          </label>
           <label>
             金額
             <input
               type="number"
               min="0"
-              value={form.amount}
-              onChange={(event) => setForm({ ...form, amount: event.target.value })}
-              placeholder="例: 1200"
+              value={recurringDraft.amount}
+              onChange={(event) => setRecurringDraft((prev) => ({ ...prev, amount: event.target.value }))}
+              placeholder="例: 80000"
               required
             />
           </label>
           <label>
             種別
             <select
-              value={form.type}
-              onChange={(event) => setForm({ ...form, type: event.target.value })}
+              value={recurringDraft.type}
+              onChange={(event) => changeRecurringDraftType(event.target.value)}
             >
               {types.map((item) => (
                 <option key={item.value} value={item.value}>
@@ -1068,12 +5534,14 @@ export default function App() {
               ))}
             </select>
           </label>
-          {form.type === 'expense' ? (
-            <label>
-              分類
+          <label>
+            分類
+            {recurringDraft.type === 'expense' ? (
               <select
-                value={form.purpose}
-                onChange={(event) => setForm({ ...form, purpose: event.target.value })}
+                value={recurringDraft.purpose}
+                onChange={(event) =>
+                  setRecurringDraft((prev) => ({ ...prev, purpose: event.target.value }))
+                }
               >
                 {purposes.map((item) => (
                   <option key={item.value} value={item.value}>
@@ -1081,20 +5549,22 @@ export default function App() {
                   </option>
                 ))}
               </select>
-            </label>
-          ) : (
-            <label>
-              分類
-              <input type="text" value="収入" readOnly />
-            </label>
+            ) : (
+              <input type="text" value={typeLabelOf(recurringDraft.type)} readOnly />
+            )}
+          </label>
+          {renderAccountFields(recurringDraft, (changes) =>
+            setRecurringDraft((prev) => ({ ...prev, ...changes }))
           )}
           <label>
             カテゴリ
             <select
-              value={form.category}
-              onChange={(event) => setForm({ ...form, category: event.target.value })}
+              value={recurringDraft.category}
+              onChange={(event) =>
+                setRecurringDraft((prev) => ({ ...prev, category: event.target.value }))
+              }
             >
-              {(form.type === 'income' ? incomeCategories : categories).map((name) => (
+              {categoryOptionsFor(recurringDraft.type).map((name) => (
                 <option key={name} value={name}>
                   {name}
                 </option>
@@ -1105,332 +5575,249 @@ export default function App() {
             メモ
             <input
               type="text"
-              value={form.note}
-              onChange={(event) => setForm({ ...form, note: event.target.value })}
-              placeholder="例: スーパー"
+              value={recurringDraft.note}
+              onChange={(event) => setRecurringDraft((prev) => ({ ...prev, note: event.target.value }))}
+              placeholder="例: 家賃"
             />
           </label>
           <button type="submit" disabled={loading}>
-            登録する
+            追加する
           </button>
         </form>
-        {status && <p className="notice">{status}</p>}
-      </section>
-
-      <section className="card">
-        <div className="grid">
-          <div>
-            <h2>月別サマリー</h2>
-            <p className="notice">月を切り替えて集計を確認できます。</p>
-          </div>
-          <div className="summary-actions">
-            <label>
-              対象月
-              <input
-                type="month"
-                value={month}
-                onChange={(event) => setMonth(event.target.value)}
-              />
-            </label>
-            <div className="button-row">
-              <button
-                className="secondary"
-                type="button"
-                onClick={() => downloadCsv(filteredItems, `kakeibo-${month}.csv`)}
-              >
-                CSV (この月)
-              </button>
-              <button
-                className="secondary"
-                type="button"
-                onClick={() => downloadCsv(transactions, 'kakeibo-all.csv')}
-              >
-                CSV (全期間)
-              </button>
-            </div>
-          </div>
-        </div>
-        <div className="stats">
-          <div className="stat">
-            <h3>収入</h3>
-            <p>{formatYen(stats.income)}</p>
-          </div>
-          <div className="stat">
-            <h3>支出</h3>
-            <p>{formatYen(stats.expense)}</p>
-          </div>
-          <div className="stat">
-            <h3>収支</h3>
-            <p>{formatYen(stats.balance)}</p>
-          </div>
-          <div className="stat">
-            <h3>予算</h3>
-            <p>{formatYen(budgetStats.budgetTotal)}</p>
-          </div>
-          <div className="stat">
-            <h3>達成率</h3>
-            <p>{budgetStats.percent}%</p>
-          </div>
-          <div className="stat">
-            <h3>残り</h3>
-            <p>{formatYen(budgetStats.remaining)}</p>
-          </div>
-          <div className="stat">
-            <h3>残日数</h3>
-            <p>{budgetStats.daysLeft}日</p>
-          </div>
+        <div className="category-list">
+          {recurringRules.length === 0 ? (
+            <p className="notice">定期的な明細はまだありません。</p>
+          ) : (
+            recurringRules.map((rule) => (
+              <div key={rule.id} className="category-row">
+                <div className="category-info">
+                  <span>
+                    {rule.note || rule.category}（{rule.category}）{' '}
+                    <span className={`amount ${rule.type === 'income' ? 'positive' : 'negative'}`}>
+                      {formatYen(rule.amount)}
+                    </span>
+                  </span>
+                  <span className="notice">
+                    {rule.interval_months > 1 ? `${rule.interval_months}ヶ月ごと` : '毎月'}
+                    {rule.day_of_month}日 / {rule.start_date} 〜 {rule.end_date || ''}
+                    {rule.generated_through ? ` / 最終登録: ${rule.generated_through}` : ''}
+                  </span>
+                </div>
+                <div className="button-row">
+                  <button
+                    type="button"
+                    className="secondary"
+                    onClick={() => deleteRecurringRule(rule.id)}
+                  >
+                    削除
+                  </button>
+                </div>
+              </div>
+            ))
+          )}
         </div>
       </section>
 
       <section className="card">
-        <h2>フィルタ</h2>
-        <div className="filters">
-          <label>
-            種別
-            <select
-              value={filters.type}
-              onChange={(event) => setFilters((prev) => ({ ...prev, type: event.target.value }))}
-            >
-              <option value="all">すべて</option>
-              {types.map((item) => (
-                <option key={item.value} value={item.value}>
-                  {item.label}
-                </option>
-              ))}
-            </select>
-          </label>
-          <label>
-            分類
-            <select
-              value={filters.purpose}
-              disabled={filters.type === 'income'}
-              onChange={(event) => setFilters((prev) => ({ ...prev, purpose: event.target.value }))}
-            >
-              <option value="all">すべて</option>
-              {purposes.map((item) => (
-                <option key={item.value} value={item.value}>
-                  {item.label}
-                </option>
-              ))}
-            </select>
-          </label>
-          <label>
-            カテゴリ
-            <select
-              value={filters.category}
-              onChange={(event) => setFilters((prev) => ({ ...prev, category: event.target.value }))}
-            >
-              <option value="all">すべて</option>
-              {filterCategoryOptions.map((name) => (
-                <option key={name} value={name}>
-                  {name}
-                </option>
-              ))}
-            </select>
-          </label>
-          <label>
-            日付（開始）
-            <input
-              type="date"
-              value={filters.dateFrom}
-              onChange={(event) => setFilters((prev) => ({ ...prev, dateFrom: event.target.value }))}
-            />
-          </label>
-          <label>
-            日付（終了）
-            <input
-              type="date"
-              value={filters.dateTo}
-              onChange={(event) => setFilters((prev) => ({ ...prev, dateTo: event.target.value }))}
-            />
-          </label>
+        <h2>自動分類ルール</h2>
+        <p className="notice">
+          メモのキーワード・金額・口座に一致した明細へ、カテゴリと分類を提案します。上にあるルールが優先されます。
+        </p>
+        <form onSubmit={handleRuleSubmit} className="recurring-form">
           <label>
-            検索（メモ）
+            メモのキーワード
             <input
               type="text"
-              value={filters.query}
-              onChange={(event) => setFilters((prev) => ({ ...prev, query: event.target.value }))}
-              placeholder="キーワード"
+              value={ruleDraft.pattern}
+              onChange={(event) => setRuleDraft((prev) => ({ ...prev, pattern: event.target.value }))}
+              placeholder="例: セブンイレブン"
             />
           </label>
-          <button
-            type="button"
-            className="secondary"
-            onClick={() =>
-              setFilters({ type: 'all', purpose: 'all', category: 'all', query: '', dateFrom: '', dateTo: '' })
-            }
-          >
-            フィルタをクリア
-          </button>
-        </div>
-      </section>
-
-      <section className="card">
-        <h2>貯金目標</h2>
-        <div className="button-row">
-          <button type="button" className="secondary" onClick={requestNotificationPermission}>
-            目標達成通知を許可
-          </button>
-        </div>
-        <form onSubmit={handleGoalSubmit} className="goal-form">
           <label>
-            目標名
-            <input
-              type="text"
-              value={goalDraft.name}
-              onChange={(event) => setGoalDraft((prev) => ({ ...prev, name: event.target.value }))}
-              placeholder="例: 旅行"
-            />
+            一致方法
+            <select
+              value={ruleDraft.match_type}
+              onChange={(event) => setRuleDraft((prev) => ({ ...prev, match_type: event.target.value }))}
+            >
+              {ruleMatchTypes.map((item) => (
+                <option key={item.value} value={item.value}>
+                  {item.label}
+                </option>
+              ))}
+            </select>
           </label>
           <label>
-            目標金額
+            金額（最小）
             <input
               type="number"
               min="0"
-              value={goalDraft.target_amount}
-              onChange={(event) =>
-                setGoalDraft((prev) => ({ ...prev, target_amount: event.target.value }))
-              }
-              placeholder="例: 200000"
+              value={ruleDraft.min_amount}
+              onChange={(event) => setRuleDraft((prev) => ({ ...prev, min_amount: event.target.value }))}
             />
           </label>
           <label>
-            現在額
+            金額（最大）
             <input
               type="number"
               min="0"
-              value={goalDraft.current_amount}
-              onChange={(event) =>
-                setGoalDraft((prev) => ({ ...prev, current_amount: event.target.value }))
-              }
-              placeholder="例: 50000"
+              value={ruleDraft.max_amount}
+              onChange={(event) => setRuleDraft((prev) => ({ ...prev, max_amount: event.target.value }))}
             />
           </label>
           <label>
-            期限（任意）
-            <input
-              type="date"
-              value={goalDraft.due_date}
-              onChange={(event) => setGoalDraft((prev) => ({ ...prev, due_date: event.target.value }))}
-            />
+            口座
+            <select
+              value={ruleDraft.account_id}
+              onChange={(event) => setRuleDraft((prev) => ({ ...prev, account_id: event.target.value }))}
+            >
+              <option value="">すべて</option>
+              {accounts.map((account) => (
+                <option key={account.id} value={account.id}>
+                  {account.name}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            種別
+            <select
+              value={ruleDraft.set_type}
+              onChange={(event) => setRuleDraft((prev) => ({ ...prev, set_type: event.target.value }))}
+            >
+              <option value="">変更しない</option>
+              {types
+                .filter((item) => item.value !== 'transfer')
+                .map((item) => (
+                  <option key={item.value} value={item.value}>
+                    {item.label}
+                  </option>
+                ))}
+            </select>
+          </label>
+          <label>
+            分類
+            <select
+              value={ruleDraft.set_purpose}
+              disabled={ruleDraft.set_type === 'income'}
+              onChange={(event) => setRuleDraft((prev) => ({ ...prev, set_purpose: event.target.value }))}
+            >
+              <option value="">変更しない</option>
+              {purposes.map((item) => (
+                <option key={item.value} value={item.value}>
+                  {item.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            カテゴリ
+            <select
+              value={ruleDraft.set_category}
+              onChange={(event) => setRuleDraft((prev) => ({ ...prev, set_category: event.target.value }))}
+            >
+              {categoryOptionsFor(ruleDraft.set_type || 'expense').map((name) => (
+                <option key={name} value={name}>
+                  {name}
+                </option>
+              ))}
+            </select>
           </label>
           <button type="submit" disabled={loading}>
             追加する
           </button>
         </form>
-        <div className="goal-list">
-          {goals.length === 0 ? (
-            <p className="notice">貯金目標がまだありません。</p>
+        <div className="category-list">
+          {categoryRules.length === 0 ? (
+            <p className="notice">自動分類ルールはまだありません。</p>
           ) : (
-            goals.map((goal) => {
-              const progress = goal.target_amount
-                ? Math.min((goal.current_amount / goal.target_amount) * 100, 100)
-                : 0;
-              return (
-                <div key={goal.id} className="goal-card">
-                  {goalEditingId === goal.id ? (
-                    <>
-                      <div className="goal-grid">
-                        <label>
-                          目標名
-                          <input
-                            type="text"
-                            value={goalEditing.name}
-                            onChange={(event) =>
-                              setGoalEditing((prev) => ({ ...prev, name: event.target.value }))
-                            }
-                          />
-                        </label>
-                        <label>
-                          目標金額
-                          <input
-                            type="number"
-                            min="0"
-                            value={goalEditing.target_amount}
-                            onChange={(event) =>
-                              setGoalEditing((prev) => ({
-                                ...prev,
-                                target_amount: event.target.value
-                              }))
-                            }
-                          />
-                        </label>
-                        <label>
-                          現在額
-                          <input
-                            type="number"
-                            min="0"
-                            value={goalEditing.current_amount}
-                            onChange={(event) =>
-                              setGoalEditing((prev) => ({
-                                ...prev,
-                                current_amount: event.target.value
-                              }))
-                            }
-                          />
-                        </label>
-                        <label>
-                          期限（任意）
-                          <input
-                            type="date"
-                            value={goalEditing.due_date || ''}
-                            onChange={(event) =>
-                              setGoalEditing((prev) => ({ ...prev, due_date: event.target.value }))
-                            }
-                          />
-                        </label>
-                      </div>
-                      <div className="button-row">
-                        <button type="button" className="secondary" onClick={() => saveGoal(goal.id)}>
-                          保存
-                        </button>
-                        <button type="button" className="ghost" onClick={cancelEditGoal}>
-                          キャンセル
-                        </button>
-                      </div>
-                    </>
-                  ) : (
-                    <>
-                      <div className="goal-header">
-                        <div>
-                          <h3>{goal.name}</h3>
-                          <p className="notice">
-                            {formatYen(goal.current_amount)} / {formatYen(goal.target_amount)}
-                          </p>
-                          {goal.due_date && <p className="notice">期限: {goal.due_date}</p>}
-                        </div>
-                        <div className="button-row">
-                          <button type="button" className="ghost" onClick={() => startEditGoal(goal)}>
-                            編集
-                          </button>
-                          <button type="button" className="secondary" onClick={() => deleteGoal(goal.id)}>
-                            削除
-                          </button>
-                        </div>
-                      </div>
-                      <div className="goal-progress">
-                        <div className="goal-bar">
-                          <div className="goal-bar-fill" style={{ width: `${progress}%` }} />
-                        </div>
-                        <span className="notice">{Math.round(progress)}%</span>
-                      </div>
-                    </>
-                  )}
+            categoryRules.map((rule, index) => (
+              <div key={rule.id} className="category-row">
+                <div className="category-info">
+                  <span>
+                    {index + 1}. {rule.pattern ? `「${rule.pattern}」` : '（キーワードなし）'}
+                    {rule.match_type === 'regex' ? '（正規表現）' : ''} → {rule.set_category}
+                    {rule.set_type ? ` / ${typeLabelOf(rule.set_type)}` : ''}
+                    {rule.set_purpose ? ` / ${purposeLabelOf({ type: 'expense', purpose: rule.set_purpose })}` : ''}
+                  </span>
+                  <span className="notice">
+                    {rule.min_amount !== null || rule.max_amount !== null
+                      ? `金額 ${rule.min_amount ?? ''}〜${rule.max_amount ?? ''} / `
+                      : ''}
+                    {rule.account_id ? `口座 ${accountNameOf(rule.account_id)} / ` : ''}
+                    表示中の期間の明細で一致 {ruleMatchStats[rule.id]?.matched || 0}件（カテゴリ相違{' '}
+                    {ruleMatchStats[rule.id]?.different || 0}件）
+                  </span>
                 </div>
-              );
-            })
+                <div className="button-row">
+                  <button
+                    type="button"
+                    className="ghost"
+                    onClick={() => moveCategoryRule(index, -1)}
+                    disabled={index === 0 || loading}
+                  >
+                    ↑
+                  </button>
+                  <button
+                    type="button"
+                    className="ghost"
+                    onClick={() => moveCategoryRule(index, 1)}
+                    disabled={index === categoryRules.length - 1 || loading}
+                  >
+                    ↓
+                  </button>
+                  <button type="button" className="secondary" onClick={() => deleteCategoryRule(rule.id)}>
+                    削除
+                  </button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+        <div className="import-row">
+          <label>
+            テスト（メモ）
+            <input
+              type="text"
+              value={ruleTest.note}
+              onChange={(event) => setRuleTest((prev) => ({ ...prev, note: event.target.value }))}
+              placeholder="例: JR東日本"
+            />
+          </label>
+          <label>
+            テスト（金額）
+            <input
+              type="number"
+              min="0"
+              value={ruleTest.amount}
+              onChange={(event) => setRuleTest((prev) => ({ ...prev, amount: event.target.value }))}
+            />
+          </label>
+          {ruleTestResult !== null && (
+            <p className="notice">
+              {ruleTestResult
+                ? `${categoryRules.indexOf(ruleTestResult) + 1}番目のルールに一致: ${ruleTestResult.set_category}`
+                : '一致するルールはありません'}
+            </p>
           )}
         </div>
       </section>
 
       <section className="card">
         <h2>バックアップ</h2>
-        <p className="notice">CSVでデータを保存できます。</p>
+        <p className="notice">
+          JSONバックアップには明細・カテゴリ・予算・貯金目標などすべてのデータが含まれます。レシートの写真やPDFも残す場合はZIPで保存してください。CSVでも保存できます。
+        </p>
         <div className="button-row">
+          <button type="button" onClick={downloadJsonBackup} disabled={loading}>
+            JSONバックアップ（すべて）
+          </button>
+          <button className="secondary" type="button" onClick={downloadZipBackup} disabled={loading}>
+            ZIPバックアップ（レシートを含む）
+          </button>
           <button
             className="secondary"
             type="button"
-            onClick={() => downloadCsv(transactions, 'kakeibo-all.csv')}
+            onClick={downloadAllCsv}
           >
             明細CSV（全期間）
           </button>
@@ -1444,40 +5831,347 @@ export default function App() {
             予算CSV（この月）
           </button>
         </div>
+        <div className="import-row">
+          <label>
+            復元するJSON / ZIP
+            <input
+              type="file"
+              accept=".json,application/json,.zip,application/zip"
+              onChange={(event) => {
+                setBackupFile(event.target.files?.[0] || null);
+                setRestoreReport(null);
+              }}
+            />
+          </label>
+          <label>
+            復元方法
+            <select value={restoreMode} onChange={(event) => setRestoreMode(event.target.value)}>
+              <option value="merge">統合（既存データを残す）</option>
+              <option value="replace">すべて置き換え</option>
+            </select>
+          </label>
+          <button type="button" className="secondary" onClick={handleRestore} disabled={!backupFile || loading}>
+            復元する
+          </button>
+        </div>
+        {restoreReport && (
+          <div className="import-summary">
+            {Object.values(restoreReport)
+              .filter((item) => item.added + item.updated + item.deleted + item.skipped > 0)
+              .map((item) => (
+                <p key={item.label} className="notice">
+                  {item.label}: 追加 {item.added}件 / 更新 {item.updated}件
+                  {item.deleted > 0 ? ` / 削除 ${item.deleted}件` : ''}
+                  {item.skipped > 0 ? ` / 他のメンバーのため変更なし ${item.skipped}件` : ''}
+                </p>
+              ))}
+          </div>
+        )}
         <div className="import-row">
           <label>
             インポート種別
-            <select value={importKind} onChange={(event) => setImportKind(event.target.value)}>
+            <select
+              value={importKind}
+              onChange={(event) => {
+                setImportKind(event.target.value);
+                cancelImportPreview();
+              }}
+            >
               <option value="transactions">明細</option>
+              <option value="statement">銀行・カード明細</option>
               <option value="categories">カテゴリ</option>
               <option value="budgets">予算</option>
             </select>
           </label>
           <label>
             CSVファイル
-            <input type="file" accept=".csv,text/csv" onChange={(event) => setImportFile(event.target.files?.[0] || null)} />
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              onChange={(event) => {
+                setStatementRows(null);
+                setTransactionImportRows(null);
+                setImportActions({});
+                setImportFile(event.target.files?.[0] || null);
+              }}
+            />
           </label>
           <button type="button" className="secondary" onClick={handleImport} disabled={!importFile || loading}>
-            CSVをインポート
+            {importKind === 'categories' || importKind === 'budgets' ? 'CSVをインポート' : 'CSVを読み込む'}
           </button>
         </div>
+        {importKind === 'statement' && statementRows && (
+          <div className="import-wizard">
+            <h3>列の割り当て</h3>
+            <div className="import-row">
+              <label>
+                インポート設定
+                <select value={importProfileId} onChange={(event) => applyImportProfile(event.target.value)}>
+                  <option value="">選択してください</option>
+                  {importProfiles.map((profile) => (
+                    <option key={profile.id} value={profile.id}>
+                      {profile.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                設定名
+                <input
+                  type="text"
+                  value={importProfileName}
+                  onChange={(event) => setImportProfileName(event.target.value)}
+                  placeholder="例: 〇〇カード"
+                />
+              </label>
+              <div className="button-row">
+                <button type="button" className="secondary" onClick={saveImportProfile} disabled={loading}>
+                  設定を保存
+                </button>
+                {importProfileId && (
+                  <button type="button" className="ghost" onClick={deleteImportProfile}>
+                    設定を削除
+                  </button>
+                )}
+              </div>
+            </div>
+            <div className="import-row">
+              <label>
+                文字コード
+                <select
+                  value={statementMapping.encoding}
+                  onChange={(event) => updateStatementMapping({ encoding: event.target.value })}
+                >
+                  <option value="auto">自動判定</option>
+                  <option value="shift_jis">Shift_JIS</option>
+                  <option value="utf-8">UTF-8</option>
+                </select>
+              </label>
+              <label>
+                読み飛ばす行数
+                <input
+                  type="number"
+                  min="0"
+                  value={statementMapping.skipRows}
+                  onChange={(event) => updateStatementMapping({ skipRows: event.target.value })}
+                />
+              </label>
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={statementMapping.hasHeader}
+                  onChange={(event) => updateStatementMapping({ hasHeader: event.target.checked })}
+                />
+                見出し行あり
+              </label>
+              {renderColumnSelect('日付の列', 'dateColumn')}
+              <label>
+                金額の形式
+                <select
+                  value={statementMapping.amountMode}
+                  onChange={(event) => updateStatementMapping({ amountMode: event.target.value })}
+                >
+                  <option value="signed">1列（符号付き）</option>
+                  <option value="split">出金・入金の2列</option>
+                </select>
+              </label>
+              {statementMapping.amountMode === 'signed' ? (
+                <>
+                  {renderColumnSelect('金額の列', 'amountColumn')}
+                  <label>
+                    符号
+                    <select
+                      value={statementMapping.signConvention}
+                      onChange={(event) => updateStatementMapping({ signConvention: event.target.value })}
+                    >
+                      <option value="negative_expense">マイナスが支出</option>
+                      <option value="positive_expense">プラスが支出（カード明細）</option>
+                    </select>
+                  </label>
+                </>
+              ) : (
+                <>
+                  {renderColumnSelect('出金の列', 'withdrawalColumn', true)}
+                  {renderColumnSelect('入金の列', 'depositColumn', true)}
+                </>
+              )}
+              {renderColumnSelect('摘要（メモ）の列', 'noteColumn', true)}
+              <label>
+                口座
+                <select
+                  value={statementMapping.account_id}
+                  onChange={(event) => updateStatementMapping({ account_id: event.target.value })}
+                >
+                  <option value="">未指定</option>
+                  {accounts.map((account) => (
+                    <option key={account.id} value={account.id}>
+                      {account.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                支出のカテゴリ
+                <select
+                  value={statementMapping.expenseCategory || categories[0]}
+                  onChange={(event) => updateStatementMapping({ expenseCategory: event.target.value })}
+                >
+                  {categories.map((name) => (
+                    <option key={name} value={name}>
+                      {name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                収入のカテゴリ
+                <select
+                  value={statementMapping.incomeCategory || incomeCategories[0]}
+                  onChange={(event) => updateStatementMapping({ incomeCategory: event.target.value })}
+                >
+                  {incomeCategories.map((name) => (
+                    <option key={name} value={name}>
+                      {name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          </div>
+        )}
+        {importCandidates.length > 0 && (
+          <div className="import-wizard">
+            <h3>プレビュー</h3>
+            <p className="notice">
+              {importCandidates.length}件中 追加 {importCandidates.filter((row) => row.action === 'insert').length}
+              件 / 上書き {importCandidates.filter((row) => row.action === 'overwrite').length}件 / 重複の可能性{' '}
+              {importCandidates.filter((row) => row.duplicateId || row.duplicateLine).length}件 / エラー{' '}
+              {importCandidates.filter((row) => row.error).length}件
+            </p>
+            <div className="button-row">
+              {importActionOptions.map((option) => (
+                <button
+                  key={option.value}
+                  type="button"
+                  className="ghost"
+                  onClick={() => setDuplicateImportActions(option.value)}
+                >
+                  重複をすべて{option.label}
+                </button>
+              ))}
+            </div>
+            <div className="table-scroll">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>行</th>
+                    <th>日付</th>
+                    <th>種別</th>
+                    <th>カテゴリ</th>
+                    <th>メモ</th>
+                    <th>金額</th>
+                    <th>状態</th>
+                    <th>処理</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {importCandidates.map((row) => (
+                    <tr key={row.line} className={row.action === 'skip' ? 'pending-row' : ''}>
+                      <td>{row.line}</td>
+                      <td>{row.date || '-'}</td>
+                      <td>{typeLabelOf(row.type)}</td>
+                      <td>
+                        {row.category}
+                        {row.ruleId && <span className="badge offline">自動</span>}
+                      </td>
+                      <td>{row.note || '-'}</td>
+                      <td className={`amount ${row.type === 'income' ? 'positive' : 'negative'}`}>
+                        {formatYen(row.amount)}
+                      </td>
+                      <td className={row.error ? 'over-budget-text' : ''}>
+                        {row.error ||
+                          (row.duplicateId
+                            ? '重複の可能性'
+                            : row.duplicateLine
+                              ? `${row.duplicateLine}行目と重複の可能性`
+                              : 'OK')}
+                      </td>
+                      <td>
+                        <select
+                          value={row.action}
+                          disabled={Boolean(row.error)}
+                          onChange={(event) => setImportAction(row.line, event.target.value)}
+                        >
+                          {importActionOptions
+                            .filter((option) => option.value !== 'overwrite' || row.duplicateId)
+                            .map((option) => (
+                              <option key={option.value} value={option.value}>
+                                {option.label}
+                              </option>
+                            ))}
+                        </select>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="button-row">
+              <button type="button" onClick={commitImport} disabled={loading}>
+                この内容でインポート
+              </button>
+              <button type="button" className="ghost" onClick={cancelImportPreview}>
+                キャンセル
+              </button>
+            </div>
+          </div>
+        )}
+        {importSummary && (
+          <div className="import-summary">
+            <p className="notice">
+              追加 {importSummary.inserted}件 / 上書き {importSummary.overwritten}件 / スキップ{' '}
+              {importSummary.skipped}件 / 失敗 {importSummary.failed.length}件
+            </p>
+            {importSummary.failed.map((item) => (
+              <p key={item.line} className="notice over-budget-text">
+                {item.line}行目: {item.message}
+              </p>
+            ))}
+          </div>
+        )}
       </section>
 
       <section className="card">
         <h2>グラフ</h2>
         <div className="charts">
           <div>
-            <h3>カテゴリ別支出</h3>
-            {categoryData.length === 0 ? (
-              <p className="notice">支出がありません。</p>
+            <h3>カテゴリ別支出</h3>
+            {categoryData.length === 0 ? (
+              <p className="notice">支出がありません。</p>
+            ) : (
+              <ResponsiveContainer width="100%" height={240}>
+                <BarChart data={categoryData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="name" />
+                  <YAxis />
+                  <Tooltip />
+                  <Bar dataKey="value" fill="#1f4d45" radius={[6, 6, 0, 0]} />
+                </BarChart>
+              </ResponsiveContainer>
+            )}
+          </div>
+          <div>
+            <h3>タグ別支出</h3>
+            {tagData.length === 0 ? (
+              <p className="notice">タグの付いた支出がありません。</p>
             ) : (
               <ResponsiveContainer width="100%" height={240}>
-                <BarChart data={categoryData}>
+                <BarChart data={tagData}>
                   <CartesianGrid strokeDasharray="3 3" />
                   <XAxis dataKey="name" />
                   <YAxis />
                   <Tooltip />
-                  <Bar dataKey="value" fill="#1f4d45" radius={[6, 6, 0, 0]} />
+                  <Bar dataKey="value" fill="#8a6d3a" radius={[6, 6, 0, 0]} />
                 </BarChart>
               </ResponsiveContainer>
             )}
@@ -1517,6 +6211,92 @@ export default function App() {
               </ResponsiveContainer>
             )}
           </div>
+          <div>
+            <h3>日別の累計支出</h3>
+            {dailyData.every((item) => item.spent === 0) && !forecast ? (
+              <p className="notice">支出がありません。</p>
+            ) : (
+              <ResponsiveContainer width="100%" height={260}>
+                <LineChart
+                  data={dailyData}
+                  onClick={(event) => {
+                    const item = event?.activePayload?.[0]?.payload;
+                    if (item) selectDay(item.date);
+                  }}
+                >
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="day" />
+                  <YAxis />
+                  <Tooltip />
+                  <Legend />
+                  <Line type="monotone" dataKey="actual" stroke="#1f4d45" name="実績" dot={false} />
+                  <Line
+                    type="linear"
+                    dataKey="pace"
+                    stroke="#3a6c8a"
+                    strokeDasharray="2 4"
+                    name="予算のペース"
+                    dot={false}
+                  />
+                  <Line
+                    type="monotone"
+                    dataKey="projected"
+                    stroke="#b84a4a"
+                    strokeDasharray="6 4"
+                    name="予測"
+                    dot={false}
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            )}
+          </div>
+          <div>
+            <h3>日別の支出カレンダー</h3>
+            <div className="heatmap">
+              {weekdays.map((label) => (
+                <span key={label} className="heatmap-weekday">
+                  {label}
+                </span>
+              ))}
+              {dailyData.length > 0 &&
+                Array.from(
+                  { length: new Date(`${dailyData[0].date}T00:00:00`).getDay() },
+                  (_, index) => <span key={`blank-${index}`} />
+                )}
+              {dailyData.map((item) => {
+                const selected = filters.dateFrom === item.date && filters.dateTo === item.date;
+                const level = heatmapMax > 0 ? item.spent / heatmapMax : 0;
+                return (
+                  <button
+                    key={item.date}
+                    type="button"
+                    className={`heatmap-day ${selected ? 'selected' : ''}`}
+                    style={{
+                      background:
+                        item.spent > 0 ? `rgba(184, 74, 74, ${0.15 + level * 0.75})` : undefined
+                    }}
+                    title={`${item.date} ${formatYen(item.spent)}`}
+                    onClick={() => selectDay(item.date)}
+                  >
+                    <span>{item.day}</span>
+                    {item.spent > 0 && <small>{formatYen(item.spent)}</small>}
+                  </button>
+                );
+              })}
+            </div>
+            {filters.dateFrom && filters.dateFrom === filters.dateTo && (
+              <p className="notice">
+                明細を {filters.dateFrom} に絞り込んでいます{' '}
+                <button
+                  type="button"
+                  className="link-button"
+                  onClick={() => selectDay(filters.dateFrom)}
+                >
+                  解除
+                </button>
+              </p>
+            )}
+          </div>
           <div>
             <h3>予算の達成状況</h3>
             {budgetChartData.length === 0 ? (
@@ -1527,7 +6307,13 @@ export default function App() {
                   <CartesianGrid strokeDasharray="3 3" />
                   <XAxis dataKey="name" />
                   <YAxis />
-                  <Tooltip />
+                  <Tooltip
+                    formatter={(value, name, entry) =>
+                      name === '残り' && entry.payload.carry
+                        ? [`${value}（繰越 ${entry.payload.carry}）`, name]
+                        : [value, name]
+                    }
+                  />
                   <Legend />
                   <Bar dataKey="spent" stackId="a" fill="#1f4d45" name="支出" />
                   <Bar dataKey="remaining" stackId="a" fill="#3a6c8a" name="残り" />
@@ -1553,42 +6339,450 @@ export default function App() {
                 <th>分類</th>
                 <th>カテゴリ</th>
                 <th>メモ</th>
+                <th>口座</th>
                 <th>金額</th>
                 <th></th>
               </tr>
             </thead>
             <tbody>
-              {filteredItems.map((item) => (
-                <tr key={item.id}>
-                  <td>{item.date}</td>
-                  <td>
-                    <span className="badge">
-                      {item.type === 'income' ? '収入' : '支出'}
-                    </span>
-                  </td>
-                  <td>
-                    {purposes.find((purpose) => purpose.value === item.purpose)?.label || '消費'}
-                  </td>
-                  <td>
-                    {item.type === 'income'
-                      ? '収入'
-                      : purposes.find((purpose) => purpose.value === item.purpose)?.label || '消費'}
-                  </td>
-                  <td>{item.category}</td>
-                  <td>{item.note || '-'}</td>
-                  <td className={`amount ${item.type === 'income' ? 'positive' : 'negative'}`}>
-                    {formatYen(item.amount)}
-                  </td>
-                  <td>
-                    <button className="secondary" onClick={() => handleDelete(item.id)}>
-                      削除
-                    </button>
-                  </td>
-                </tr>
-              ))}
+              {filteredItems.slice(0, visibleCount).map((item) =>
+                transactionEditingId === item.id ? (
+                  <tr key={item.id} className="editing-row">
+                    <td colSpan={9}>
+                      <div className="transaction-edit">
+                        <label>
+                          日付
+                          <input
+                            type="date"
+                            value={transactionEditing.date}
+                            onChange={(event) =>
+                              setTransactionEditing((prev) => ({ ...prev, date: event.target.value }))
+                            }
+                          />
+                        </label>
+                        <label>
+                          金額
+                          <input
+                            type="number"
+                            min="0"
+                            value={transactionEditing.amount}
+                            onChange={(event) =>
+                              setTransactionEditing((prev) => ({ ...prev, amount: event.target.value }))
+                            }
+                          />
+                        </label>
+                        <label>
+                          種別
+                          <select
+                            value={transactionEditing.type}
+                            onChange={(event) => changeEditingTransactionType(event.target.value)}
+                          >
+                            {types.map((type) => (
+                              <option key={type.value} value={type.value}>
+                                {type.label}
+                              </option>
+                            ))}
+                          </select>
+                        </label>
+                        <label>
+                          分類
+                          {transactionEditing.type === 'expense' ? (
+                            <select
+                              value={transactionEditing.purpose}
+                              onChange={(event) =>
+                                setTransactionEditing((prev) => ({ ...prev, purpose: event.target.value }))
+                              }
+                            >
+                              {purposes.map((purpose) => (
+                                <option key={purpose.value} value={purpose.value}>
+                                  {purpose.label}
+                                </option>
+                              ))}
+                            </select>
+                          ) : (
+                            <input type="text" value={typeLabelOf(transactionEditing.type)} readOnly />
+                          )}
+                        </label>
+                        {renderAccountFields(transactionEditing, (changes) =>
+                          setTransactionEditing((prev) => ({ ...prev, ...changes }))
+                        )}
+                        {renderPayerField(transactionEditing, (changes) =>
+                          setTransactionEditing((prev) => ({ ...prev, ...changes }))
+                        )}
+                        {(transactionEditing.type !== 'expense' || !hasSplits(transactionEditing)) && (
+                          <label>
+                            カテゴリ
+                            <select
+                              value={transactionEditing.category}
+                              onChange={(event) =>
+                                setTransactionEditing((prev) => ({ ...prev, category: event.target.value }))
+                              }
+                            >
+                              {categoryOptionsFor(transactionEditing.type).map((name) => (
+                                <option key={name} value={name}>
+                                  {name}
+                                </option>
+                              ))}
+                            </select>
+                          </label>
+                        )}
+                        <label>
+                          メモ
+                          <input
+                            type="text"
+                            value={transactionEditing.note}
+                            onChange={(event) =>
+                              setTransactionEditing((prev) => ({ ...prev, note: event.target.value }))
+                            }
+                          />
+                        </label>
+                        {renderSplitFields(transactionEditing, (changes) =>
+                          setTransactionEditing((prev) => ({ ...prev, ...changes }))
+                        )}
+                        {renderShareFields(transactionEditing, (changes) =>
+                          setTransactionEditing((prev) => ({ ...prev, ...changes }))
+                        )}
+                        {renderTagFields(
+                          transactionEditing,
+                          (changes) => setTransactionEditing((prev) => ({ ...prev, ...changes })),
+                          editTagInput,
+                          setEditTagInput
+                        )}
+                        <div className="button-row">
+                          <button
+                            type="button"
+                            className="secondary"
+                            onClick={() => saveTransaction(item.id)}
+                            disabled={loading}
+                          >
+                            保存
+                          </button>
+                          <button type="button" className="ghost" onClick={cancelEditTransaction}>
+                            キャンセル
+                          </button>
+                        </div>
+                      </div>
+                    </td>
+                  </tr>
+                ) : (
+                  <React.Fragment key={item.id}>
+                    <tr className={item._pending ? 'pending-row' : ''}>
+                      <td>
+                        {item.date}
+                        {item._pending && <span className="badge offline">未同期</span>}
+                      </td>
+                      <td>
+                        <span className="badge">{typeLabelOf(item.type)}</span>
+                      </td>
+                      <td>
+                        {purposes.find((purpose) => purpose.value === item.purpose)?.label || '消費'}
+                      </td>
+                      <td>{purposeLabelOf(item)}</td>
+                      <td>
+                        {hasSplits(item) ? (
+                          <button type="button" className="link-button" onClick={() => toggleSplitExpanded(item.id)}>
+                            {expandedSplitIds[item.id] ? '▾' : '▸'} 分割（{item.splits.length}件）
+                          </button>
+                        ) : (
+                          item.category
+                        )}
+                      </td>
+                      <td>
+                        {item.note || '-'}
+                        {renderReceiptList(item)}
+                        {(item.tags || []).length > 0 && (
+                          <span className="tag-list">
+                            {item.tags.map((tag) => (
+                              <span key={tag} className="badge tag">
+                                {tag}
+                              </span>
+                            ))}
+                          </span>
+                        )}
+                      </td>
+                      <td>
+                        {isSettlement(item)
+                          ? `${memberNameOf(item.paid_by) || '不明'} → ${memberNameOf(item.settled_to) || '不明'}`
+                          : item.type === 'transfer'
+                          ? `${accountNameOf(item.account_id)} → ${accountNameOf(item.to_account_id)}`
+                          : accountNameOf(item.account_id) || '-'}
+                        {household && item.paid_by && !isSettlement(item) && (
+                          <span className="notice payer">支払: {memberNameOf(item.paid_by) || '不明'}</span>
+                        )}
+                      </td>
+                      <td
+                        className={`amount ${
+                          item.type === 'income' ? 'positive' : item.type === 'expense' ? 'negative' : ''
+                        }`}
+                      >
+                        {formatYen(item.amount)}
+                      </td>
+                      <td>
+                        <div className="button-row">
+                          {!isSettlement(item) && (
+                            <button className="ghost" onClick={() => startEditTransaction(item)}>
+                              編集
+                            </button>
+                          )}
+                          {!item._pending && (
+                            <label className="file-button">
+                              添付
+                              <input
+                                type="file"
+                                accept={receiptAccept}
+                                multiple
+                                onChange={(event) => {
+                                  handleAttachReceipts(item.id, Array.from(event.target.files || []));
+                                  event.target.value = '';
+                                }}
+                              />
+                            </label>
+                          )}
+                          <button className="secondary" onClick={() => handleDelete(item.id)}>
+                            削除
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                    {hasSplits(item) &&
+                      expandedSplitIds[item.id] &&
+                      item.splits.map((line, index) => (
+                        <tr key={`${item.id}-${index}`} className="split-row">
+                          <td></td>
+                          <td></td>
+                          <td></td>
+                          <td>{purposeLabelOf({ type: 'expense', purpose: line.purpose })}</td>
+                          <td>{line.category}</td>
+                          <td>{line.note || '-'}</td>
+                          <td></td>
+                          <td className="amount negative">{formatYen(line.amount)}</td>
+                          <td></td>
+                        </tr>
+                      ))}
+                  </React.Fragment>
+                )
+              )}
             </tbody>
           </table>
         )}
+        {hasMoreItems && (
+          <div ref={listEndRef} className="button-row list-more">
+            <button
+              type="button"
+              className="ghost"
+              onClick={() => setVisibleCount((count) => count + listPageSize)}
+            >
+              さらに表示（残り {filteredItems.length - visibleCount}件）
+            </button>
+          </div>
+        )}
+      </section>
+
+      <section className="card annual-report" ref={reportRef}>
+        <div className="budget-header">
+          <h2>{report ? `${report.year}年の年間レポート` : '年間レポート'}</h2>
+          <div className="button-row no-print">
+            <label className="budget-copy">
+              対象の年
+              <input
+                type="number"
+                min="2000"
+                max="2100"
+                value={reportYear}
+                onChange={(event) => setReportYear(event.target.value)}
+              />
+            </label>
+            <button type="button" onClick={loadAnnualReport} disabled={loading}>
+              集計する
+            </button>
+            {report && (
+              <>
+                <button type="button" className="secondary" onClick={printAnnualReport}>
+                  印刷
+                </button>
+                <button
+                  type="button"
+                  className="secondary"
+                  onClick={downloadAnnualReportPdf}
+                  disabled={loading}
+                >
+                  PDFで保存
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+        {!report ? (
+          <p className="notice">年を選んで集計すると、1年間の収支をまとめて振り返れます。</p>
+        ) : (
+          <>
+            <div className="stats">
+              <div className="stat">
+                <h3>収入</h3>
+                <p>{formatYen(report.totals.income)}</p>
+                <span className="notice">前年 {formatYen(report.previousTotals.income)}</span>
+              </div>
+              <div className="stat">
+                <h3>支出</h3>
+                <p>{formatYen(report.totals.expense)}</p>
+                <span className="notice">
+                  前年 {formatYen(report.previousTotals.expense)}
+                  {report.expenseChange !== null && `（${formatChange(report.expenseChange)}）`}
+                </span>
+              </div>
+              <div className="stat">
+                <h3>収支</h3>
+                <p>{formatYen(report.totals.balance)}</p>
+                <span className="notice">前年 {formatYen(report.previousTotals.balance)}</span>
+              </div>
+              <div className="stat">
+                <h3>貯蓄率</h3>
+                <p>{formatRate(report.totals.savingsRate)}</p>
+                <span className="notice">前年 {formatRate(report.previousTotals.savingsRate)}</span>
+              </div>
+            </div>
+            <div className="charts">
+              <div>
+                <h3>月別の収支</h3>
+                <ResponsiveContainer width="100%" height={260}>
+                  <BarChart data={report.months}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="label" />
+                    <YAxis />
+                    <Tooltip />
+                    <Legend />
+                    <Bar dataKey="income" fill="#1f4d45" name="収入" />
+                    <Bar dataKey="expense" fill="#b84a4a" name="支出" />
+                    <Bar dataKey="previousExpense" fill="#d8c8b0" name="前年の支出" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+              <div>
+                <h3>カテゴリ別支出</h3>
+                <ResponsiveContainer width="100%" height={260}>
+                  <BarChart data={report.categories.slice(0, 10)}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="name" />
+                    <YAxis />
+                    <Tooltip />
+                    <Legend />
+                    <Bar dataKey="value" fill="#1f4d45" name={`${report.year}年`} />
+                    <Bar dataKey="previous" fill="#d8c8b0" name={`${report.year - 1}年`} />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+            <h3>月別</h3>
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>月</th>
+                  <th>収入</th>
+                  <th>支出</th>
+                  <th>収支</th>
+                  <th>前年の支出</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.months.map((item) => (
+                  <tr key={item.month}>
+                    <td>{item.label}</td>
+                    <td className="amount positive">{formatYen(item.income)}</td>
+                    <td className="amount negative">{formatYen(item.expense)}</td>
+                    <td className="amount">{formatYen(item.balance)}</td>
+                    <td className="amount">{formatYen(item.previousExpense)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <h3>カテゴリ別</h3>
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>カテゴリ</th>
+                  <th>支出</th>
+                  <th>前年</th>
+                  <th>前年比</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.categories.map((item) => (
+                  <tr key={item.name}>
+                    <td>{item.name}</td>
+                    <td className="amount">{formatYen(item.value)}</td>
+                    <td className="amount">{formatYen(item.previous)}</td>
+                    <td>{item.change === null ? '-' : formatChange(item.change)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <h3>分類別（消費・浪費・投資）</h3>
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>分類</th>
+                  <th>支出</th>
+                  <th>割合</th>
+                  <th>前年</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.purposes.map((item) => (
+                  <tr key={item.purpose}>
+                    <td>{purposeLabelOf({ type: 'expense', purpose: item.purpose })}</td>
+                    <td className="amount">{formatYen(item.value)}</td>
+                    <td>{formatRate(item.share)}</td>
+                    <td className="amount">{formatYen(item.previous)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <h3>よく使ったお店（メモ）</h3>
+            {report.merchants.length === 0 ? (
+              <p className="notice">メモのある支出がありません。</p>
+            ) : (
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>お店</th>
+                    <th>回数</th>
+                    <th>合計</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.merchants.map((item) => (
+                    <tr key={item.name}>
+                      <td>{item.name}</td>
+                      <td>{item.count}回</td>
+                      <td className="amount">{formatYen(item.total)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            <h3>大きな支出</h3>
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>日付</th>
+                  <th>カテゴリ</th>
+                  <th>メモ</th>
+                  <th>金額</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.biggest.map((item) => (
+                  <tr key={item.id}>
+                    <td>{item.date}</td>
+                    <td>{hasSplits(item) ? '分割' : item.category}</td>
+                    <td>{item.note}</td>
+                    <td className="amount negative">{formatYen(item.amount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
       </section>
 
       <section className="card">
@@ -1673,7 +6867,8 @@ export default function App() {
             </div>
           </div>
           {categories.map((name) => {
-            const remaining = (budgets[name] || 0) - (categorySpendMap[name] || 0);
+            const carry = budgetCarry[name] || 0;
+            const remaining = (effectiveBudgets[name] || 0) - (categorySpendMap[name] || 0);
             const isOver = remaining < 0;
             return (
               <div key={`${name}-budget`} className={`category-row ${isOver ? 'over-budget' : ''}`}>
@@ -1682,8 +6877,37 @@ export default function App() {
                   <span className={`notice ${isOver ? 'over-budget-text' : ''}`}>
                     残り: {formatYen(remaining)} {isOver ? '（超過）' : ''}
                   </span>
+                  {forecast?.categories[name] && (
+                    <span
+                      className={`notice ${
+                        effectiveBudgets[name] > 0 &&
+                        forecast.categories[name].projected > effectiveBudgets[name]
+                          ? 'over-budget-text'
+                          : ''
+                      }`}
+                    >
+                      月末予測: {formatYen(forecast.categories[name].projected)}
+                    </span>
+                  )}
+                  {carry !== 0 && (
+                    <span className="notice">
+                      繰越: {carry > 0 ? '+' : ''}
+                      {formatYen(carry)}（使える予算 {formatYen(effectiveBudgets[name])}）
+                    </span>
+                  )}
                 </div>
                 <div className="button-row">
+                  <select
+                    value={budgetRollovers[name] || 'none'}
+                    onChange={(event) => saveBudgetRollover(name, event.target.value)}
+                    aria-label={`${name}の繰越`}
+                  >
+                    {rolloverModes.map((mode) => (
+                      <option key={mode.value} value={mode.value}>
+                        {mode.label}
+                      </option>
+                    ))}
+                  </select>
                   <input
                     type="number"
                     min="0"
@@ -1699,7 +6923,371 @@ export default function App() {
             );
           })}
         </div>
+        <div className="category-budgets">
+          <h3>期間の予算（四半期・年間・期間指定）</h3>
+          <p className="notice">
+            自動車税・保険・旅行など、月ごとではなく期間全体で管理したい予算です。期間内のすべての支出で進み具合を計算します。
+          </p>
+          <form onSubmit={handlePeriodBudgetSubmit} className="goal-form">
+            <label>
+              カテゴリ
+              <select
+                value={periodBudgetDraft.category || categories[0] || ''}
+                onChange={(event) =>
+                  setPeriodBudgetDraft((prev) => ({ ...prev, category: event.target.value }))
+                }
+              >
+                {categories.map((name) => (
+                  <option key={name} value={name}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              期間
+              <select
+                value={periodBudgetDraft.period}
+                onChange={(event) =>
+                  setPeriodBudgetDraft((prev) => ({ ...prev, period: event.target.value }))
+                }
+              >
+                {budgetPeriods.map((item) => (
+                  <option key={item.value} value={item.value}>
+                    {item.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            {periodBudgetDraft.period === 'custom' ? (
+              <>
+                <label>
+                  開始日
+                  <input
+                    type="date"
+                    value={periodBudgetDraft.from}
+                    onChange={(event) =>
+                      setPeriodBudgetDraft((prev) => ({ ...prev, from: event.target.value }))
+                    }
+                  />
+                </label>
+                <label>
+                  終了日
+                  <input
+                    type="date"
+                    value={periodBudgetDraft.to}
+                    onChange={(event) =>
+                      setPeriodBudgetDraft((prev) => ({ ...prev, to: event.target.value }))
+                    }
+                  />
+                </label>
+              </>
+            ) : (
+              <label>
+                開始月
+                <input
+                  type="month"
+                  value={periodBudgetDraft.startMonth}
+                  onChange={(event) =>
+                    setPeriodBudgetDraft((prev) => ({ ...prev, startMonth: event.target.value }))
+                  }
+                />
+              </label>
+            )}
+            <label>
+              予算
+              <input
+                type="number"
+                min="0"
+                value={periodBudgetDraft.amount}
+                onChange={(event) =>
+                  setPeriodBudgetDraft((prev) => ({ ...prev, amount: event.target.value }))
+                }
+                placeholder="例: 120000"
+              />
+            </label>
+            <label>
+              名前（任意）
+              <input
+                type="text"
+                value={periodBudgetDraft.note}
+                onChange={(event) =>
+                  setPeriodBudgetDraft((prev) => ({ ...prev, note: event.target.value }))
+                }
+                placeholder="例: 自動車税"
+              />
+            </label>
+            <button type="submit" disabled={loading}>
+              追加する
+            </button>
+          </form>
+          {activePeriodBudgets.length === 0 ? (
+            <p className="notice">この月にかかる期間予算はありません。</p>
+          ) : (
+            activePeriodBudgets.map((item) => {
+              const isOver = item.spent > item.amount;
+              return (
+                <div key={item.id} className={`category-row ${isOver ? 'over-budget' : ''}`}>
+                  <div className="category-info">
+                    <span>
+                      {item.note || item.category}（{budgetPeriodLabelOf(item.period)}）
+                    </span>
+                    <span className="notice">
+                      {item.start_date} 〜 {item.end_date}
+                      {item.note ? ` / ${item.category}` : ''}
+                    </span>
+                    <span className={`notice ${isOver ? 'over-budget-text' : ''}`}>
+                      {formatYen(item.spent)} / {formatYen(item.amount)}（{item.percent}%、期間の経過{' '}
+                      {item.elapsedPercent}%）残り: {formatYen(item.amount - item.spent)}
+                      {isOver ? '（超過）' : ''}
+                    </span>
+                    <div className="goal-progress">
+                      <div className="goal-bar">
+                        <div
+                          className="goal-bar-fill"
+                          style={{ width: `${Math.min(item.percent, 100)}%` }}
+                        />
+                      </div>
+                    </div>
+                  </div>
+                  <div className="button-row">
+                    <button
+                      type="button"
+                      className="secondary"
+                      onClick={() => deletePeriodBudget(item)}
+                    >
+                      削除
+                    </button>
+                  </div>
+                </div>
+              );
+            })
+          )}
+        </div>
+      </section>
+
+      <section className="card">
+        <h2>予算アラート</h2>
+        <p className="notice">
+          カテゴリの予算に対して、使った割合がしきい値に達したときや、1日あたりの支出が残りの予算のペースを上回ったときに通知します。
+        </p>
+        <div className="button-row">
+          {isPushSupported() ? (
+            <button type="button" className="secondary" onClick={togglePush} disabled={loading}>
+              {pushEnabled ? 'この端末のプッシュ通知を止める' : 'この端末でプッシュ通知を受け取る'}
+            </button>
+          ) : (
+            <span className="notice">
+              このブラウザまたは設定ではプッシュ通知を使えません。アプリを開いている間だけ通知します。
+            </span>
+          )}
+        </div>
+        {budgetAlerts.length > 0 && (
+          <div className="alert-list">
+            {budgetAlerts.map((alert) => (
+              <p key={alert.key} className="notice over-budget-text">
+                {alert.title}: {alert.body}
+              </p>
+            ))}
+          </div>
+        )}
+        <table className="table">
+          <thead>
+            <tr>
+              <th>カテゴリ</th>
+              <th>通知</th>
+              <th>しきい値（%）</th>
+              <th>ペース</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {categories.map((name) => {
+              const draft = alertDraftOf(name);
+              return (
+                <tr key={`${name}-alert`}>
+                  <td>{name}</td>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={draft.enabled}
+                      onChange={(event) => updateAlertDraft(name, { enabled: event.target.checked })}
+                      aria-label={`${name}の予算アラート`}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="text"
+                      value={draft.thresholds}
+                      onChange={(event) => updateAlertDraft(name, { thresholds: event.target.value })}
+                      placeholder="例: 80,100"
+                      disabled={!draft.enabled}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={draft.pace_alert}
+                      onChange={(event) =>
+                        updateAlertDraft(name, { pace_alert: event.target.checked })
+                      }
+                      disabled={!draft.enabled}
+                      aria-label={`${name}の支出ペース通知`}
+                    />
+                  </td>
+                  <td>
+                    <button type="button" className="secondary" onClick={() => saveAlertSetting(name)}>
+                      保存
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </section>
+
+      <section className="card">
+        <h2>リマインダー</h2>
+        <p className="notice">
+          記録を忘れた日のリマインダーと、毎週の支出と予算のまとめを通知します。
+        </p>
+        <div className="goal-form">
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={reminderDraft.daily_reminder}
+              onChange={(event) =>
+                setReminderDraft((prev) => ({ ...prev, daily_reminder: event.target.checked }))
+              }
+            />
+            その日に明細を登録していなければ通知する
+          </label>
+          <label>
+            通知する時刻
+            <input
+              type="time"
+              value={reminderDraft.reminder_time}
+              disabled={!reminderDraft.daily_reminder}
+              onChange={(event) =>
+                setReminderDraft((prev) => ({ ...prev, reminder_time: event.target.value }))
+              }
+            />
+          </label>
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={reminderDraft.weekly_summary}
+              onChange={(event) =>
+                setReminderDraft((prev) => ({ ...prev, weekly_summary: event.target.checked }))
+              }
+            />
+            週間サマリーを通知する
+          </label>
+          <label>
+            曜日
+            <select
+              value={reminderDraft.weekly_day}
+              disabled={!reminderDraft.weekly_summary}
+              onChange={(event) =>
+                setReminderDraft((prev) => ({ ...prev, weekly_day: Number(event.target.value) }))
+              }
+            >
+              {weekdays.map((label, index) => (
+                <option key={label} value={index}>
+                  {label}曜日
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            時刻
+            <input
+              type="time"
+              value={reminderDraft.weekly_time}
+              disabled={!reminderDraft.weekly_summary}
+              onChange={(event) =>
+                setReminderDraft((prev) => ({ ...prev, weekly_time: event.target.value }))
+              }
+            />
+          </label>
+          <button type="button" onClick={saveReminderSettings} disabled={loading}>
+            保存する
+          </button>
+        </div>
+      </section>
+
+      <section className="card">
+        <h2>タグ</h2>
+        <p className="notice">カテゴリをまたいで「旅行」「子ども」などのまとまりで集計できます。</p>
+        <form onSubmit={handleAddTag} className="category-form">
+          <label>
+            新しいタグ
+            <input
+              type="text"
+              value={tagDraft}
+              onChange={(event) => setTagDraft(event.target.value)}
+              placeholder="例: 経費精算"
+            />
+          </label>
+          <button type="submit" disabled={loading}>
+            追加する
+          </button>
+        </form>
+        <div className="category-list">
+          {tags.length === 0 ? (
+            <p className="notice">タグがまだありません。</p>
+          ) : (
+            tags.map((name) => (
+              <div key={name} className="category-row">
+                {editingTag === name ? (
+                  <>
+                    <input
+                      type="text"
+                      value={editingTagName}
+                      onChange={(event) => setEditingTagName(event.target.value)}
+                    />
+                    <div className="button-row">
+                      <button type="button" onClick={() => handleRenameTag(name)} className="secondary">
+                        保存
+                      </button>
+                      <button type="button" onClick={cancelEditTag} className="ghost">
+                        キャンセル
+                      </button>
+                    </div>
+                  </>
+                ) : (
+                  <>
+                    <div className="category-info">
+                      <span className="badge tag">{name}</span>
+                    </div>
+                    <div className="button-row">
+                      <button
+                        type="button"
+                        onClick={() => {
+                          setEditingTag(name);
+                          setEditingTagName(name);
+                        }}
+                        className="ghost"
+                      >
+                        編集
+                      </button>
+                      <button type="button" onClick={() => handleDeleteTag(name)} className="secondary">
+                        削除
+                      </button>
+                    </div>
+                  </>
+                )}
+              </div>
+            ))
+          )}
+        </div>
       </section>
+      <datalist id="tag-options">
+        {tags.map((name) => (
+          <option key={name} value={name} />
+        ))}
+      </datalist>
     </div>
   );
 }
@@ -0,0 +1,99 @@
+const linesOf = (item) =>
+  Array.isArray(item.splits) && item.splits.length > 0
+    ? item.splits.map((line) => ({ ...item, ...line, note: line.note || item.note }))
+    : [item];
+
+const normalizeMerchant = (note) => (note || '').normalize('NFKC').replace(/\s+/g, ' ').trim();
+
+const summarize = (items) => {
+  const income = items
+    .filter((item) => item.type === 'income')
+    .reduce((sum, item) => sum + item.amount, 0);
+  const expense = items
+    .filter((item) => item.type === 'expense')
+    .reduce((sum, item) => sum + item.amount, 0);
+  return {
+    income,
+    expense,
+    balance: income - expense,
+    savingsRate: income > 0 ? (income - expense) / income : null
+  };
+};
+
+const sumBy = (lines, keyOf) => {
+  const map = new Map();
+  lines.forEach((line) => {
+    const key = keyOf(line);
+    map.set(key, (map.get(key) || 0) + line.amount);
+  });
+  return map;
+};
+
+const changeOf = (value, previous) => (previous > 0 ? (value - previous) / previous : null);
+
+// 年間レポートの集計。previousItems は前年の明細で、前年比に使う
+export const buildAnnualReport = ({ year, items, previousItems }) => {
+  const expenseLines = items.filter((item) => item.type === 'expense').flatMap(linesOf);
+  const previousLines = previousItems.filter((item) => item.type === 'expense').flatMap(linesOf);
+  const totals = summarize(items);
+  const previousTotals = summarize(previousItems);
+
+  const months = Array.from({ length: 12 }, (_, index) => {
+    const key = `${year}-${String(index + 1).padStart(2, '0')}`;
+    const current = summarize(items.filter((item) => item.date.startsWith(key)));
+    const previous = summarize(
+      previousItems.filter((item) => item.date.slice(5, 7) === key.slice(5, 7))
+    );
+    return { month: key, label: `${index + 1}月`, ...current, previousExpense: previous.expense };
+  });
+
+  const previousByCategory = sumBy(previousLines, (line) => line.category);
+  const categories = [...sumBy(expenseLines, (line) => line.category).entries()]
+    .map(([name, value]) => {
+      const previous = previousByCategory.get(name) || 0;
+      return { name, value, previous, change: changeOf(value, previous) };
+    })
+    .sort((a, b) => b.value - a.value);
+
+  const previousByPurpose = sumBy(previousLines, (line) => line.purpose || 'consumption');
+  const purposes = [...sumBy(expenseLines, (line) => line.purpose || 'consumption').entries()]
+    .map(([purpose, value]) => ({
+      purpose,
+      value,
+      share: totals.expense > 0 ? value / totals.expense : 0,
+      previous: previousByPurpose.get(purpose) || 0
+    }))
+    .sort((a, b) => b.value - a.value);
+
+  // お店はメモの表記ゆれ（全角・半角や空白）だけをそろえて同じお店とみなす
+  const merchantMap = new Map();
+  items
+    .filter((item) => item.type === 'expense')
+    .forEach((item) => {
+      const name = normalizeMerchant(item.note);
+      if (!name) return;
+      const entry = merchantMap.get(name) || { name, total: 0, count: 0 };
+      entry.total += item.amount;
+      entry.count += 1;
+      merchantMap.set(name, entry);
+    });
+  const merchants = [...merchantMap.values()].sort((a, b) => b.total - a.total).slice(0, 10);
+
+  const biggest = items
+    .filter((item) => item.type === 'expense')
+    .sort((a, b) => b.amount - a.amount)
+    .slice(0, 10);
+
+  return {
+    year,
+    totals,
+    previousTotals,
+    expenseChange: changeOf(totals.expense, previousTotals.expense),
+    incomeChange: changeOf(totals.income, previousTotals.income),
+    months,
+    categories,
+    purposes,
+    merchants,
+    biggest
+  };
+};
@@ -0,0 +1,207 @@
+import { ledgerConflictKey } from './ledger.js';
+import { createId } from './outbox.js';
+import { supabase } from './supabase.js';
+
+export const BACKUP_VERSION = 1;
+
+const PAGE_SIZE = 1000;
+const CHUNK_SIZE = 100;
+
+// ledger: 世帯の家計簿にも置けるテーブル（household_id を持つ）
+// conflictColumns: id ではなくこの列で一意になるテーブル（家計簿ごと、またはユーザーごと）
+export const backupTables = [
+  { name: 'accounts', label: '口座', key: 'id', ledger: true },
+  { name: 'recurring_transactions', label: '定期的な明細', key: 'id', ledger: true },
+  { name: 'transactions', label: '明細', key: 'id', ledger: true, required: true },
+  { name: 'receipts', label: 'レシート', key: 'id', ledger: true },
+  {
+    name: 'categories',
+    label: 'カテゴリ',
+    key: 'name',
+    conflictColumns: 'name',
+    ledger: true,
+    required: true
+  },
+  {
+    name: 'budgets',
+    label: '予算',
+    key: 'month,category',
+    conflictColumns: 'month,category',
+    ledger: true,
+    required: true
+  },
+  { name: 'savings_goals', label: '貯金目標', key: 'id', ledger: true, required: true },
+  { name: 'period_budgets', label: '期間予算', key: 'id', ledger: true },
+  { name: 'tags', label: 'タグ', key: 'name', conflictColumns: 'name', ledger: true },
+  { name: 'import_profiles', label: 'インポート設定', key: 'name', conflictColumns: 'name' },
+  { name: 'saved_searches', label: '保存した検索条件', key: 'name', conflictColumns: 'name' },
+  { name: 'category_rules', label: '自動分類ルール', key: 'id' }
+];
+
+const keyOf = (table, row) =>
+  table.key
+    .split(',')
+    .map((column) => row[column])
+    .join('|');
+
+// バックアップと復元の対象は今開いている家計簿（世帯か個人）だけにする
+const inLedger = (table, query, { user_id: userId, household_id: householdId }) => {
+  if (!table.ledger) return query.eq('user_id', userId);
+  return householdId
+    ? query.eq('household_id', householdId)
+    : query.is('household_id', null).eq('user_id', userId);
+};
+
+// 置き換えで消すのは、その家計簿のうち自分が登録した行だけ
+const ownRows = (table, query, owner) =>
+  table.ledger && owner.household_id
+    ? query.eq('household_id', owner.household_id).eq('user_id', owner.user_id)
+    : inLedger(table, query, owner);
+
+const fetchAll = async (table, owner, columns = '*') => {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await inLedger(table, supabase.from(table.name).select(columns), owner)
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) return { error };
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return { data: rows };
+  }
+};
+
+export const createBackup = async (owner) => {
+  const data = {};
+  for (const table of backupTables) {
+    const { data: rows, error } = await fetchAll(table, owner);
+    if (error) return { error };
+    data[table.name] = rows.map(({ user_id: _userId, household_id: _householdId, ...rest }) => rest);
+  }
+  return {
+    backup: {
+      app: 'kakeibo',
+      version: BACKUP_VERSION,
+      exported_at: new Date().toISOString(),
+      data
+    }
+  };
+};
+
+export const validateBackup = (json) => {
+  if (!json || typeof json !== 'object' || json.app !== 'kakeibo') {
+    return '家計簿のバックアップファイルではありません';
+  }
+  if (!Number.isInteger(json.version) || json.version < 1) {
+    return 'バックアップのバージョンが読み取れません';
+  }
+  if (json.version > BACKUP_VERSION) {
+    return `このバックアップ（v${json.version}）は新しい形式のため復元できません`;
+  }
+  if (!json.data || typeof json.data !== 'object') return 'バックアップにデータがありません';
+  const invalid = backupTables.find((table) => {
+    const rows = json.data[table.name];
+    if (rows === undefined) return table.required;
+    return !Array.isArray(rows) || rows.some((row) => !row || typeof row !== 'object');
+  });
+  return invalid ? `${invalid.label}のデータ形式が正しくありません` : '';
+};
+
+// 他のテーブルの id を指す列。別の家計簿の行と id が重なって振り直した行は、参照もあわせて付け替える
+const referenceColumns = ['account_id', 'to_account_id', 'recurring_id', 'transaction_id'];
+
+const conflictTargetOf = (table, owner) => {
+  if (!table.conflictColumns) return undefined;
+  return table.ledger
+    ? ledgerConflictKey(owner.household_id, table.conflictColumns)
+    : `user_id,${table.conflictColumns}`;
+};
+
+const toRestoreRow = (table, row, owner, idMap) => {
+  const { user_id: _userId, household_id: _householdId, ...rest } = row;
+  referenceColumns.forEach((column) => {
+    if (idMap.has(rest[column])) rest[column] = idMap.get(rest[column]);
+  });
+  if (idMap.has(rest.id)) rest.id = idMap.get(rest.id);
+  const values = table.ledger ? { ...rest, household_id: owner.household_id } : rest;
+  if (table.conflictColumns) {
+    const { id: _id, ...withoutId } = values;
+    return { ...withoutId, user_id: owner.user_id };
+  }
+  return { ...values, user_id: owner.user_id };
+};
+
+const countRows = async (table, owner) => {
+  const { count, error } = await ownRows(
+    table,
+    supabase.from(table.name).select('*', { count: 'exact', head: true }),
+    owner
+  );
+  return { count: count || 0, error };
+};
+
+// owner は { user_id, household_id }。世帯の家計簿では、他のメンバーが登録した行は書き換えない
+export const restoreBackup = async (backup, mode, owner) => {
+  const report = {};
+  backupTables.forEach((table) => {
+    report[table.name] = { label: table.label, added: 0, updated: 0, deleted: 0, skipped: 0 };
+  });
+
+  if (mode === 'replace') {
+    for (const table of [...backupTables].reverse()) {
+      const { count, error: countError } = await countRows(table, owner);
+      if (countError) return { report, error: countError };
+      const { error } = await ownRows(table, supabase.from(table.name).delete(), owner);
+      if (error) return { report, error };
+      report[table.name].deleted = count;
+    }
+  }
+
+  const idMap = new Map();
+  for (const table of backupTables) {
+    const rows = backup.data[table.name] || [];
+    if (rows.length === 0) continue;
+    const { data: existing, error: existingError } = await fetchAll(
+      table,
+      owner,
+      `${table.key},user_id`
+    );
+    if (existingError) return { report, error: existingError };
+    const ownerOf = new Map(existing.map((row) => [keyOf(table, row), row.user_id]));
+    const restorable = rows.filter((row) => {
+      const current = ownerOf.get(keyOf(table, row));
+      if (current === undefined || current === owner.user_id) return true;
+      report[table.name].skipped += 1;
+      return false;
+    });
+    for (let i = 0; i < restorable.length; i += CHUNK_SIZE) {
+      const chunk = restorable.slice(i, i + CHUNK_SIZE);
+      if (!table.conflictColumns) {
+        // 同じ id の行が別の家計簿にあるときは上書きせず、新しい id で追加する
+        const outside = chunk
+          .filter((row) => row.id && !ownerOf.has(keyOf(table, row)))
+          .map((row) => row.id);
+        if (outside.length > 0) {
+          const { data: taken, error: takenError } = await supabase
+            .from(table.name)
+            .select('id')
+            .in('id', outside);
+          if (takenError) return { report, error: takenError };
+          taken.forEach((row) => idMap.set(row.id, createId()));
+        }
+      }
+      const conflictTarget = conflictTargetOf(table, owner);
+      const { error } = await supabase
+        .from(table.name)
+        .upsert(
+          chunk.map((row) => toRestoreRow(table, row, owner, idMap)),
+          conflictTarget ? { onConflict: conflictTarget } : undefined
+        );
+      if (error) return { report, error };
+      chunk.forEach((row) => {
+        if (ownerOf.has(keyOf(table, row))) report[table.name].updated += 1;
+        else report[table.name].added += 1;
+      });
+    }
+  }
+  return { report };
+};
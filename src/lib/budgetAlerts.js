@@ -0,0 +1,74 @@
+// アプリと通知サーバー（server/push-server.js）の両方から使うので、ブラウザ専用の API には依存しない
+export const defaultAlertThresholds = [80, 100];
+
+const formatYen = (value) =>
+  new Intl.NumberFormat('ja-JP', {
+    style: 'currency',
+    currency: 'JPY',
+    maximumFractionDigits: 0
+  }).format(value || 0);
+
+export const parseThresholds = (text) =>
+  [...new Set(String(text).split(/[,、\s]+/).map(Number))]
+    .filter((value) => Number.isInteger(value) && value > 0 && value <= 1000)
+    .sort((a, b) => a - b);
+
+export const spendByCategory = (items) => {
+  const result = {};
+  items
+    .filter((item) => item.type === 'expense')
+    .forEach((item) => {
+      const lines = Array.isArray(item.splits) && item.splits.length > 0 ? item.splits : [item];
+      lines.forEach((line) => {
+        result[line.category] = (result[line.category] || 0) + Number(line.amount);
+      });
+    });
+  return result;
+};
+
+// 同じしきい値の通知は月に1回だけ送れるよう、key に家計簿・月・カテゴリ・種類を含める
+export const evaluateBudgetAlerts = ({ ledger, settings, budgets, spent, month, today }) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const daysInMonth = new Date(year, monthIndex, 0).getDate();
+  const isCurrentMonth = today.slice(0, 7) === month;
+  const day = Number(today.slice(8, 10));
+  const alerts = [];
+  settings
+    .filter((setting) => setting.enabled)
+    .forEach(({ category, thresholds, pace_alert: paceAlert }) => {
+      const budget = budgets[category] || 0;
+      if (budget <= 0) return;
+      const used = spent[category] || 0;
+      const percent = Math.floor((used / budget) * 100);
+      const reached = (thresholds || []).filter((threshold) => percent >= threshold);
+      if (reached.length > 0) {
+        const threshold = Math.max(...reached);
+        alerts.push({
+          key: `${ledger}|${month}|${category}|${threshold}`,
+          category,
+          kind: 'threshold',
+          title:
+            threshold >= 100
+              ? `${category}の予算を超えました`
+              : `${category}の予算の${threshold}%を使いました`,
+          body: `${month} の支出 ${formatYen(used)} / 予算 ${formatYen(budget)}（${percent}%）`
+        });
+      }
+      if (!paceAlert || !isCurrentMonth || used >= budget) return;
+      // 今日までの1日あたりの支出が、残りの予算を残りの日数（今日を含む）で割った額を上回ったら知らせる
+      const daysLeft = daysInMonth - day + 1;
+      const dailyPace = used / day;
+      const allowance = (budget - used) / daysLeft;
+      if (dailyPace <= allowance) return;
+      alerts.push({
+        key: `${ledger}|${month}|${category}|pace`,
+        category,
+        kind: 'pace',
+        title: `${category}の支出ペースが予算を上回っています`,
+        body: `1日あたり ${formatYen(dailyPace)}（残り${daysLeft}日で使えるのは1日 ${formatYen(
+          allowance
+        )}）`
+      });
+    });
+  return alerts;
+};
@@ -0,0 +1,73 @@
+export const rolloverModes = [
+  { value: 'none', label: '繰越なし' },
+  { value: 'surplus', label: '前月の余りを繰り越す' },
+  { value: 'all', label: '前月の余りと超過を繰り越す' }
+];
+
+const previousMonthOf = (monthValue) => {
+  const [year, monthIndex] = monthValue.split('-').map(Number);
+  const date = new Date(year, monthIndex - 2, 1);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// 繰越は前月の「予算 + 前月への繰越 - 支出」。予算を設定していない月があれば、繰越はそこで途切れる
+export const computeCarryOvers = (month, rollovers, history, spend) => {
+  const budgetRows = new Map(history.map((row) => [`${row.month}|${row.category}`, row]));
+  const spentMap = new Map(spend.map((row) => [`${row.month}|${row.category}`, Number(row.spent)]));
+  const carryInto = (targetMonth, category, mode) => {
+    if (!mode || mode === 'none') return 0;
+    const previous = previousMonthOf(targetMonth);
+    const row = budgetRows.get(`${previous}|${category}`);
+    if (!row) return 0;
+    const left =
+      row.amount +
+      carryInto(previous, category, row.rollover) -
+      (spentMap.get(`${previous}|${category}`) || 0);
+    return mode === 'surplus' ? Math.max(left, 0) : left;
+  };
+  const result = {};
+  Object.entries(rollovers).forEach(([category, mode]) => {
+    const carry = carryInto(month, category, mode);
+    if (carry !== 0) result[category] = carry;
+  });
+  return result;
+};
+
+export const budgetPeriods = [
+  { value: 'quarterly', label: '四半期', months: 3 },
+  { value: 'yearly', label: '年間', months: 12 },
+  { value: 'custom', label: '期間指定' }
+];
+
+export const budgetPeriodLabelOf = (period) =>
+  budgetPeriods.find((item) => item.value === period)?.label || '';
+
+// 四半期・年間は開始月から数えた期間にする（例: 4月始まりの年度）
+export const toPeriodRange = ({ period, startMonth, from, to }) => {
+  const months = budgetPeriods.find((item) => item.value === period)?.months;
+  if (!months) return { start_date: from, end_date: to };
+  const [year, monthIndex] = startMonth.split('-').map(Number);
+  const end = new Date(year, monthIndex - 1 + months, 0);
+  return {
+    start_date: `${startMonth}-01`,
+    end_date: `${end.getFullYear()}-${String(end.getMonth() + 1).padStart(2, '0')}-${String(
+      end.getDate()
+    ).padStart(2, '0')}`
+  };
+};
+
+export const overlapsMonth = (budget, monthValue) => {
+  const [year, monthIndex] = monthValue.split('-').map(Number);
+  const lastDay = new Date(year, monthIndex, 0).getDate();
+  return budget.start_date <= `${monthValue}-${lastDay}` && budget.end_date >= `${monthValue}-01`;
+};
+
+// 期間のうち経過した割合（0〜1）。支出のペースと比べるのに使う
+export const elapsedRatioOf = (budget, today) => {
+  const start = new Date(`${budget.start_date}T00:00:00`);
+  const end = new Date(`${budget.end_date}T00:00:00`);
+  const current = new Date(`${today}T00:00:00`);
+  const total = (end - start) / 86400000 + 1;
+  const elapsed = Math.min(Math.max((current - start) / 86400000 + 1, 0), total);
+  return total > 0 ? elapsed / total : 0;
+};
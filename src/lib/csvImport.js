@@ -0,0 +1,162 @@
+export const parseCsv = (text) => {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim().length > 0);
+  return lines.map((line) => {
+    const result = [];
+    let current = '';
+    let inQuotes = false;
+    for (let i = 0; i < line.length; i += 1) {
+      const char = line[i];
+      const next = line[i + 1];
+      if (char === '"' && inQuotes && next === '"') {
+        current += '"';
+        i += 1;
+        continue;
+      }
+      if (char === '"') {
+        inQuotes = !inQuotes;
+        continue;
+      }
+      if (char === ',' && !inQuotes) {
+        result.push(current);
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+    result.push(current);
+    return result.map((cell) => cell.trim());
+  });
+};
+
+export const decodeCsvFile = async (file, encoding) => {
+  const buffer = await file.arrayBuffer();
+  if (encoding === 'utf-8' || encoding === 'shift_jis') {
+    return new TextDecoder(encoding).decode(buffer);
+  }
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    return new TextDecoder('shift_jis').decode(buffer);
+  }
+};
+
+const pad2 = (value) => String(value).padStart(2, '0');
+
+export const parseStatementDate = (value) => {
+  const text = String(value || '')
+    .trim()
+    .replace(/[０-９]/g, (char) => String.fromCharCode(char.charCodeAt(0) - 0xfee0))
+    .replace(/[年月]/g, '/')
+    .replace(/日.*$/, '');
+  const match = text.match(/^(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})/) || text.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (!match) return '';
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(year, month - 1, day);
+  if (date.getMonth() !== month - 1 || date.getDate() !== day) return '';
+  return `${year}-${pad2(month)}-${pad2(day)}`;
+};
+
+export const parseStatementAmount = (value) => {
+  const text = String(value || '')
+    .trim()
+    .replace(/[０-９]/g, (char) => String.fromCharCode(char.charCodeAt(0) - 0xfee0));
+  const digits = text.replace(/[^\d.]/g, '');
+  if (!digits) return null;
+  const amount = Number(digits);
+  if (Number.isNaN(amount)) return null;
+  const negative = /^[-−△▲]/.test(text) || /^\(.*\)$/.test(text);
+  return negative ? -amount : amount;
+};
+
+export const defaultStatementMapping = {
+  encoding: 'auto',
+  skipRows: '0',
+  hasHeader: true,
+  dateColumn: '0',
+  amountMode: 'signed',
+  amountColumn: '1',
+  withdrawalColumn: '',
+  depositColumn: '',
+  signConvention: 'negative_expense',
+  noteColumn: '',
+  account_id: '',
+  expenseCategory: '',
+  incomeCategory: ''
+};
+
+export const getStatementColumns = (rows, mapping) => {
+  const skip = Number(mapping.skipRows || 0);
+  const width = rows.slice(skip).reduce((max, row) => Math.max(max, row.length), 0);
+  const header = mapping.hasHeader ? rows[skip] || [] : [];
+  return Array.from({ length: width }, (_, index) => ({
+    value: String(index),
+    label: header[index] ? `${index + 1}: ${header[index]}` : `列${index + 1}`
+  }));
+};
+
+const cellAt = (row, column) => (column === '' ? '' : row[Number(column)] || '');
+
+export const mapStatementRows = (rows, mapping) => {
+  const start = Number(mapping.skipRows || 0) + (mapping.hasHeader ? 1 : 0);
+  return rows
+    .slice(start)
+    .map((row, index) => ({ row, line: start + index + 1 }))
+    .filter(({ row }) => row.some((cell) => cell.length > 0))
+    .map(({ row, line }) => {
+      const date = parseStatementDate(cellAt(row, mapping.dateColumn));
+      let signed = null;
+      if (mapping.amountMode === 'split') {
+        const withdrawal = parseStatementAmount(cellAt(row, mapping.withdrawalColumn));
+        const deposit = parseStatementAmount(cellAt(row, mapping.depositColumn));
+        if (withdrawal) signed = -Math.abs(withdrawal);
+        else if (deposit) signed = Math.abs(deposit);
+      } else {
+        const amount = parseStatementAmount(cellAt(row, mapping.amountColumn));
+        if (amount !== null) signed = mapping.signConvention === 'positive_expense' ? -amount : amount;
+      }
+      let error = '';
+      if (!date) error = '日付を読み取れません';
+      else if (!signed) error = '金額を読み取れません';
+      return {
+        line,
+        date,
+        type: signed > 0 ? 'income' : 'expense',
+        amount: Math.abs(signed || 0),
+        note: cellAt(row, mapping.noteColumn).trim(),
+        error
+      };
+    });
+};
+
+export const isValidDateValue = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && parseStatementDate(value) === value;
+
+const normalizeNote = (note) =>
+  String(note || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[\s・,.、。()（）]/g, '');
+
+export const isSimilarNote = (a, b) => {
+  const left = normalizeNote(a);
+  const right = normalizeNote(b);
+  if (!left || !right) return left === right;
+  return left === right || left.includes(right) || right.includes(left);
+};
+
+const duplicateKey = (row) => `${row.date}|${row.amount}|${row.type}|${row.category}`;
+
+export const addToDuplicateIndex = (index, item) => {
+  const key = duplicateKey(item);
+  index.set(key, [...(index.get(key) || []), item]);
+};
+
+export const indexTransactionsForDuplicates = (transactions) => {
+  const index = new Map();
+  transactions.forEach((item) => addToDuplicateIndex(index, item));
+  return index;
+};
+
+export const findDuplicateRow = (row, index) =>
+  (index.get(duplicateKey(row)) || []).find((item) => isSimilarNote(item.note, row.note)) || null;
+
+export const findDuplicate = (row, index) => findDuplicateRow(row, index)?.id || null;
@@ -0,0 +1,73 @@
+const toMonthOf = (date) => date.slice(0, 7);
+
+// 月末の支出予測。定期的な明細は日割りにせず予定日にそのまま足し、それ以外の支出は
+// 今月のペースと過去の同じ月の実績を、月の経過に応じた重みで混ぜて見込む
+export const forecastMonth = ({ month, today, lines, recurring, history }) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const daysInMonth = new Date(year, monthIndex, 0).getDate();
+  const isCurrentMonth = today.slice(0, 7) === month;
+  const elapsed = isCurrentMonth ? Number(today.slice(8, 10)) : daysInMonth;
+  const daysLeft = daysInMonth - elapsed;
+  const ratio = elapsed / daysInMonth;
+  const dayOf = (date) => Number(date.slice(8, 10));
+
+  const categories = {};
+  const ensure = (name) => {
+    if (!categories[name]) {
+      categories[name] = { spent: 0, recurringPosted: 0, upcoming: 0, projected: 0 };
+    }
+    return categories[name];
+  };
+  const dailySpent = Array(daysInMonth + 1).fill(0);
+  lines.forEach((line) => {
+    if (toMonthOf(line.date) !== month || dayOf(line.date) > elapsed) return;
+    ensure(line.category).spent += line.amount;
+    dailySpent[dayOf(line.date)] += line.amount;
+  });
+  const dailyUpcoming = Array(daysInMonth + 1).fill(0);
+  recurring.forEach((item) => {
+    if (toMonthOf(item.date) !== month) return;
+    if (dayOf(item.date) <= elapsed) {
+      ensure(item.category).recurringPosted += item.amount;
+    } else {
+      ensure(item.category).upcoming += item.amount;
+      dailyUpcoming[dayOf(item.date)] += item.amount;
+    }
+  });
+  Object.keys(history).forEach(ensure);
+
+  let variableRemaining = 0;
+  Object.entries(categories).forEach(([name, entry]) => {
+    const variableSpent = Math.max(entry.spent - entry.recurringPosted, 0);
+    const paceRemaining = elapsed > 0 ? (variableSpent / elapsed) * daysLeft : 0;
+    // 過去の実績にも定期的な明細が含まれているとみなし、その分を除いてから日割りにする
+    const past =
+      history[name] === undefined
+        ? undefined
+        : Math.max(history[name] - entry.recurringPosted - entry.upcoming, 0);
+    const remaining =
+      past === undefined
+        ? paceRemaining
+        : ratio * paceRemaining + (1 - ratio) * ((past * daysLeft) / daysInMonth);
+    entry.remaining = Math.round(remaining);
+    entry.projected = entry.spent + entry.remaining + entry.upcoming;
+    variableRemaining += entry.remaining;
+  });
+
+  const spent = Object.values(categories).reduce((sum, entry) => sum + entry.spent, 0);
+  const projected = Object.values(categories).reduce((sum, entry) => sum + entry.projected, 0);
+  const daily = [];
+  let actual = 0;
+  let upcoming = 0;
+  for (let day = 1; day <= daysInMonth; day += 1) {
+    upcoming += dailyUpcoming[day];
+    if (day <= elapsed) {
+      actual += dailySpent[day];
+      daily.push({ day, actual, projected: day === elapsed && daysLeft > 0 ? actual : null });
+    } else {
+      const share = Math.round((variableRemaining * (day - elapsed)) / daysLeft);
+      daily.push({ day, actual: null, projected: actual + share + upcoming });
+    }
+  }
+  return { categories, spent, projected, daily, isCurrentMonth, elapsed, daysInMonth };
+};
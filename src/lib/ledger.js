@@ -0,0 +1,4 @@
+// カテゴリ・口座・予算は家計簿ごとに一意（個人はユーザーごと、世帯は世帯ごと）。
+// upsert の onConflict は supabase/schema.sql のどちらの一意インデックスに当てるかをここで選ぶ
+export const ledgerConflictKey = (householdId, columns) =>
+  householdId ? `household_id,${columns}` : `user_id,household_id,${columns}`;
@@ -0,0 +1,244 @@
+import { supabase } from './supabase.js';
+
+const DB_NAME = 'kakeibo-offline';
+const DB_VERSION = 2;
+const OUTBOX_STORE = 'outbox';
+const FAILED_STORE = 'failed';
+const CACHE_STORE = 'cache';
+
+const transactionFields = [
+  'date',
+  'amount',
+  'type',
+  'purpose',
+  'category',
+  'note',
+  'account_id',
+  'to_account_id',
+  'paid_by',
+  'shares',
+  'settled_to',
+  'tags',
+  'splits'
+];
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+        db.createObjectStore(OUTBOX_STORE, { keyPath: 'seq', autoIncrement: true });
+      }
+      if (!db.objectStoreNames.contains(CACHE_STORE)) {
+        db.createObjectStore(CACHE_STORE);
+      }
+      if (!db.objectStoreNames.contains(FAILED_STORE)) {
+        db.createObjectStore(FAILED_STORE, { keyPath: 'seq' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+  return dbPromise;
+};
+
+const withStore = async (name, mode, run) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    const request = run(tx.objectStore(name));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+export const isNetworkError = (error) => {
+  if (isOffline()) return true;
+  return /Failed to fetch|NetworkError|Load failed|network/i.test(error?.message || '');
+};
+
+export const createId = () => {
+  if (typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+export const pickTransactionFields = (row) => {
+  const picked = {};
+  transactionFields.forEach((field) => {
+    picked[field] = row?.[field] ?? null;
+  });
+  return picked;
+};
+
+export const sortTransactions = (rows) =>
+  [...rows].sort(
+    (a, b) =>
+      b.date.localeCompare(a.date) || (b.created_at || '').localeCompare(a.created_at || '')
+  );
+
+export const applyPendingOps = (rows, ops) => {
+  const next = ops.reduce((acc, op) => {
+    if (op.kind === 'insert') {
+      return [{ ...op.payload, _pending: true }, ...acc.filter((row) => row.id !== op.recordId)];
+    }
+    if (op.kind === 'update') {
+      return acc.map((row) =>
+        row.id === op.recordId ? { ...row, ...op.payload, _pending: true } : row
+      );
+    }
+    if (op.kind === 'delete') {
+      return acc.filter((row) => row.id !== op.recordId);
+    }
+    return acc;
+  }, rows);
+  return sortTransactions(next);
+};
+
+export const getPendingOps = async (userId) => {
+  const ops = (await withStore(OUTBOX_STORE, 'readonly', (store) => store.getAll())) || [];
+  return ops.filter((op) => op.userId === userId);
+};
+
+const putOp = (op) => withStore(OUTBOX_STORE, 'readwrite', (store) => store.put(op));
+
+const removeOp = (seq) => withStore(OUTBOX_STORE, 'readwrite', (store) => store.delete(seq));
+
+export const enqueueOp = async (op) => {
+  const ops = await getPendingOps(op.userId);
+  const related = ops.filter((item) => item.recordId === op.recordId);
+  const pendingInsert = related.find((item) => item.kind === 'insert');
+  const pendingUpdate = related.find((item) => item.kind === 'update');
+
+  if (pendingInsert && op.kind === 'update') {
+    await putOp({ ...pendingInsert, payload: { ...pendingInsert.payload, ...op.payload } });
+    return;
+  }
+  if (pendingInsert && op.kind === 'delete') {
+    await Promise.all(related.map((item) => removeOp(item.seq)));
+    return;
+  }
+  if (pendingUpdate && op.kind === 'update') {
+    await putOp({ ...pendingUpdate, payload: { ...pendingUpdate.payload, ...op.payload } });
+    return;
+  }
+  if (pendingUpdate && op.kind === 'delete') {
+    await removeOp(pendingUpdate.seq);
+    await putOp({ ...op, base: pendingUpdate.base, createdAt: new Date().toISOString() });
+    return;
+  }
+  await putOp({ ...op, createdAt: new Date().toISOString() });
+};
+
+export const runOp = async (op) => {
+  const table = supabase.from('transactions');
+  if (op.kind === 'insert') {
+    const { error } = await table.insert(op.payload);
+    if (error?.code === '23505') return {};
+    return { error };
+  }
+  if (op.kind === 'update') {
+    if (op.base) {
+      const { data: current, error: fetchError } = await supabase
+        .from('transactions')
+        .select('*')
+        .eq('id', op.recordId)
+        .maybeSingle();
+      if (fetchError) return { error: fetchError };
+      if (!current) return { conflict: 'deleted' };
+      const changed = transactionFields.some(
+        (field) => JSON.stringify(current[field] ?? null) !== JSON.stringify(op.base[field] ?? null)
+      );
+      if (changed) return { conflict: 'modified', current: pickTransactionFields(current) };
+    }
+    const { error } = await table.update(op.payload).eq('id', op.recordId);
+    return { error };
+  }
+  if (op.kind === 'delete') {
+    const { error } = await table.delete().eq('id', op.recordId);
+    return { error };
+  }
+  return {};
+};
+
+// 同期できなかった変更は捨てずに別の場所へ移し、利用者が内容を見て送り直すか破棄するかを選べるようにする
+const moveToFailed = async (op, failure) => {
+  await withStore(FAILED_STORE, 'readwrite', (store) =>
+    store.put({ ...op, ...failure, failedAt: new Date().toISOString() })
+  );
+  await removeOp(op.seq);
+};
+
+export const getFailedOps = async (userId) => {
+  const ops = (await withStore(FAILED_STORE, 'readonly', (store) => store.getAll())) || [];
+  return ops.filter((op) => op.userId === userId);
+};
+
+export const discardFailedOp = (seq) =>
+  withStore(FAILED_STORE, 'readwrite', (store) => store.delete(seq));
+
+// 端末側の内容で送り直す。他の端末で変更されていた明細は上書きし、削除されていた明細は作り直す
+export const requeueFailedOp = async (op, owner) => {
+  const { kind, recordId, userId, payload, base } = op;
+  const next =
+    op.reason === 'deleted'
+      ? {
+          kind: 'insert',
+          recordId,
+          userId,
+          payload: { ...base, ...payload, id: recordId, ...owner }
+        }
+      : { kind, recordId, userId, payload, base: op.reason === 'modified' ? null : base };
+  await enqueueOp(next);
+  await discardFailedOp(op.seq);
+};
+
+export const syncOutbox = async (userId) => {
+  const ops = await getPendingOps(userId);
+  const result = { applied: 0, conflicts: 0, failed: 0, remaining: 0 };
+  for (let i = 0; i < ops.length; i += 1) {
+    const op = ops[i];
+    const { error, conflict, current } = await runOp(op);
+    if (error && isNetworkError(error)) {
+      result.remaining = ops.length - i;
+      return result;
+    }
+    if (conflict) {
+      result.conflicts += 1;
+      await moveToFailed(op, { reason: conflict, current: current || null });
+    } else if (error) {
+      result.failed += 1;
+      await moveToFailed(op, { reason: 'error', message: error.message });
+    } else {
+      result.applied += 1;
+      await removeOp(op.seq);
+    }
+  }
+  return result;
+};
+
+export const saveCachedTransactions = (userId, rows) =>
+  withStore(CACHE_STORE, 'readwrite', (store) => store.put(rows, `transactions-${userId}`));
+
+export const loadCachedTransactions = async (userId) =>
+  (await withStore(CACHE_STORE, 'readonly', (store) => store.get(`transactions-${userId}`))) || [];
+
+// ログアウトのとき、この端末に残したそのユーザーの明細のキャッシュと未同期の変更を消す
+export const clearOfflineData = async (userId) => {
+  const [ops, failed] = await Promise.all([getPendingOps(userId), getFailedOps(userId)]);
+  await withStore(OUTBOX_STORE, 'readwrite', (store) => ops.forEach((op) => store.delete(op.seq)));
+  await withStore(FAILED_STORE, 'readwrite', (store) => failed.forEach((op) => store.delete(op.seq)));
+  await withStore(CACHE_STORE, 'readwrite', (store) => store.delete(`transactions-${userId}`));
+};
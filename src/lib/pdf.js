@@ -0,0 +1,36 @@
+// 日本語フォントを PDF に埋め込まずに済むよう、画面の表示を画像にして A4 のページに分けて貼る
+export const exportElementToPdf = async (element, fileName) => {
+  const [{ default: html2canvas }, { jsPDF }] = await Promise.all([
+    import('html2canvas'),
+    import('jspdf')
+  ]);
+  const canvas = await html2canvas(element, {
+    scale: 2,
+    backgroundColor: '#ffffff',
+    ignoreElements: (node) => node.classList?.contains('no-print')
+  });
+  const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+  const margin = 10;
+  const width = pdf.internal.pageSize.getWidth() - margin * 2;
+  const pageHeight = pdf.internal.pageSize.getHeight() - margin * 2;
+  const pixelsPerMm = canvas.width / width;
+  const sliceHeight = Math.floor(pageHeight * pixelsPerMm);
+  for (let top = 0, page = 0; top < canvas.height; top += sliceHeight, page += 1) {
+    const slice = document.createElement('canvas');
+    slice.width = canvas.width;
+    slice.height = Math.min(sliceHeight, canvas.height - top);
+    slice
+      .getContext('2d')
+      .drawImage(canvas, 0, top, canvas.width, slice.height, 0, 0, canvas.width, slice.height);
+    if (page > 0) pdf.addPage();
+    pdf.addImage(
+      slice.toDataURL('image/jpeg', 0.92),
+      'JPEG',
+      margin,
+      margin,
+      width,
+      slice.height / pixelsPerMm
+    );
+  }
+  pdf.save(fileName);
+};
@@ -0,0 +1,53 @@
+import { supabase } from './supabase.js';
+
+const vapidPublicKey = import.meta.env.VITE_VAPID_PUBLIC_KEY;
+
+export const isPushSupported = () =>
+  Boolean(vapidPublicKey) &&
+  'serviceWorker' in navigator &&
+  'PushManager' in window &&
+  typeof Notification !== 'undefined';
+
+const toUint8Array = (base64) => {
+  const padded = `${base64}${'='.repeat((4 - (base64.length % 4)) % 4)}`;
+  const raw = atob(padded.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+};
+
+export const getPushSubscription = async () => {
+  if (!isPushSupported()) return null;
+  const registration = await navigator.serviceWorker.ready;
+  return registration.pushManager.getSubscription();
+};
+
+// 購読情報は通知サーバーが読むので、端末ごとに push_subscriptions へ保存する。
+// 同じブラウザで前に別のユーザーが購読していた行は、RPC の中で消してから付け替える
+export const subscribeToPush = async () => {
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') return { error: new Error('通知が許可されませんでした') };
+  const registration = await navigator.serviceWorker.ready;
+  const subscription =
+    (await registration.pushManager.getSubscription()) ||
+    (await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: toUint8Array(vapidPublicKey)
+    }));
+  const { endpoint, keys } = subscription.toJSON();
+  const { error } = await supabase.rpc('save_push_subscription', {
+    p_endpoint: endpoint,
+    p_keys: keys
+  });
+  return { subscription, error };
+};
+
+export const unsubscribeFromPush = async () => {
+  const subscription = await getPushSubscription();
+  if (!subscription) return { error: null };
+  const { error } = await supabase
+    .from('push_subscriptions')
+    .delete()
+    .eq('endpoint', subscription.endpoint);
+  // 行を消せなくてもブラウザの購読は解除する。残った行は通知サーバーが送信失敗（410）で消す
+  await subscription.unsubscribe();
+  return { error };
+};
@@ -0,0 +1,24 @@
+import { supabase } from './supabase.js';
+
+export const realtimeTables = ['transactions', 'categories', 'budgets', 'savings_goals'];
+
+// DELETE イベントにはフィルタが効かず主キーしか届かないため、受け取る側で id から照合する
+export const subscribeToLedger = ({ key, filter, onChange }) => {
+  const channel = supabase.channel(`ledger-${key}`);
+  realtimeTables.forEach((table) => {
+    channel.on('postgres_changes', { event: '*', schema: 'public', table, filter }, (payload) =>
+      onChange(table, payload)
+    );
+  });
+  channel.subscribe();
+  return () => {
+    supabase.removeChannel(channel);
+  };
+};
+
+export const upsertRow = (rows, row) =>
+  rows.some((item) => item.id === row.id)
+    ? rows.map((item) => (item.id === row.id ? row : item))
+    : [...rows, row];
+
+export const removeRow = (rows, id) => rows.filter((item) => item.id !== id);
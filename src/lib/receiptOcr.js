@@ -0,0 +1,100 @@
+// 画像は端末内で tesseract.js が読み取る。worker・wasm・言語データはアプリと同じ /ocr/ から配信し
+// （vite.config.js）、Service Worker がキャッシュするのでオフラインでも使える。環境変数で取得先を差し替えられる。
+// worker は blob URL から起動されるため、パスは絶対 URL にして渡す。wasm はディレクトリを渡して端末に合うものを選ばせる
+const ocrOptions = () => {
+  const base = new URL(`${import.meta.env.BASE_URL}ocr/`, window.location.href).href;
+  return {
+    langPath: import.meta.env.VITE_OCR_LANG_PATH || base,
+    corePath: import.meta.env.VITE_OCR_CORE_PATH || base,
+    workerPath: import.meta.env.VITE_OCR_WORKER_PATH || `${base}worker.min.js`
+  };
+};
+
+export const recognizeReceipt = async (file, onProgress) => {
+  const { createWorker } = await import('tesseract.js');
+  const worker = await createWorker(['jpn', 'eng'], 1, {
+    ...ocrOptions(),
+    logger: (message) => {
+      if (message.status === 'recognizing text') onProgress?.(message.progress);
+    }
+  });
+  try {
+    const { data } = await worker.recognize(file);
+    return data.text || '';
+  } finally {
+    await worker.terminate();
+  }
+};
+
+const totalKeywords = /(合計|総合計|お買上げ?計|お会計|お支払|ご請求|請求額|total)/i;
+const excludedTotalKeywords = /(小計|税|対象|点数|お釣|釣銭|おつり|預り|お預)/;
+const storeExcludedKeywords = /(領収|レシート|tel|電話|〒|http|www|登録番号|no\.|取引|担当|レジ)/i;
+
+const toAmount = (text) => {
+  const matches = text.replace(/[,，]/g, '').match(/[¥￥]?\s*(\d{2,7})(?!\d)/g);
+  if (!matches) return null;
+  const value = Number(matches[matches.length - 1].replace(/[^\d]/g, ''));
+  return value > 0 ? value : null;
+};
+
+const pad2 = (value) => String(value).padStart(2, '0');
+
+const toDate = (year, month, day) => {
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return '';
+  }
+  return `${year}-${pad2(month)}-${pad2(day)}`;
+};
+
+const findDate = (text) => {
+  const reiwa = text.match(/令和\s*(\d{1,2}|元)\s*年\s*(\d{1,2})\s*月\s*(\d{1,2})\s*日/);
+  if (reiwa) {
+    const year = 2018 + (reiwa[1] === '元' ? 1 : Number(reiwa[1]));
+    const date = toDate(year, Number(reiwa[2]), Number(reiwa[3]));
+    if (date) return date;
+  }
+  const pattern = /(20\d{2}|\d{2})\s*[年/.\-]\s*(\d{1,2})\s*[月/.\-]\s*(\d{1,2})/g;
+  for (const match of text.matchAll(pattern)) {
+    const year = match[1].length === 2 ? 2000 + Number(match[1]) : Number(match[1]);
+    const date = toDate(year, Number(match[2]), Number(match[3]));
+    if (date) return date;
+  }
+  return '';
+};
+
+const findTotal = (lines) => {
+  const candidates = lines.filter(
+    (line) => totalKeywords.test(line) && !excludedTotalKeywords.test(line)
+  );
+  for (let i = candidates.length - 1; i >= 0; i -= 1) {
+    const amount = toAmount(candidates[i]);
+    if (amount) return amount;
+  }
+  // 合計の行が読み取れなかったときは、円記号付きの金額のうち最大のものを合計とみなす
+  const amounts = lines
+    .filter((line) => /[¥￥円]/.test(line) && !excludedTotalKeywords.test(line))
+    .map(toAmount)
+    .filter(Boolean);
+  return amounts.length > 0 ? Math.max(...amounts) : null;
+};
+
+const findStore = (lines) =>
+  lines.find((line) => {
+    if (storeExcludedKeywords.test(line)) return false;
+    const letters = line.replace(/[\s\d\-−ー:：/.,，()（）[\]【】*＊#＃¥￥円]/g, '');
+    return letters.length >= 2 && letters.length >= line.replace(/\s/g, '').length / 2;
+  }) || '';
+
+export const parseReceiptText = (rawText) => {
+  const text = rawText.normalize('NFKC');
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+  return {
+    amount: findTotal(lines),
+    date: findDate(text),
+    store: findStore(lines.slice(0, 6)).replace(/\s/g, '')
+  };
+};
@@ -0,0 +1,105 @@
+import { supabase } from './supabase.js';
+import { createId } from './outbox.js';
+
+export const RECEIPT_BUCKET = 'receipts';
+export const receiptAccept = 'image/*,application/pdf';
+
+const SIGNED_URL_SECONDS = 60 * 60;
+
+export const isImageReceipt = (receipt) => (receipt.content_type || '').startsWith('image/');
+
+// Storage のパスは ASCII のみにし、元のファイル名は file_name に残す
+const toStorageName = (name) => {
+  const extension = (name.match(/\.[A-Za-z0-9]+$/) || [''])[0].toLowerCase();
+  return `${createId()}${extension}`;
+};
+
+export const uploadReceipts = async (files, { transactionId, userId, householdId }) => {
+  const uploaded = [];
+  for (const file of files) {
+    const path = `${userId}/${transactionId}/${toStorageName(file.name)}`;
+    const { error } = await supabase.storage
+      .from(RECEIPT_BUCKET)
+      .upload(path, file, { contentType: file.type || 'application/octet-stream' });
+    if (error) return { uploaded, error };
+    const { data, error: rowError } = await supabase
+      .from('receipts')
+      .insert({
+        user_id: userId,
+        household_id: householdId,
+        transaction_id: transactionId,
+        path,
+        file_name: file.name,
+        content_type: file.type || 'application/octet-stream',
+        size: file.size
+      })
+      .select()
+      .single();
+    if (rowError) {
+      await supabase.storage.from(RECEIPT_BUCKET).remove([path]);
+      return { uploaded, error: rowError };
+    }
+    uploaded.push(data);
+  }
+  return { uploaded };
+};
+
+// Storage の権限は receipts の行で判定するので、ファイルを先に消してから行を消す
+export const deleteReceipt = async (receipt) => {
+  const { error: fileError } = await supabase.storage.from(RECEIPT_BUCKET).remove([receipt.path]);
+  if (fileError) return { error: fileError };
+  const { error } = await supabase.from('receipts').delete().eq('id', receipt.id);
+  return { error };
+};
+
+// 明細の行は削除時に receipts も消えるが、Storage のファイルは残るので先に消しておく
+export const removeReceiptFiles = async (transactionId) => {
+  const { data } = await supabase.from('receipts').select('path').eq('transaction_id', transactionId);
+  const paths = (data || []).map((row) => row.path);
+  if (paths.length > 0) await supabase.storage.from(RECEIPT_BUCKET).remove(paths);
+};
+
+export const withSignedUrls = async (receipts) => {
+  if (receipts.length === 0) return receipts;
+  const { data, error } = await supabase.storage
+    .from(RECEIPT_BUCKET)
+    .createSignedUrls(
+      receipts.map((receipt) => receipt.path),
+      SIGNED_URL_SECONDS
+    );
+  if (error) return receipts;
+  const urls = new Map((data || []).map((item) => [item.path, item.signedUrl]));
+  return receipts.map((receipt) => ({ ...receipt, url: urls.get(receipt.path) || '' }));
+};
+
+export const downloadReceiptFiles = async (receipts) => {
+  const entries = [];
+  for (const receipt of receipts) {
+    const { data, error } = await supabase.storage.from(RECEIPT_BUCKET).download(receipt.path);
+    if (error) return { entries, error };
+    entries.push({
+      name: `receipts/${receipt.path}`,
+      data: new Uint8Array(await data.arrayBuffer())
+    });
+  }
+  return { entries };
+};
+
+// 別のアカウントにも復元できるよう、ファイルは復元する人のフォルダに置き直す
+export const restoreReceiptFiles = async (files, receipts, userId) => {
+  const restored = [];
+  for (const receipt of receipts) {
+    const data = files.get(`receipts/${receipt.path}`);
+    if (!data) continue;
+    const path = `${userId}/${receipt.path.split('/').slice(1).join('/')}`;
+    const { error } = await supabase.storage
+      .from(RECEIPT_BUCKET)
+      .upload(path, new Blob([data], { type: receipt.content_type }), {
+        contentType: receipt.content_type,
+        upsert: true
+      });
+    if (error) return { receipts: restored, error };
+    restored.push({ ...receipt, path });
+  }
+  return { receipts: restored };
+};
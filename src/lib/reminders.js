@@ -0,0 +1,62 @@
+// 記録リマインダーと週間サマリーは public/sw.js が表示する。
+// Service Worker からは Supabase のセッションを使えないため、判定に必要な内容をここで IndexedDB に書いておく
+const DB_NAME = 'kakeibo-reminders';
+const STORE = 'state';
+const SYNC_TAG = 'kakeibo-reminders';
+
+export const weekdays = ['日', '月', '火', '水', '木', '金', '土'];
+
+export const defaultReminderSettings = {
+  daily_reminder: false,
+  reminder_time: '21:00',
+  weekly_summary: false,
+  weekly_day: 0,
+  weekly_time: '20:00'
+};
+
+const openDb = () =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+export const saveReminderState = async (state) => {
+  const db = await openDb();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).put(state, 'current');
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+  });
+  db.close();
+};
+
+const getRegistration = async () => {
+  if (!('serviceWorker' in navigator)) return null;
+  return navigator.serviceWorker.ready;
+};
+
+// 定期バックグラウンド同期はインストールした PWA（Chrome 系）でのみ使える。使えない環境ではアプリを開いている間だけ判定する
+export const registerReminderSync = async () => {
+  const registration = await getRegistration();
+  if (!registration?.periodicSync) return false;
+  try {
+    await registration.periodicSync.register(SYNC_TAG, { minInterval: 60 * 60 * 1000 });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const unregisterReminderSync = async () => {
+  const registration = await getRegistration();
+  if (!registration?.periodicSync) return;
+  await registration.periodicSync.unregister(SYNC_TAG);
+};
+
+export const requestReminderCheck = async () => {
+  const registration = await getRegistration();
+  registration?.active?.postMessage({ type: 'check-reminders' });
+};
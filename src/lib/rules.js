@@ -0,0 +1,36 @@
+const normalize = (value) => String(value || '').normalize('NFKC').toLowerCase();
+
+export const matchesRule = (rule, item) => {
+  if (rule.pattern) {
+    if (rule.match_type === 'regex') {
+      try {
+        if (!new RegExp(rule.pattern, 'i').test(item.note || '')) return false;
+      } catch {
+        return false;
+      }
+    } else if (!normalize(item.note).includes(normalize(rule.pattern))) {
+      return false;
+    }
+  }
+  const amount = Number(item.amount);
+  if (rule.min_amount !== null && rule.min_amount !== undefined && !(amount >= rule.min_amount)) {
+    return false;
+  }
+  if (rule.max_amount !== null && rule.max_amount !== undefined && !(amount <= rule.max_amount)) {
+    return false;
+  }
+  if (rule.account_id && rule.account_id !== item.account_id) return false;
+  return true;
+};
+
+export const findMatchingRule = (rules, item) => rules.find((rule) => matchesRule(rule, item)) || null;
+
+export const applyRule = (rule, item) => {
+  const type = rule.set_type || item.type;
+  return {
+    ...item,
+    type,
+    purpose: type === 'expense' ? rule.set_purpose || item.purpose || 'consumption' : 'consumption',
+    category: rule.set_category
+  };
+};
@@ -0,0 +1,107 @@
+export const shareModes = [
+  { value: 'equal', label: '均等' },
+  { value: 'percent', label: '割合（%）' },
+  { value: 'fixed', label: '金額' }
+];
+
+export const payerOf = (item) => item.paid_by || item.user_id;
+
+export const isSettlement = (item) => Boolean(item.settled_to);
+
+// 端数は支払った人（負担に含まれない場合は先頭の人）に寄せて、合計が金額と必ず一致するようにする
+export const shareAmountsOf = (item, memberIds) => {
+  const amount = Number(item.amount) || 0;
+  const shares = item.shares;
+  const values = shares?.values || {};
+  let weights;
+  if (!shares || shares.mode === 'equal') {
+    const participants = shares ? memberIds.filter((id) => values[id]) : memberIds;
+    weights = (participants.length > 0 ? participants : memberIds).map((id) => [id, 1]);
+  } else {
+    weights = memberIds.map((id) => [id, Number(values[id]) || 0]).filter(([, value]) => value > 0);
+  }
+  if (weights.length === 0) return {};
+
+  const result = {};
+  if (shares?.mode === 'fixed') {
+    weights.forEach(([id, value]) => {
+      result[id] = Math.floor(value);
+    });
+  } else {
+    const total = weights.reduce((sum, [, value]) => sum + value, 0);
+    weights.forEach(([id, value]) => {
+      result[id] = Math.floor((amount * value) / total);
+    });
+  }
+  const assigned = Object.values(result).reduce((sum, value) => sum + value, 0);
+  const payer = payerOf(item);
+  const remainderTo = result[payer] !== undefined ? payer : weights[0][0];
+  result[remainderTo] += amount - assigned;
+  return result;
+};
+
+export const getShareError = (shares, amount, memberIds) => {
+  if (!shares) return '';
+  const values = memberIds.map((id) => Number(shares.values?.[id] || 0));
+  if (values.some((value) => Number.isNaN(value) || value < 0)) return '負担の割合が正しくありません';
+  const total = values.reduce((sum, value) => sum + value, 0);
+  if (total === 0) return '負担する人を1人以上選んでください';
+  if (shares.mode === 'percent' && total !== 100) {
+    return `負担の割合の合計が100%になっていません（${total}%）`;
+  }
+  if (shares.mode === 'fixed' && total !== Math.abs(Number(amount))) {
+    return `負担額の合計が金額と一致しません（差額 ${Math.abs(Number(amount)) - total}円）`;
+  }
+  return '';
+};
+
+export const computeBalances = (items, memberIds) => {
+  const balances = {};
+  memberIds.forEach((id) => {
+    balances[id] = { paid: 0, owed: 0, settled: 0, net: 0 };
+  });
+  const ensure = (id) => {
+    if (!balances[id]) balances[id] = { paid: 0, owed: 0, settled: 0, net: 0 };
+    return balances[id];
+  };
+  items.forEach((item) => {
+    if (isSettlement(item)) {
+      ensure(payerOf(item)).settled += item.amount;
+      ensure(item.settled_to).settled -= item.amount;
+      return;
+    }
+    if (item.type !== 'expense') return;
+    ensure(payerOf(item)).paid += item.amount;
+    Object.entries(shareAmountsOf(item, memberIds)).forEach(([id, value]) => {
+      ensure(id).owed += value;
+    });
+  });
+  Object.values(balances).forEach((balance) => {
+    balance.net = balance.paid + balance.settled - balance.owed;
+  });
+  return balances;
+};
+
+// 受け取る側と払う側をそれぞれ金額の大きい順に突き合わせ、送金の回数を抑える
+export const suggestTransfers = (balances) => {
+  const creditors = [];
+  const debtors = [];
+  Object.entries(balances).forEach(([id, balance]) => {
+    if (balance.net > 0) creditors.push({ id, amount: balance.net });
+    if (balance.net < 0) debtors.push({ id, amount: -balance.net });
+  });
+  creditors.sort((a, b) => b.amount - a.amount);
+  debtors.sort((a, b) => b.amount - a.amount);
+  const transfers = [];
+  let i = 0;
+  let j = 0;
+  while (i < debtors.length && j < creditors.length) {
+    const amount = Math.min(debtors[i].amount, creditors[j].amount);
+    if (amount > 0) transfers.push({ from: debtors[i].id, to: creditors[j].id, amount });
+    debtors[i].amount -= amount;
+    creditors[j].amount -= amount;
+    if (debtors[i].amount === 0) i += 1;
+    if (creditors[j].amount === 0) j += 1;
+  }
+  return transfers;
+};
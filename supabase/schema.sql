@@ -1,4 +1,5 @@
 create extension if not exists "pgcrypto";
+create extension if not exists "pg_trgm";
 
 create table if not exists public.transactions (
   id uuid primary key default gen_random_uuid(),
@@ -131,3 +132,1211 @@ create policy "Users can delete own savings goals"
   on public.savings_goals
   for delete
   using (auth.uid() = user_id);
+
+create table if not exists public.recurring_transactions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  day_of_month integer not null check (day_of_month between 1 and 31),
+  interval_months integer not null default 1 check (interval_months >= 1),
+  start_date date not null,
+  end_date date,
+  amount integer not null,
+  type text not null check (type in ('expense', 'income')),
+  purpose text not null default 'consumption' check (purpose in ('consumption', 'waste', 'investment')),
+  category text not null,
+  note text,
+  generated_through date,
+  created_at timestamp with time zone default now()
+);
+
+alter table public.recurring_transactions enable row level security;
+
+create policy "Users can view own recurring transactions"
+  on public.recurring_transactions
+  for select
+  using (auth.uid() = user_id);
+
+create policy "Users can insert own recurring transactions"
+  on public.recurring_transactions
+  for insert
+  with check (auth.uid() = user_id);
+
+create policy "Users can update own recurring transactions"
+  on public.recurring_transactions
+  for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+create policy "Users can delete own recurring transactions"
+  on public.recurring_transactions
+  for delete
+  using (auth.uid() = user_id);
+
+alter table public.transactions
+  add column if not exists recurring_id uuid references public.recurring_transactions (id) on delete set null;
+
+create unique index if not exists transactions_recurring_id_date_idx
+  on public.transactions (recurring_id, date);
+
+create table if not exists public.accounts (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text not null,
+  kind text not null default 'cash' check (kind in ('cash', 'bank', 'card', 'emoney')),
+  opening_balance integer not null default 0,
+  created_at timestamp with time zone default now(),
+  unique (user_id, name)
+);
+
+alter table public.accounts enable row level security;
+
+create policy "Users can view own accounts"
+  on public.accounts
+  for select
+  using (auth.uid() = user_id);
+
+create policy "Users can insert own accounts"
+  on public.accounts
+  for insert
+  with check (auth.uid() = user_id);
+
+create policy "Users can update own accounts"
+  on public.accounts
+  for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+create policy "Users can delete own accounts"
+  on public.accounts
+  for delete
+  using (auth.uid() = user_id);
+
+alter table public.transactions
+  add column if not exists account_id uuid references public.accounts (id) on delete set null,
+  add column if not exists to_account_id uuid references public.accounts (id) on delete set null;
+
+alter table public.transactions drop constraint if exists transactions_type_check;
+alter table public.transactions
+  add constraint transactions_type_check check (type in ('expense', 'income', 'transfer'));
+
+alter table public.recurring_transactions
+  add column if not exists account_id uuid references public.accounts (id) on delete set null,
+  add column if not exists to_account_id uuid references public.accounts (id) on delete set null;
+
+alter table public.recurring_transactions drop constraint if exists recurring_transactions_type_check;
+alter table public.recurring_transactions
+  add constraint recurring_transactions_type_check check (type in ('expense', 'income', 'transfer'));
+
+alter table public.accounts
+  add column if not exists closing_day integer check (closing_day between 1 and 31),
+  add column if not exists payment_day integer check (payment_day between 1 and 31),
+  add column if not exists payment_month_offset integer not null default 1 check (payment_month_offset between 1 and 2);
+
+create table if not exists public.import_profiles (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text not null,
+  settings jsonb not null default '{}'::jsonb,
+  created_at timestamp with time zone default now(),
+  unique (user_id, name)
+);
+
+alter table public.import_profiles enable row level security;
+
+create policy "Users can view own import profiles"
+  on public.import_profiles
+  for select
+  using (auth.uid() = user_id);
+
+create policy "Users can insert own import profiles"
+  on public.import_profiles
+  for insert
+  with check (auth.uid() = user_id);
+
+create policy "Users can update own import profiles"
+  on public.import_profiles
+  for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+create policy "Users can delete own import profiles"
+  on public.import_profiles
+  for delete
+  using (auth.uid() = user_id);
+
+create table if not exists public.category_rules (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  priority integer not null default 0,
+  pattern text not null default '',
+  match_type text not null default 'contains' check (match_type in ('contains', 'regex')),
+  min_amount integer,
+  max_amount integer,
+  account_id uuid references public.accounts (id) on delete cascade,
+  set_type text check (set_type in ('expense', 'income')),
+  set_purpose text check (set_purpose in ('consumption', 'waste', 'investment')),
+  set_category text not null,
+  created_at timestamp with time zone default now()
+);
+
+alter table public.category_rules enable row level security;
+
+create policy "Users can view own category rules"
+  on public.category_rules
+  for select
+  using (auth.uid() = user_id);
+
+create policy "Users can insert own category rules"
+  on public.category_rules
+  for insert
+  with check (auth.uid() = user_id);
+
+create policy "Users can update own category rules"
+  on public.category_rules
+  for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+create policy "Users can delete own category rules"
+  on public.category_rules
+  for delete
+  using (auth.uid() = user_id);
+
+alter table public.transactions
+  add column if not exists splits jsonb;
+
+create table if not exists public.households (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  created_by uuid not null references auth.users (id) on delete cascade,
+  created_at timestamp with time zone default now()
+);
+
+create table if not exists public.household_members (
+  household_id uuid not null references public.households (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  role text not null default 'member' check (role in ('owner', 'member')),
+  display_name text not null default '',
+  created_at timestamp with time zone default now(),
+  primary key (household_id, user_id)
+);
+
+create table if not exists public.household_invitations (
+  id uuid primary key default gen_random_uuid(),
+  household_id uuid not null references public.households (id) on delete cascade,
+  email text not null,
+  role text not null default 'member' check (role in ('owner', 'member')),
+  invited_by uuid not null references auth.users (id) on delete cascade,
+  accepted_at timestamp with time zone,
+  created_at timestamp with time zone default now(),
+  unique (household_id, email)
+);
+
+-- security definer so that policies on household_members can check membership without recursing
+create or replace function public.is_household_member(target uuid)
+returns boolean
+language sql
+security definer
+stable
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.household_members
+    where household_id = target and user_id = auth.uid()
+  );
+$$;
+
+create or replace function public.is_household_owner(target uuid)
+returns boolean
+language sql
+security definer
+stable
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.household_members
+    where household_id = target and user_id = auth.uid() and role = 'owner'
+  );
+$$;
+
+alter table public.households enable row level security;
+alter table public.household_members enable row level security;
+alter table public.household_invitations enable row level security;
+
+create policy "Members can view households"
+  on public.households
+  for select
+  using (
+    auth.uid() = created_by
+    or public.is_household_member(id)
+    or exists (
+      select 1 from public.household_invitations i
+      where i.household_id = households.id and lower(i.email) = lower(auth.jwt() ->> 'email')
+    )
+  );
+
+create policy "Users can create households"
+  on public.households
+  for insert
+  with check (auth.uid() = created_by);
+
+create policy "Owners can update households"
+  on public.households
+  for update
+  using (public.is_household_owner(id))
+  with check (public.is_household_owner(id));
+
+create policy "Owners can delete households"
+  on public.households
+  for delete
+  using (public.is_household_owner(id));
+
+create policy "Members can view household members"
+  on public.household_members
+  for select
+  using (public.is_household_member(household_id));
+
+create policy "Creators can join households"
+  on public.household_members
+  for insert
+  with check (
+    auth.uid() = user_id
+    and exists (
+      select 1 from public.households h
+      where h.id = household_members.household_id and h.created_by = auth.uid()
+    )
+  );
+
+create policy "Members can update own display name"
+  on public.household_members
+  for update
+  using (auth.uid() = user_id or public.is_household_owner(household_id))
+  with check (auth.uid() = user_id or public.is_household_owner(household_id));
+
+create policy "Members can leave and owners can remove members"
+  on public.household_members
+  for delete
+  using (auth.uid() = user_id or public.is_household_owner(household_id));
+
+create policy "Members and invitees can view invitations"
+  on public.household_invitations
+  for select
+  using (
+    public.is_household_member(household_id)
+    or lower(email) = lower(auth.jwt() ->> 'email')
+  );
+
+create policy "Members can invite"
+  on public.household_invitations
+  for insert
+  with check (
+    auth.uid() = invited_by
+    and public.is_household_member(household_id)
+    and (role = 'member' or public.is_household_owner(household_id))
+  );
+
+create policy "Members can cancel invitations"
+  on public.household_invitations
+  for delete
+  using (
+    public.is_household_member(household_id)
+    or lower(email) = lower(auth.jwt() ->> 'email')
+  );
+
+-- invitees join only through this function, so they cannot change the role or household of an invitation
+create or replace function public.accept_household_invitation(p_invitation uuid, p_display_name text)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  invitation public.household_invitations;
+begin
+  select * into invitation
+  from public.household_invitations
+  where id = p_invitation
+    and accepted_at is null
+    and lower(email) = lower(auth.jwt() ->> 'email')
+  for update;
+  if not found then
+    raise exception 'invitation not found';
+  end if;
+  insert into public.household_members (household_id, user_id, role, display_name)
+  values (invitation.household_id, auth.uid(), invitation.role, p_display_name)
+  on conflict (household_id, user_id) do nothing;
+  update public.household_invitations set accepted_at = now() where id = invitation.id;
+  return invitation.household_id;
+end;
+$$;
+
+alter table public.transactions
+  add column if not exists paid_by uuid references auth.users (id) on delete set null;
+
+alter table public.transactions
+  add column if not exists household_id uuid references public.households (id) on delete cascade;
+
+create index if not exists transactions_household_id_idx on public.transactions (household_id);
+
+drop policy if exists "Users can view own transactions" on public.transactions;
+drop policy if exists "Users can insert own transactions" on public.transactions;
+drop policy if exists "Users can update own transactions" on public.transactions;
+drop policy if exists "Users can delete own transactions" on public.transactions;
+
+create policy "Members can view ledger transactions"
+  on public.transactions
+  for select
+  using ((household_id is null and auth.uid() = user_id) or (household_id is not null and public.is_household_member(household_id)));
+
+create policy "Members can insert ledger transactions"
+  on public.transactions
+  for insert
+  with check (
+    auth.uid() = user_id
+    and (household_id is null or public.is_household_member(household_id))
+  );
+
+create policy "Members can update ledger transactions"
+  on public.transactions
+  for update
+  using ((household_id is null and auth.uid() = user_id) or (household_id is not null and public.is_household_member(household_id)))
+  with check (
+    (household_id is null and auth.uid() = user_id)
+    or (household_id is not null and public.is_household_member(household_id))
+  );
+
+create policy "Members can delete ledger transactions"
+  on public.transactions
+  for delete
+  using ((household_id is null and auth.uid() = user_id) or (household_id is not null and public.is_household_member(household_id)));
+
+alter table public.categories
+  add column if not exists household_id uuid references public.households (id) on delete cascade;
+
+create index if not exists categories_household_id_idx on public.categories (household_id);
+
+alter table public.categories drop constraint if exists categories_user_id_name_key;
+
+-- keep only the oldest category per household and name before enforcing uniqueness
+delete from public.categories c
+using public.categories older
+where c.household_id is not null
+  and older.household_id = c.household_id
+  and older.name = c.name
+  and (older.created_at, older.id) < (c.created_at, c.id);
+
+-- names are unique per ledger: per user in the personal ledger, per household in a shared one.
+-- the personal index includes household_id with nulls not distinct instead of "where household_id is null",
+-- because upserts from the API cannot name the predicate of a partial index in ON CONFLICT
+create unique index if not exists categories_personal_name_idx
+  on public.categories (user_id, household_id, name) nulls not distinct;
+
+create unique index if not exists categories_household_name_idx
+  on public.categories (household_id, name);
+
+drop policy if exists "Users can view own categories" on public.categories;
+drop policy if exists "Users can insert own categories" on public.categories;
+drop policy if exists "Users can update own categories" on public.categories;
+drop policy if exists "Users can delete own categories" on public.categories;
+
+create policy "Members can view ledger categories"
+  on public.categories
+  for select
+  using ((household_id is null and auth.uid() = user_id) or (household_id is not null and public.is_household_member(household_id)));
+
+create policy "Members can insert ledger categories"
+  on public.categories
+  for insert
+  with check (
+    auth.uid() = user_id
+    and (household_id is null or public.is_household_member(household_id))
+  );
+
+create policy "Members can update ledger categories"
+  on public.categories
+  for update
+  using ((household_id is null and auth.uid() = user_id) or (household_id is not null and public.is_household_member(household_id)))
+  with check (
+    (household_id is null and auth.uid() = user_id)
+    or (household_id is not null and public.is_household_member(household_id))
+  );
+
+create policy "Members can delete ledger categories"
+  on public.categories
+  for delete
+  using ((household_id is null and auth.uid() = user_id) or (household_id is not null and public.is_household_member(household_id)));
+
+alter table public.budgets
+  add column if not exists household_id uuid references public.households (id) on delete cascade;
+
+create index if not exists budgets_household_id_idx on public.budgets (household_id);
+
+-- keep only the newest budget per household, month and category before enforcing uniqueness
+delete from public.budgets b
+using public.budgets newer
+where b.household_id is not null
+  and newer.household_id = b.household_id
+  and newer.month = b.month
+  and newer.category = b.category
+  and (newer.created_at, newer.id) > (b.created_at, b.id);
+
+alter table public.budgets drop constraint if exists budgets_user_id_month_category_key;
+
+-- budgets are unique per ledger, month and category; see the note on categories above
+create unique index if not exists budgets_personal_month_category_idx
+  on public.budgets (user_id, household_id, month, category) nulls not distinct;
+
+create unique index if not exists budgets_household_month_category_idx
+  on public.budgets (household_id, month, category);
+
+drop policy if exists "Users can view own budgets" on public.budgets;
+drop policy if exists "Users can insert own budgets" on public.budgets;
+drop policy if exists "Users can update own budgets" on public.budgets;
+drop policy if exists "Users can delete own budgets" on public.budgets;
+
+create policy "Members can view ledger budgets"
+  on public.budgets
+  for select
+  using ((household_id is null and auth.uid() = user_id) or (household_id is not null and public.is_household_member(household_id)));
+
+create policy "Members can insert ledger budgets"
+  on public.budgets
+  for insert
+  with check (
+    auth.uid() = user_id
+    and (household_id is null or public.is_household_member(household_id))
+  );
+
+create policy "Members can update ledger budgets"
+  on public.budgets
+  for update
+  using ((household_id is null and auth.uid() = user_id) or (household_id is not null and public.is_household_member(household_id)))
+  with check (
+    (household_id is null and auth.uid() = user_id)
+    or (household_id is not null and public.is_household_member(household_id))
+  );
+
+create policy "Members can delete ledger budgets"
+  on public.budgets
+  for delete
+  using ((household_id is null and auth.uid() = user_id) or (household_id is not null and public.is_household_member(household_id)));
+
+alter table public.savings_goals
+  add column if not exists household_id uuid references public.households (id) on delete cascade;
+
+create index if not exists savings_goals_household_id_idx on public.savings_goals (household_id);
+
+drop policy if exists "Users can view own savings goals" on public.savings_goals;
+drop policy if exists "Users can insert own savings goals" on public.savings_goals;
+drop policy if exists "Users can update own savings goals" on public.savings_goals;
+drop policy if exists "Users can delete own savings goals" on public.savings_goals;
+
+create policy "Members can view ledger savings goals"
+  on public.savings_goals
+  for select
+  using ((household_id is null and auth.uid() = user_id) or (household_id is not null and public.is_household_member(household_id)));
+
+create policy "Members can insert ledger savings goals"
+  on public.savings_goals
+  for insert
+  with check (
+    auth.uid() = user_id
+    and (household_id is null or public.is_household_member(household_id))
+  );
+
+create policy "Members can update ledger savings goals"
+  on public.savings_goals
+  for update
+  using ((household_id is null and auth.uid() = user_id) or (household_id is not null and public.is_household_member(household_id)))
+  with check (
+    (household_id is null and auth.uid() = user_id)
+    or (household_id is not null and public.is_household_member(household_id))
+  );
+
+create policy "Members can delete ledger savings goals"
+  on public.savings_goals
+  for delete
+  using ((household_id is null and auth.uid() = user_id) or (household_id is not null and public.is_household_member(household_id)));
+
+alter table public.accounts
+  add column if not exists household_id uuid references public.households (id) on delete cascade;
+
+create index if not exists accounts_household_id_idx on public.accounts (household_id);
+
+alter table public.accounts drop constraint if exists accounts_user_id_name_key;
+
+-- merge household accounts with the same name into the oldest one before enforcing uniqueness
+do $$
+declare
+  dup record;
+begin
+  for dup in
+    select a.id, a.opening_balance, (
+      select k.id from public.accounts k
+      where k.household_id = a.household_id and k.name = a.name
+      order by k.created_at, k.id
+      limit 1
+    ) as keep_id
+    from public.accounts a
+    where a.household_id is not null
+  loop
+    continue when dup.id = dup.keep_id;
+    update public.transactions set account_id = dup.keep_id where account_id = dup.id;
+    update public.transactions set to_account_id = dup.keep_id where to_account_id = dup.id;
+    update public.recurring_transactions set account_id = dup.keep_id where account_id = dup.id;
+    update public.recurring_transactions set to_account_id = dup.keep_id where to_account_id = dup.id;
+    update public.category_rules set account_id = dup.keep_id where account_id = dup.id;
+    update public.accounts set opening_balance = opening_balance + dup.opening_balance
+    where id = dup.keep_id;
+    delete from public.accounts where id = dup.id;
+  end loop;
+end;
+$$;
+
+-- account names are unique per ledger; see the note on categories above
+create unique index if not exists accounts_personal_name_idx
+  on public.accounts (user_id, household_id, name) nulls not distinct;
+
+create unique index if not exists accounts_household_name_idx
+  on public.accounts (household_id, name);
+
+drop policy if exists "Users can view own accounts" on public.accounts;
+drop policy if exists "Users can insert own accounts" on public.accounts;
+drop policy if exists "Users can update own accounts" on public.accounts;
+drop policy if exists "Users can delete own accounts" on public.accounts;
+
+create policy "Members can view ledger accounts"
+  on public.accounts
+  for select
+  using ((household_id is null and auth.uid() = user_id) or (household_id is not null and public.is_household_member(household_id)));
+
+create policy "Members can insert ledger accounts"
+  on public.accounts
+  for insert
+  with check (
+    auth.uid() = user_id
+    and (household_id is null or public.is_household_member(household_id))
+  );
+
+create policy "Members can update ledger accounts"
+  on public.accounts
+  for update
+  using ((household_id is null and auth.uid() = user_id) or (household_id is not null and public.is_household_member(household_id)))
+  with check (
+    (household_id is null and auth.uid() = user_id)
+    or (household_id is not null and public.is_household_member(household_id))
+  );
+
+create policy "Members can delete ledger accounts"
+  on public.accounts
+  for delete
+  using ((household_id is null and auth.uid() = user_id) or (household_id is not null and public.is_household_member(household_id)));
+
+alter table public.recurring_transactions
+  add column if not exists household_id uuid references public.households (id) on delete cascade;
+
+create index if not exists recurring_transactions_household_id_idx on public.recurring_transactions (household_id);
+
+drop policy if exists "Users can view own recurring transactions" on public.recurring_transactions;
+drop policy if exists "Users can insert own recurring transactions" on public.recurring_transactions;
+drop policy if exists "Users can update own recurring transactions" on public.recurring_transactions;
+drop policy if exists "Users can delete own recurring transactions" on public.recurring_transactions;
+
+create policy "Members can view ledger recurring transactions"
+  on public.recurring_transactions
+  for select
+  using ((household_id is null and auth.uid() = user_id) or (household_id is not null and public.is_household_member(household_id)));
+
+create policy "Members can insert ledger recurring transactions"
+  on public.recurring_transactions
+  for insert
+  with check (
+    auth.uid() = user_id
+    and (household_id is null or public.is_household_member(household_id))
+  );
+
+create policy "Members can update ledger recurring transactions"
+  on public.recurring_transactions
+  for update
+  using ((household_id is null and auth.uid() = user_id) or (household_id is not null and public.is_household_member(household_id)))
+  with check (
+    (household_id is null and auth.uid() = user_id)
+    or (household_id is not null and public.is_household_member(household_id))
+  );
+
+create policy "Members can delete ledger recurring transactions"
+  on public.recurring_transactions
+  for delete
+  using ((household_id is null and auth.uid() = user_id) or (household_id is not null and public.is_household_member(household_id)));
+
+alter table public.transactions
+  add column if not exists shares jsonb,
+  add column if not exists settled_to uuid references auth.users (id) on delete set null;
+
+-- stream row changes to other open devices through Realtime
+alter publication supabase_realtime
+  add table public.transactions, public.categories, public.budgets, public.savings_goals;
+
+create index if not exists transactions_user_id_date_idx on public.transactions (user_id, date desc);
+create index if not exists transactions_household_id_date_idx on public.transactions (household_id, date desc);
+
+-- security invoker (the default), so row level security still limits the rows being summed
+create or replace function public.monthly_totals(p_household uuid default null, p_cash_flow boolean default false)
+returns table (month text, income bigint, expense bigint)
+language sql
+stable
+as $$
+  select
+    to_char(
+      case
+        when p_cash_flow
+          and t.type <> 'transfer'
+          and a.kind = 'card'
+          and a.closing_day is not null
+          and a.payment_day is not null
+        then date_trunc('month', t.date)
+          + make_interval(
+            months => (case when extract(day from t.date) > a.closing_day then 1 else 0 end)
+              + a.payment_month_offset
+          )
+        else date_trunc('month', t.date)
+      end,
+      'YYYY-MM'
+    ),
+    coalesce(sum(t.amount) filter (where t.type = 'income'), 0)::bigint,
+    coalesce(sum(t.amount) filter (where t.type = 'expense'), 0)::bigint
+  from public.transactions t
+  left join public.accounts a on a.id = t.account_id
+  where (p_household is null and t.household_id is null and t.user_id = auth.uid())
+    or (p_household is not null and t.household_id = p_household)
+  group by 1
+  order by 1;
+$$;
+
+create or replace function public.account_balance_changes(p_household uuid default null)
+returns table (account_id uuid, amount bigint)
+language sql
+stable
+as $$
+  select entry.account_id, sum(entry.amount)::bigint
+  from (
+    select t.account_id, case when t.type = 'income' then t.amount else -t.amount end as amount
+    from public.transactions t
+    where t.account_id is not null
+      and ((p_household is null and t.household_id is null and t.user_id = auth.uid())
+        or (p_household is not null and t.household_id = p_household))
+    union all
+    select t.to_account_id, t.amount
+    from public.transactions t
+    where t.type = 'transfer'
+      and t.to_account_id is not null
+      and ((p_household is null and t.household_id is null and t.user_id = auth.uid())
+        or (p_household is not null and t.household_id = p_household))
+  ) entry
+  group by entry.account_id;
+$$;
+
+create table if not exists public.saved_searches (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text not null,
+  filters jsonb not null default '{}'::jsonb,
+  created_at timestamp with time zone default now(),
+  unique (user_id, name)
+);
+
+alter table public.saved_searches enable row level security;
+
+create policy "Users can view own saved searches"
+  on public.saved_searches
+  for select
+  using (auth.uid() = user_id);
+
+create policy "Users can insert own saved searches"
+  on public.saved_searches
+  for insert
+  with check (auth.uid() = user_id);
+
+create policy "Users can update own saved searches"
+  on public.saved_searches
+  for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+create policy "Users can delete own saved searches"
+  on public.saved_searches
+  for delete
+  using (auth.uid() = user_id);
+
+create index if not exists transactions_note_trgm_idx
+  on public.transactions using gin (note gin_trgm_ops);
+
+-- full-period search that also looks inside split lines; amount, date and order are applied by the caller
+create or replace function public.search_transactions(
+  p_household uuid default null,
+  p_keyword text default null,
+  p_categories text[] default null,
+  p_purposes text[] default null
+)
+returns setof public.transactions
+language sql
+stable
+as $$
+  select t.*
+  from public.transactions t
+  cross join lateral (
+    select '%' || replace(replace(replace(p_keyword, '\', '\\'), '%', '\%'), '_', '\_') || '%'
+      as pattern
+  ) k
+  where ((p_household is null and t.household_id is null and t.user_id = auth.uid())
+      or (p_household is not null and t.household_id = p_household))
+    and (p_keyword is null
+      or t.note ilike k.pattern
+      or t.category ilike k.pattern
+      or exists (
+        select 1 from jsonb_array_elements(coalesce(t.splits, '[]'::jsonb)) s
+        where s.value ->> 'note' ilike k.pattern or s.value ->> 'category' ilike k.pattern
+      ))
+    and (p_categories is null
+      or t.category = any (p_categories)
+      or exists (
+        select 1 from jsonb_array_elements(coalesce(t.splits, '[]'::jsonb)) s
+        where s.value ->> 'category' = any (p_categories)
+      ))
+    and (p_purposes is null
+      or (t.type = 'expense'
+        and (t.purpose = any (p_purposes)
+          or exists (
+            select 1 from jsonb_array_elements(coalesce(t.splits, '[]'::jsonb)) s
+            where s.value ->> 'purpose' = any (p_purposes)
+          ))));
+$$;
+
+alter table public.transactions
+  add column if not exists tags text[] not null default '{}';
+
+create index if not exists transactions_tags_idx on public.transactions using gin (tags);
+
+create table if not exists public.tags (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  household_id uuid references public.households (id) on delete cascade,
+  name text not null,
+  created_at timestamp with time zone default now()
+);
+
+-- keep only the oldest tag per ledger and name before enforcing uniqueness
+delete from public.tags t
+using public.tags older
+where older.name = t.name
+  and ((t.household_id is null and older.household_id is null and older.user_id = t.user_id)
+    or (t.household_id is not null and older.household_id = t.household_id))
+  and (older.created_at, older.id) < (t.created_at, t.id);
+
+-- names are unique per ledger, the same way as categories_personal_name_idx / categories_household_name_idx
+create unique index if not exists tags_personal_name_idx
+  on public.tags (user_id, household_id, name) nulls not distinct;
+
+create unique index if not exists tags_household_name_idx
+  on public.tags (household_id, name);
+
+alter table public.tags enable row level security;
+
+create policy "Members can view ledger tags"
+  on public.tags
+  for select
+  using ((household_id is null and auth.uid() = user_id) or (household_id is not null and public.is_household_member(household_id)));
+
+create policy "Members can insert ledger tags"
+  on public.tags
+  for insert
+  with check (
+    auth.uid() = user_id
+    and (household_id is null or public.is_household_member(household_id))
+  );
+
+create policy "Members can update ledger tags"
+  on public.tags
+  for update
+  using ((household_id is null and auth.uid() = user_id) or (household_id is not null and public.is_household_member(household_id)))
+  with check (
+    (household_id is null and auth.uid() = user_id)
+    or (household_id is not null and public.is_household_member(household_id))
+  );
+
+create policy "Members can delete ledger tags"
+  on public.tags
+  for delete
+  using ((household_id is null and auth.uid() = user_id) or (household_id is not null and public.is_household_member(household_id)));
+
+-- renaming to a name that already exists in the ledger merges the two tags
+create or replace function public.rename_tag(p_household uuid, p_old text, p_new text)
+returns void
+language sql
+as $$
+  update public.transactions
+  set tags = array(select distinct unnest(array_replace(tags, p_old, p_new)))
+  where p_old = any (tags)
+    and ((p_household is null and household_id is null and user_id = auth.uid())
+      or (p_household is not null and household_id = p_household));
+  delete from public.tags
+  where name = p_old
+    and exists (
+      select 1 from public.tags existing
+      where existing.name = p_new
+        and ((p_household is null and existing.household_id is null and existing.user_id = auth.uid())
+          or (p_household is not null and existing.household_id = p_household))
+    )
+    and ((p_household is null and household_id is null and user_id = auth.uid())
+      or (p_household is not null and household_id = p_household));
+  update public.tags
+  set name = p_new
+  where name = p_old
+    and ((p_household is null and household_id is null and user_id = auth.uid())
+      or (p_household is not null and household_id = p_household));
+$$;
+
+create or replace function public.remove_tag(p_household uuid, p_name text)
+returns void
+language sql
+as $$
+  update public.transactions
+  set tags = array_remove(tags, p_name)
+  where p_name = any (tags)
+    and ((p_household is null and household_id is null and user_id = auth.uid())
+      or (p_household is not null and household_id = p_household));
+  delete from public.tags
+  where name = p_name
+    and ((p_household is null and household_id is null and user_id = auth.uid())
+      or (p_household is not null and household_id = p_household));
+$$;
+
+create table if not exists public.receipts (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  household_id uuid references public.households (id) on delete cascade,
+  transaction_id uuid not null references public.transactions (id) on delete cascade,
+  path text not null unique,
+  file_name text not null,
+  content_type text not null,
+  size integer not null default 0,
+  created_at timestamp with time zone default now()
+);
+
+create index if not exists receipts_transaction_id_idx on public.receipts (transaction_id);
+
+alter table public.receipts enable row level security;
+
+create policy "Members can view ledger receipts"
+  on public.receipts
+  for select
+  using ((household_id is null and auth.uid() = user_id) or (household_id is not null and public.is_household_member(household_id)));
+
+create policy "Members can insert ledger receipts"
+  on public.receipts
+  for insert
+  with check (
+    auth.uid() = user_id
+    and (household_id is null or public.is_household_member(household_id))
+  );
+
+create policy "Members can update ledger receipts"
+  on public.receipts
+  for update
+  using ((household_id is null and auth.uid() = user_id) or (household_id is not null and public.is_household_member(household_id)))
+  with check (
+    (household_id is null and auth.uid() = user_id)
+    or (household_id is not null and public.is_household_member(household_id))
+  );
+
+create policy "Members can delete ledger receipts"
+  on public.receipts
+  for delete
+  using ((household_id is null and auth.uid() = user_id) or (household_id is not null and public.is_household_member(household_id)));
+
+insert into storage.buckets (id, name, public)
+values ('receipts', 'receipts', false)
+on conflict (id) do nothing;
+
+-- files live under "<user id>/<transaction id>/"; household members can read them through public.receipts
+create policy "Users can upload own receipt files"
+  on storage.objects
+  for insert
+  with check (bucket_id = 'receipts' and (storage.foldername(name))[1] = auth.uid()::text);
+
+create policy "Users can replace own receipt files"
+  on storage.objects
+  for update
+  using (bucket_id = 'receipts' and (storage.foldername(name))[1] = auth.uid()::text)
+  with check (bucket_id = 'receipts' and (storage.foldername(name))[1] = auth.uid()::text);
+
+create policy "Members can view receipt files"
+  on storage.objects
+  for select
+  using (
+    bucket_id = 'receipts'
+    and (
+      (storage.foldername(name))[1] = auth.uid()::text
+      or exists (select 1 from public.receipts r where r.path = storage.objects.name)
+    )
+  );
+
+create policy "Members can delete receipt files"
+  on storage.objects
+  for delete
+  using (
+    bucket_id = 'receipts'
+    and (
+      (storage.foldername(name))[1] = auth.uid()::text
+      or exists (select 1 from public.receipts r where r.path = storage.objects.name)
+    )
+  );
+
+-- 'surplus' carries only the unspent amount into the month, 'all' also deducts overspending
+alter table public.budgets
+  add column if not exists rollover text not null default 'none'
+    check (rollover in ('none', 'surplus', 'all'));
+
+create or replace function public.category_monthly_spend(
+  p_household uuid default null,
+  p_from text default null,
+  p_to text default null
+)
+returns table (month text, category text, spent bigint)
+language sql
+stable
+as $$
+  select to_char(t.date, 'YYYY-MM'), line.category, sum(line.amount)::bigint
+  from public.transactions t
+  cross join lateral (
+    select s.value ->> 'category' as category, (s.value ->> 'amount')::numeric as amount
+    from jsonb_array_elements(coalesce(t.splits, '[]'::jsonb)) s
+    union all
+    select t.category, t.amount::numeric
+    where t.splits is null or jsonb_array_length(t.splits) = 0
+  ) line
+  where t.type = 'expense'
+    and (p_from is null or t.date >= to_date(p_from, 'YYYY-MM'))
+    and (p_to is null or t.date < to_date(p_to, 'YYYY-MM'))
+    and ((p_household is null and t.household_id is null and t.user_id = auth.uid())
+      or (p_household is not null and t.household_id = p_household))
+  group by 1, 2;
+$$;
+
+-- budgets that span a quarter, a year or a custom range; monthly budgets stay in public.budgets
+create table if not exists public.period_budgets (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  household_id uuid references public.households (id) on delete cascade,
+  category text not null,
+  period text not null default 'yearly' check (period in ('quarterly', 'yearly', 'custom')),
+  start_date date not null,
+  end_date date not null,
+  amount integer not null,
+  note text not null default '',
+  created_at timestamp with time zone default now(),
+  check (end_date >= start_date)
+);
+
+create index if not exists period_budgets_household_id_idx on public.period_budgets (household_id);
+
+alter table public.period_budgets enable row level security;
+
+create policy "Members can view ledger period budgets"
+  on public.period_budgets
+  for select
+  using ((household_id is null and auth.uid() = user_id) or (household_id is not null and public.is_household_member(household_id)));
+
+create policy "Members can insert ledger period budgets"
+  on public.period_budgets
+  for insert
+  with check (
+    auth.uid() = user_id
+    and (household_id is null or public.is_household_member(household_id))
+  );
+
+create policy "Members can update ledger period budgets"
+  on public.period_budgets
+  for update
+  using ((household_id is null and auth.uid() = user_id) or (household_id is not null and public.is_household_member(household_id)))
+  with check (
+    (household_id is null and auth.uid() = user_id)
+    or (household_id is not null and public.is_household_member(household_id))
+  );
+
+create policy "Members can delete ledger period budgets"
+  on public.period_budgets
+  for delete
+  using ((household_id is null and auth.uid() = user_id) or (household_id is not null and public.is_household_member(household_id)));
+
+create or replace function public.period_budget_spend(p_household uuid default null)
+returns table (budget_id uuid, spent bigint)
+language sql
+stable
+as $$
+  select b.id, coalesce(sum(line.amount), 0)::bigint
+  from public.period_budgets b
+  left join public.transactions t
+    on t.type = 'expense'
+    and t.date between b.start_date and b.end_date
+    and ((p_household is null and t.household_id is null and t.user_id = auth.uid())
+      or (p_household is not null and t.household_id = p_household))
+  left join lateral (
+    select s.value ->> 'category' as category, (s.value ->> 'amount')::numeric as amount
+    from jsonb_array_elements(coalesce(t.splits, '[]'::jsonb)) s
+    union all
+    select t.category, t.amount::numeric
+    where t.splits is null or jsonb_array_length(t.splits) = 0
+  ) line on line.category = b.category
+  where (p_household is null and b.household_id is null and b.user_id = auth.uid())
+    or (p_household is not null and b.household_id = p_household)
+  group by b.id;
+$$;
+
+-- one row per browser; read by the push sender with the service role key
+create table if not exists public.push_subscriptions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  endpoint text not null unique,
+  keys jsonb not null,
+  created_at timestamp with time zone default now()
+);
+
+alter table public.push_subscriptions enable row level security;
+
+create policy "Users can view own push subscriptions"
+  on public.push_subscriptions
+  for select
+  using (auth.uid() = user_id);
+
+create policy "Users can insert own push subscriptions"
+  on public.push_subscriptions
+  for insert
+  with check (auth.uid() = user_id);
+
+create policy "Users can update own push subscriptions"
+  on public.push_subscriptions
+  for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+create policy "Users can delete own push subscriptions"
+  on public.push_subscriptions
+  for delete
+  using (auth.uid() = user_id);
+
+-- an endpoint belongs to one browser; when another user signs in there, the old row is replaced
+create or replace function public.save_push_subscription(p_endpoint text, p_keys jsonb)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'not authenticated';
+  end if;
+  delete from public.push_subscriptions
+  where endpoint = p_endpoint and user_id <> auth.uid();
+  insert into public.push_subscriptions (user_id, endpoint, keys)
+  values (auth.uid(), p_endpoint, p_keys)
+  on conflict (endpoint) do update set keys = excluded.keys;
+end;
+$$;
+
+-- alert settings are personal, so each household member keeps their own rows
+create table if not exists public.budget_alert_settings (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  household_id uuid references public.households (id) on delete cascade,
+  category text not null,
+  enabled boolean not null default true,
+  thresholds integer[] not null default '{80,100}',
+  pace_alert boolean not null default false,
+  created_at timestamp with time zone default now(),
+  unique nulls not distinct (user_id, household_id, category)
+);
+
+alter table public.budget_alert_settings enable row level security;
+
+create policy "Users can view own budget alert settings"
+  on public.budget_alert_settings
+  for select
+  using (auth.uid() = user_id);
+
+create policy "Users can insert own budget alert settings"
+  on public.budget_alert_settings
+  for insert
+  with check (
+    auth.uid() = user_id
+    and (household_id is null or public.is_household_member(household_id))
+  );
+
+create policy "Users can update own budget alert settings"
+  on public.budget_alert_settings
+  for update
+  using (auth.uid() = user_id)
+  with check (
+    auth.uid() = user_id
+    and (household_id is null or public.is_household_member(household_id))
+  );
+
+create policy "Users can delete own budget alert settings"
+  on public.budget_alert_settings
+  for delete
+  using (auth.uid() = user_id);
+
+-- written by the push sender so each alert is delivered once; the app reads it to skip duplicates
+create table if not exists public.sent_budget_alerts (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  alert_key text not null,
+  created_at timestamp with time zone default now(),
+  unique (user_id, alert_key)
+);
+
+alter table public.sent_budget_alerts enable row level security;
+
+create policy "Users can view own sent budget alerts"
+  on public.sent_budget_alerts
+  for select
+  using (auth.uid() = user_id);
+
+create policy "Users can insert own sent budget alerts"
+  on public.sent_budget_alerts
+  for insert
+  with check (auth.uid() = user_id);
+
+-- reminder settings follow the user across devices; each device's service worker shows the notifications
+create table if not exists public.notification_settings (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  daily_reminder boolean not null default false,
+  reminder_time text not null default '21:00',
+  weekly_summary boolean not null default false,
+  weekly_day integer not null default 0 check (weekly_day between 0 and 6),
+  weekly_time text not null default '20:00',
+  created_at timestamp with time zone default now()
+);
+
+alter table public.notification_settings enable row level security;
+
+create policy "Users can view own notification settings"
+  on public.notification_settings
+  for select
+  using (auth.uid() = user_id);
+
+create policy "Users can insert own notification settings"
+  on public.notification_settings
+  for insert
+  with check (auth.uid() = user_id);
+
+create policy "Users can update own notification settings"
+  on public.notification_settings
+  for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+create policy "Users can delete own notification settings"
+  on public.notification_settings
+  for delete
+  using (auth.uid() = user_id);
@@ -1,8 +1,81 @@
+import { createHash } from 'node:crypto';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
+// レシート読み取り（OCR）の worker・wasm・言語データは CDN から取らず、/ocr/ から自前で配信する。
+// 一覧を変えたときは public/sw.js の OCR_ASSETS も合わせる
+const ocrAssets = {
+  'worker.min.js': 'tesseract.js/dist/worker.min.js',
+  // corePath には /ocr/ を渡し、端末の SIMD 対応に合わせて tesseract.js がどれかを選ぶ
+  'tesseract-core-relaxedsimd-lstm.wasm.js':
+    'tesseract.js-core/tesseract-core-relaxedsimd-lstm.wasm.js',
+  'tesseract-core-simd-lstm.wasm.js': 'tesseract.js-core/tesseract-core-simd-lstm.wasm.js',
+  'tesseract-core-lstm.wasm.js': 'tesseract.js-core/tesseract-core-lstm.wasm.js',
+  'jpn.traineddata.gz': '@tesseract.js-data/jpn/4.0.0_best_int/jpn.traineddata.gz',
+  'eng.traineddata.gz': '@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz'
+};
+
+const readOcrAsset = (name) =>
+  readFileSync(fileURLToPath(new URL(`./node_modules/${ocrAssets[name]}`, import.meta.url)));
+
+const ocrAssetsPlugin = () => ({
+  name: 'kakeibo-ocr-assets',
+  configureServer(server) {
+    server.middlewares.use('/ocr', (request, response, next) => {
+      const name = request.url.split('?')[0].replace(/^\//, '');
+      if (!ocrAssets[name]) {
+        next();
+        return;
+      }
+      response.setHeader(
+        'Content-Type',
+        name.endsWith('.js') ? 'text/javascript' : 'application/octet-stream'
+      );
+      response.end(readOcrAsset(name));
+    });
+  },
+  generateBundle() {
+    Object.keys(ocrAssets).forEach((name) => {
+      this.emitFile({ type: 'asset', fileName: `ocr/${name}`, source: readOcrAsset(name) });
+    });
+  }
+});
+
+const hashOf = (chunks) => {
+  const hash = createHash('sha256');
+  chunks.forEach((chunk) => hash.update(chunk));
+  return hash.digest('hex').slice(0, 12);
+};
+
+// public/sw.js の BUILD_ID と OCR_VERSION をビルドの内容から決め、デプロイごとにキャッシュを入れ替える
+const serviceWorkerVersionPlugin = () => {
+  let outDir = 'dist';
+  return {
+    name: 'kakeibo-sw-version',
+    apply: 'build',
+    configResolved(config) {
+      outDir = config.build.outDir;
+    },
+    closeBundle() {
+      const swPath = join(outDir, 'sw.js');
+      const buildId = hashOf([readFileSync(join(outDir, 'asset-manifest.json'))]);
+      const ocrVersion = hashOf(Object.keys(ocrAssets).map(readOcrAsset));
+      const source = readFileSync(swPath, 'utf8')
+        .replace("const BUILD_ID = 'dev';", `const BUILD_ID = '${buildId}';`)
+        .replace("const OCR_VERSION = 'dev';", `const OCR_VERSION = '${ocrVersion}';`);
+      writeFileSync(swPath, source);
+    }
+  };
+};
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), ocrAssetsPlugin(), serviceWorkerVersionPlugin()],
+  build: {
+    manifest: 'asset-manifest.json'
+  },
   server: {
     port: 5173,
     strictPort: true